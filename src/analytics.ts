@@ -0,0 +1,306 @@
+import { isErrorEvent } from './errors';
+import type { JWPlayerFeature } from './feature';
+import type { EventData, JWPlayerPlaylistItem } from './jwplayer';
+import { isBrowser } from './util';
+
+export type AnalyticsRecordType =
+  | 'play'
+  | 'pause'
+  | 'seek'
+  | 'quartile'
+  | 'adStart'
+  | 'adComplete'
+  | 'error';
+
+// A player event normalized for analytics, the same whichever adapter receives it
+export interface AnalyticsRecord {
+  type: AnalyticsRecordType;
+  playerId: string;
+  // Milliseconds since the epoch
+  timestamp: number;
+  mediaid?: string;
+  playlistIndex?: number;
+  // Playback position in seconds when the record was made
+  position?: number;
+  // Details for the type: the play or pause reason, the seek target, the quartile reached,
+  // the ad or the error
+  data?: Record<string, unknown>;
+}
+
+export interface AnalyticsSendOptions {
+  // Whether the page is going away, so the batch must be sent with navigator.sendBeacon
+  beacon: boolean;
+}
+
+export interface AnalyticsAdapter {
+  // Turns a record into what the sink takes, or returns null to leave it out
+  map?(record: AnalyticsRecord): unknown;
+  send(records: unknown[], options: AnalyticsSendOptions): void | Promise<void>;
+}
+
+export interface AnalyticsOptions {
+  // Records sent in one batch. Defaults to 10
+  batchSize?: number;
+  // Milliseconds a partial batch waits before it is sent. Defaults to 5000
+  flushInterval?: number;
+  // Called when an adapter fails to send a batch
+  onError?: (error: unknown) => void;
+}
+
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_FLUSH_INTERVAL = 5000;
+const QUARTILES = [25, 50, 75];
+
+// Sends a batch with navigator.sendBeacon, which outlives the page. The body goes as text/plain,
+// as a JSON content type isn't allowed cross-origin without a preflight. Returns false if the
+// browser has no beacon support or refused the batch.
+function sendBeacon(url: string, body: string): boolean {
+  if (typeof navigator === 'undefined' || !navigator.sendBeacon) return false;
+
+  return navigator.sendBeacon(url, body);
+}
+
+export interface HttpAdapterOptions {
+  url: string;
+  // Headers can't be sent with a beacon, so batches sent on unload use `fetch` with
+  // `keepalive` instead when there are any
+  headers?: Record<string, string>;
+  map?: (record: AnalyticsRecord) => unknown;
+  // Builds the request body from a batch. Defaults to `{ records }`
+  serialize?: (records: unknown[]) => unknown;
+}
+
+// POSTs each batch to `url` as JSON
+export function createHttpAdapter({
+  url,
+  headers,
+  map,
+  serialize = (records) => ({ records }),
+}: HttpAdapterOptions): AnalyticsAdapter {
+  return {
+    map,
+    async send(records, { beacon }) {
+      const body = JSON.stringify(serialize(records));
+      if (beacon && !headers && sendBeacon(url, body)) return;
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body,
+        keepalive: beacon,
+      });
+      if (!response.ok) {
+        throw new Error(
+          `jwplayer-react analytics request to ${url} failed with ${response.status}`,
+        );
+      }
+    },
+  };
+}
+
+export interface ConsoleAdapterOptions {
+  // Defaults to the global console
+  logger?: Pick<Console, 'log'>;
+  label?: string;
+  map?: (record: AnalyticsRecord) => unknown;
+}
+
+// Logs each batch, for checking the records a player produces while developing
+export function createConsoleAdapter({
+  logger = console,
+  label = 'jwplayer-react analytics',
+  map,
+}: ConsoleAdapterOptions = {}): AnalyticsAdapter {
+  return {
+    map,
+    send(records, { beacon }) {
+      logger.log(`[${label}]${beacon ? ' (beacon)' : ''}`, records);
+    },
+  };
+}
+
+export interface AnalyticsCollector {
+  handleEvent(name: string, data?: EventData): void;
+  // Sends the queued records now
+  flush(beacon?: boolean): void;
+  // Sends the queued records with a beacon as the player is removed, and starts over
+  reset(): void;
+}
+
+// Maps player events to records and sends them to the adapters in batches. Batches are sent
+// when they are full, after `flushInterval`, and with a beacon on pagehide and unmount.
+export function createAnalyticsCollector(
+  playerId: string,
+  getAdapters: () => AnalyticsAdapter[] | undefined,
+  getOptions: () => AnalyticsOptions | undefined,
+): AnalyticsCollector {
+  let queue: AnalyticsRecord[] = [];
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  let listening = false;
+  let mediaid: string | undefined;
+  let playlistIndex: number | undefined;
+  let position: number | undefined;
+  let quartiles = new Set<number>();
+  // Whether a play was recorded since the last pause or stop, as playback resuming after
+  // buffering fires `play` again
+  let playing = false;
+
+  const onPageHide = (): void => flush(true);
+
+  function flush(beacon = false): void {
+    const records = queue;
+    queue = [];
+    clearTimeout(timer);
+    timer = undefined;
+    if (!records.length) return;
+
+    const { onError } = getOptions() || {};
+    (getAdapters() || []).forEach((adapter) => {
+      const mapped = adapter.map
+        ? records.map((record) => adapter.map!(record)).filter((r) => r != null)
+        : records;
+      if (!mapped.length) return;
+
+      // An adapter that fails must not stop the others or break playback
+      try {
+        Promise.resolve(adapter.send(mapped, { beacon })).catch((error) =>
+          onError?.(error),
+        );
+      } catch (error) {
+        onError?.(error);
+      }
+    });
+  }
+
+  const add = (
+    type: AnalyticsRecordType,
+    data?: Record<string, unknown>,
+  ): void => {
+    if (!getAdapters()?.length) return;
+
+    queue.push({
+      type,
+      playerId,
+      timestamp: Date.now(),
+      mediaid,
+      playlistIndex,
+      position,
+      data,
+    });
+
+    const {
+      batchSize = DEFAULT_BATCH_SIZE,
+      flushInterval = DEFAULT_FLUSH_INTERVAL,
+    } = getOptions() || {};
+    if (queue.length >= batchSize) {
+      flush();
+      return;
+    }
+    if (!timer) timer = setTimeout(() => flush(), flushInterval);
+    if (!listening && isBrowser()) {
+      window.addEventListener('pagehide', onPageHide);
+      listening = true;
+    }
+  };
+
+  return {
+    handleEvent(name, data = {}) {
+      if (isErrorEvent(name)) {
+        playing = false;
+        add('error', { event: name, code: data.code, message: data.message });
+        return;
+      }
+
+      switch (name) {
+        case 'playlistItem':
+          mediaid = (data.item as JWPlayerPlaylistItem | undefined)?.mediaid;
+          playlistIndex =
+            typeof data.index === 'number' ? data.index : undefined;
+          position = 0;
+          quartiles = new Set();
+          break;
+        case 'time': {
+          const { position: current, duration } = data;
+          if (typeof current !== 'number') break;
+
+          position = current;
+          // Live streams have no duration to divide into quartiles
+          if (
+            typeof duration !== 'number' ||
+            !Number.isFinite(duration) ||
+            duration <= 0
+          ) {
+            break;
+          }
+
+          QUARTILES.forEach((quartile) => {
+            if (quartiles.has(quartile)) return;
+            if (current >= (duration * quartile) / 100) {
+              quartiles.add(quartile);
+              add('quartile', { quartile });
+            }
+          });
+          break;
+        }
+        case 'play':
+          if (playing) break;
+          playing = true;
+          add('play', { reason: data.playReason });
+          break;
+        case 'pause':
+          playing = false;
+          add('pause', { reason: data.pauseReason });
+          break;
+        case 'idle':
+          playing = false;
+          break;
+        case 'seek':
+          add('seek', { from: data.position, to: data.offset });
+          break;
+        case 'complete':
+          playing = false;
+          if (!quartiles.has(100)) {
+            quartiles.add(100);
+            add('quartile', { quartile: 100 });
+          }
+          break;
+        case 'adImpression':
+          add('adStart', {
+            client: data.client,
+            adposition: data.adposition,
+            id: data.id,
+          });
+          break;
+        case 'adComplete':
+          add('adComplete', {
+            client: data.client,
+            adposition: data.adposition,
+            id: data.id,
+          });
+          break;
+        default:
+      }
+    },
+    flush,
+    reset() {
+      flush(true);
+      if (listening) window.removeEventListener('pagehide', onPageHide);
+      listening = false;
+      mediaid = undefined;
+      playlistIndex = undefined;
+      position = undefined;
+      quartiles = new Set();
+      playing = false;
+    },
+  };
+}
+
+// Sends normalized records of the player's events to the `analyticsAdapters`
+export const analyticsFeature: JWPlayerFeature = (host) => {
+  const collector = createAnalyticsCollector(
+    host.id,
+    () => host.getProps().analyticsAdapters,
+    () => host.getProps().analyticsOptions,
+  );
+  return { handleEvent: collector.handleEvent, reset: collector.reset };
+};
@@ -1,4 +1,5 @@
-export default new Set<string>([
+// Config options that can be passed to the component as individual props
+export const CONFIG_PROPS = [
   'hlsjsProgressive',
   '__abSendDomainToFeeds',
   '_abZoomThumbnail',
@@ -84,5 +85,8 @@ export default new Set<string>([
   'doNotTrack',
   'doNotTrackCookies',
   'images',
-]);
+] as const;
 
+export type ConfigPropName = (typeof CONFIG_PROPS)[number];
+
+export default new Set<string>(CONFIG_PROPS);
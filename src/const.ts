@@ -4,3 +4,18 @@ export const ON_REGEX = '^on(.*)';
 
 export const ONCE_REGEX = '^once(.*)';
 
+// on* props the component calls itself, which are never dispatched from player events
+export const COMPONENT_HANDLERS = new Set<string>([
+  'onPlayingChange',
+  'onMutedChange',
+  'onVolumeChange',
+  'onSeekRequest',
+  'onFullscreenChange',
+  'onLibraryLoad',
+  'onLibraryError',
+  'onSetupError',
+  'onCueEnter',
+  'onCueExit',
+  'onMetrics',
+  'onFloatChange',
+]);
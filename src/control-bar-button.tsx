@@ -0,0 +1,68 @@
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useRegisteredPlayer } from './hooks';
+import { PlayerContext } from './player-context';
+import { getRegisteredPlayer } from './player-store';
+
+export interface ControlBarButtonProps {
+  id: string;
+  // Tooltip and accessible label
+  label: string;
+  onClick: () => void;
+  // Rendered inside the button
+  icon?: React.ReactNode;
+  className?: string;
+}
+
+// addButton needs an icon; the React icon is rendered into the button next to this one
+const EMPTY_ICON = '<svg xmlns="http://www.w3.org/2000/svg"></svg>';
+
+const findButton = (container: HTMLElement, id: string): Element | null =>
+  Array.from(container.querySelectorAll('[button]')).find(
+    (element) => element.getAttribute('button') === id,
+  ) || null;
+
+// Adds a button to the control bar of the JWPlayer it is rendered in. The button is added
+// again when the player is set up again, and removed when this unmounts.
+export function ControlBarButton({
+  id,
+  label,
+  onClick,
+  icon,
+  className,
+}: ControlBarButtonProps) {
+  const context = useContext(PlayerContext);
+  if (!context) {
+    throw new Error(
+      'jwplayer-react: ControlBarButton must be rendered inside a JWPlayer',
+    );
+  }
+
+  const player = useRegisteredPlayer(context.id);
+  const [element, setElement] = useState<Element | null>(null);
+  const onClickRef = useRef(onClick);
+  onClickRef.current = onClick;
+
+  useEffect(() => {
+    if (!player) return;
+
+    player.addButton(
+      EMPTY_ICON,
+      label,
+      () => onClickRef.current(),
+      id,
+      className,
+    );
+    setElement(findButton(player.getContainer(), id));
+
+    return () => {
+      setElement(null);
+      // A player that has been removed has no control bar left to clean up
+      if (getRegisteredPlayer(context.id) === player) {
+        player.removeButton(id);
+      }
+    };
+  }, [player, context.id, id, label, className]);
+
+  return element && icon ? createPortal(icon, element) : null;
+}
@@ -0,0 +1,221 @@
+import type {
+  EventData,
+  JWPlayerConfig,
+  JWPlayerInstance,
+  JWPlayerProps,
+} from './jwplayer';
+import { getProp } from './util';
+
+export type ControlledKey =
+  | 'playing'
+  | 'muted'
+  | 'volume'
+  | 'currentTime'
+  | 'fullscreen';
+
+// Values the component has just applied to the player, used to recognise the events they echo back
+export type PendingValues = Partial<Record<ControlledKey, unknown>>;
+
+interface ControlledProp {
+  defaultProp: keyof JWPlayerProps;
+  callback: keyof JWPlayerProps;
+  // Reads the value reported by a player event, or undefined if the event doesn't report it
+  read(name: string, data: EventData): unknown;
+  get(player: JWPlayerInstance): unknown;
+  set(player: JWPlayerInstance, value: never): void;
+  // Whether a value read from the player matches the value the component applied
+  matches?(applied: unknown, reported: unknown): boolean;
+  // Events that report a change the player made on its own, such as reaching the end, rather
+  // than one the viewer made. Those are reported but not put back
+  settles?: Record<string, true>;
+}
+
+// Seeks closer than this to the player's position are treated as already applied
+export const SEEK_TOLERANCE = 0.5;
+
+const playingEvents: Record<string, boolean> = {
+  play: true,
+  pause: false,
+  complete: false,
+  idle: false,
+};
+
+const controlledProps: Record<ControlledKey, ControlledProp> = {
+  playing: {
+    defaultProp: 'defaultPlaying',
+    callback: 'onPlayingChange',
+    read: (name) => playingEvents[name],
+    get: (player) => player.getState() === 'playing',
+    settles: { complete: true, idle: true },
+    set: (player, playing: boolean) => {
+      if (playing) {
+        player.play();
+      } else {
+        player.pause();
+      }
+    },
+  },
+  muted: {
+    defaultProp: 'defaultMuted',
+    callback: 'onMutedChange',
+    read: (name, data) => (name === 'mute' ? !!data.mute : undefined),
+    get: (player) => player.getMute(),
+    set: (player, muted: boolean) => player.setMute(muted),
+  },
+  volume: {
+    defaultProp: 'defaultVolume',
+    callback: 'onVolumeChange',
+    read: (name, data) => (name === 'volume' ? data.volume : undefined),
+    get: (player) => player.getVolume(),
+    set: (player, volume: number) => player.setVolume(volume),
+  },
+  currentTime: {
+    defaultProp: 'defaultCurrentTime',
+    callback: 'onSeekRequest',
+    read: (name, data) => (name === 'seek' ? data.offset : undefined),
+    get: (player) => player.getPosition(),
+    set: (player, position: number) => player.seek(position),
+    matches: (applied, reported) =>
+      Math.abs(Number(applied) - Number(reported)) < SEEK_TOLERANCE,
+  },
+  fullscreen: {
+    defaultProp: 'defaultFullscreen',
+    callback: 'onFullscreenChange',
+    read: (name, data) =>
+      name === 'fullscreen' ? !!data.fullscreen : undefined,
+    get: (player) => player.getFullscreen(),
+    set: (player, fullscreen: boolean) => player.setFullscreen(fullscreen),
+  },
+};
+
+const controlledKeys = Object.keys(controlledProps) as ControlledKey[];
+
+// Config keys owned by the controlled props, so config reconciliation leaves them alone
+export const controlledConfigKeys = new Set<string>(['volume']);
+
+const matches = (key: ControlledKey, applied: unknown, reported: unknown) => {
+  const { matches: compare } = controlledProps[key];
+  return compare ? compare(applied, reported) : applied === reported;
+};
+
+function getInitialValue<K extends ControlledKey>(
+  props: JWPlayerProps,
+  key: K,
+): JWPlayerProps[K] {
+  return props[key] !== undefined
+    ? props[key]
+    : (props[controlledProps[key].defaultProp] as JWPlayerProps[K]);
+}
+
+const setupKeys: ControlledKey[] = ['playing', 'muted', 'volume'];
+
+// The setup config's controlled and default values, so the events they cause, such as the
+// autostart's play, aren't reported as changes
+export function getSetupPending(props: JWPlayerProps): PendingValues {
+  const pending: PendingValues = {};
+  setupKeys.forEach((key) => {
+    const value = getInitialValue(props, key);
+    if (value !== undefined) pending[key] = key === 'volume' ? value : !!value;
+  });
+  return pending;
+}
+
+// Setup config for the controlled and default values that the player can take at setup
+export function getControlledConfig(
+  props: JWPlayerProps,
+): Partial<JWPlayerConfig> {
+  const config: Partial<JWPlayerConfig> = {};
+  const playing = getInitialValue(props, 'playing');
+  const muted = getInitialValue(props, 'muted');
+  const volume = getInitialValue(props, 'volume');
+
+  if (playing !== undefined) config.autostart = !!playing;
+  if (muted !== undefined) config.mute = !!muted;
+  if (volume !== undefined) config.volume = volume;
+
+  return config;
+}
+
+function applyValue(
+  player: JWPlayerInstance,
+  key: ControlledKey,
+  value: unknown,
+  pending: PendingValues,
+): void {
+  const controlledProp = controlledProps[key];
+  if (matches(key, value, controlledProp.get(player))) return;
+
+  pending[key] = value;
+  controlledProp.set(player, value as never);
+}
+
+// Applies the values that can only be set once the player is ready
+export function applyInitialValues(
+  player: JWPlayerInstance,
+  props: JWPlayerProps,
+  pending: PendingValues,
+): void {
+  (['currentTime', 'fullscreen'] as ControlledKey[]).forEach((key) => {
+    const value = getInitialValue(props, key);
+    if (value !== undefined) applyValue(player, key, value, pending);
+  });
+}
+
+// Applies controlled props that changed between renders to the player
+export function applyControlledProps(
+  player: JWPlayerInstance,
+  prevProps: JWPlayerProps,
+  nextProps: JWPlayerProps,
+  pending: PendingValues,
+): void {
+  controlledKeys.forEach((key) => {
+    const value = nextProps[key];
+    if (value === undefined || value === prevProps[key]) return;
+
+    applyValue(player, key, value, pending);
+  });
+}
+
+// Puts back the controlled values of keys the player changed by itself, unless the parent has
+// accepted the change since. Like a controlled input, the player only keeps what the props say
+export function reassertControlledProps(
+  player: JWPlayerInstance,
+  props: JWPlayerProps,
+  keys: ControlledKey[],
+  pending: PendingValues,
+): void {
+  keys.forEach((key) => {
+    const value = props[key];
+    if (value !== undefined) applyValue(player, key, value, pending);
+  });
+}
+
+// Reports player changes to the matching change callbacks, skipping the events that
+// echo a value the component applied itself. Returns the keys the viewer changed, which
+// are put back if the parent doesn't accept them
+export function handleControlledEvent(
+  props: JWPlayerProps,
+  pending: PendingValues,
+  name: string,
+  data: EventData = {},
+): ControlledKey[] {
+  const changed: ControlledKey[] = [];
+
+  controlledKeys.forEach((key) => {
+    const { read, callback } = controlledProps[key];
+    const value = read(name, data);
+    if (value === undefined) return;
+
+    const isEcho = key in pending && matches(key, pending[key], value);
+    delete pending[key];
+    if (isEcho) return;
+
+    if (!controlledProps[key].settles?.[name]) changed.push(key);
+    const handler = getProp(props, callback);
+    if (typeof handler === 'function') {
+      handler(value);
+    }
+  });
+
+  return changed;
+}
@@ -0,0 +1,200 @@
+import { useEffect, useRef, useState } from 'react';
+import type { JWPlayerFeature } from './feature';
+import { PlayerTarget, useTargetId } from './hooks';
+import type { EventData, JWPlayerTrack } from './jwplayer';
+import { subscribeToPlayerEvents } from './player-store';
+
+export interface CuePoint<T = unknown> {
+  id: string;
+  // Start time in seconds
+  time: number;
+  // End time in seconds. A cue without one lasts until the next cue starts
+  end?: number;
+  data?: T;
+}
+
+export interface CueCallbacks<T = unknown> {
+  onEnter?: (cue: CuePoint<T>) => void;
+  onExit?: (cue: CuePoint<T>) => void;
+}
+
+const byTime = <T>(a: CuePoint<T>, b: CuePoint<T>): number => a.time - b.time;
+
+// The time each cue ends at, by id
+function getCueEnds<T>(cuePoints: CuePoint<T>[]): Map<string, number> {
+  const sorted = [...cuePoints].sort(byTime);
+
+  return new Map(
+    sorted.map((cue, index) => {
+      const next = sorted.slice(index + 1).find(({ time }) => time > cue.time);
+      return [cue.id, cue.end ?? next?.time ?? Infinity];
+    }),
+  );
+}
+
+// Cues that contain `position`, in start time order
+export function getActiveCues<T>(
+  cuePoints: CuePoint<T>[],
+  position: number,
+): CuePoint<T>[] {
+  const ends = getCueEnds(cuePoints);
+  return cuePoints
+    .filter((cue) => cue.time <= position && position < ends.get(cue.id)!)
+    .sort(byTime);
+}
+
+export interface CueTracker<T> {
+  // Moves to `position`, exiting and entering cues along the way
+  update(position: number): void;
+  // Exits every active cue, for a new playlist item or the end of playback
+  reset(): void;
+}
+
+// Tracks which cues contain the playback position. Only positions are compared, so seeks and
+// playback rate changes are handled the same way as regular playback.
+export function createCueTracker<T>(
+  getCuePoints: () => CuePoint<T>[],
+  { onEnter, onExit }: CueCallbacks<T>,
+  onChange?: (active: CuePoint<T>[]) => void,
+): CueTracker<T> {
+  let active: CuePoint<T>[] = [];
+
+  const moveTo = (next: CuePoint<T>[]): void => {
+    const exited = active.filter(
+      (cue) => !next.some(({ id }) => id === cue.id),
+    );
+    const entered = next.filter(
+      (cue) => !active.some(({ id }) => id === cue.id),
+    );
+    if (!exited.length && !entered.length) return;
+
+    active = next;
+    exited.forEach((cue) => onExit?.(cue));
+    entered.forEach((cue) => onEnter?.(cue));
+    onChange?.(active);
+  };
+
+  return {
+    update(position) {
+      moveTo(getActiveCues(getCuePoints(), position));
+    },
+    reset() {
+      moveTo([]);
+    },
+  };
+}
+
+// Feeds a player event to `tracker`
+export function handleCueEvent<T>(
+  tracker: CueTracker<T>,
+  name: string,
+  data: EventData = {},
+): void {
+  if (name === 'time' && typeof data.position === 'number') {
+    tracker.update(data.position);
+  } else if (name === 'seek' && typeof data.offset === 'number') {
+    tracker.update(data.offset);
+  } else if (name === 'playlistItem' || name === 'complete') {
+    tracker.reset();
+  }
+}
+
+// Calls `onCueEnter` and `onCueExit` as the position moves in and out of the `cuePoints`
+export const cuePointsFeature: JWPlayerFeature = (host) => {
+  const tracker = createCueTracker(() => host.getProps().cuePoints || [], {
+    onEnter: (cue) => host.getProps().onCueEnter?.(cue),
+    onExit: (cue) => host.getProps().onCueExit?.(cue),
+  });
+  return {
+    handleEvent: (name, data) => handleCueEvent(tracker, name, data),
+    reset: tracker.reset,
+  };
+};
+
+// Subscribes to the cues of the target player and returns the active ones. Without a target
+// it follows the JWPlayer it is rendered in.
+export function useCuePoints<T = unknown>(
+  target: PlayerTarget | undefined,
+  cuePoints: CuePoint<T>[],
+  callbacks: CueCallbacks<T> = {},
+): CuePoint<T>[] {
+  const id = useTargetId(target);
+  const [active, setActive] = useState<CuePoint<T>[]>([]);
+  const cuePointsRef = useRef(cuePoints);
+  const callbacksRef = useRef(callbacks);
+  cuePointsRef.current = cuePoints;
+  callbacksRef.current = callbacks;
+
+  useEffect(() => {
+    if (!id) return;
+
+    const tracker = createCueTracker(
+      () => cuePointsRef.current,
+      {
+        onEnter: (cue) => callbacksRef.current.onEnter?.(cue),
+        onExit: (cue) => callbacksRef.current.onExit?.(cue),
+      },
+      setActive,
+    );
+    const unsubscribe = subscribeToPlayerEvents(id, (name, data) =>
+      handleCueEvent(tracker, name, data),
+    );
+
+    return () => {
+      unsubscribe();
+      setActive([]);
+    };
+  }, [id]);
+
+  return active;
+}
+
+export interface ChaptersTrackOptions<T> {
+  label?: string;
+  // Chapter title for a cue. Defaults to `data.title`, or the cue id
+  getTitle?: (cue: CuePoint<T>) => string;
+  // Media duration, used to end the last chapter when it has no end
+  duration?: number;
+}
+
+// Longest time a WebVTT timestamp written by formatTimestamp can hold
+const MAX_VTT_TIME = 359999.999;
+
+const pad = (value: number, length = 2): string => `000${value}`.slice(-length);
+
+function formatTimestamp(seconds: number): string {
+  const total = Math.round(Math.min(seconds, MAX_VTT_TIME) * 1000);
+  const ms = total % 1000;
+  const s = Math.floor(total / 1000) % 60;
+  const m = Math.floor(total / 60000) % 60;
+  const h = Math.floor(total / 3600000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms, 3)}`;
+}
+
+const getDefaultTitle = <T>({ id, data }: CuePoint<T>): string =>
+  data && typeof data === 'object' && 'title' in data ? String(data.title) : id;
+
+// Builds a chapters track from cue points, so they are shown as markers on the time slider
+export function createChaptersTrack<T>(
+  cuePoints: CuePoint<T>[],
+  {
+    label = 'Chapters',
+    getTitle = getDefaultTitle,
+    duration,
+  }: ChaptersTrackOptions<T> = {},
+): JWPlayerTrack {
+  const ends = getCueEnds(cuePoints);
+  const cues = [...cuePoints].sort(byTime).map((cue) => {
+    const end = Math.min(ends.get(cue.id)!, duration ?? Infinity);
+    // Line breaks would end the cue early
+    const title = getTitle(cue).replace(/\s*\n\s*/g, ' ');
+    return `${formatTimestamp(cue.time)} --> ${formatTimestamp(end)}\n${title}`;
+  });
+  const vtt = ['WEBVTT', ...cues].join('\n\n');
+
+  return {
+    file: `data:text/vtt;charset=utf-8,${encodeURIComponent(vtt)}`,
+    kind: 'chapters',
+    label,
+  };
+}
@@ -0,0 +1,36 @@
+import React from 'react';
+import { analyticsFeature } from './analytics';
+import { cuePointsFeature } from './cue-points';
+import type { JWPlayerFeature } from './feature';
+import { floatFeature } from './float';
+import CoreJWPlayer, { JWPlayerProps, JWPlayerRef } from './jwplayer';
+import { mediaSessionFeature } from './media-session';
+import { persistFeature } from './persist';
+import { qoeFeature } from './qoe';
+import { eventThrottleFeature } from './throttle';
+import { validationFeature } from './validate';
+
+// Every feature, in the order they see each player event
+export const defaultFeatures: JWPlayerFeature[] = [
+  cuePointsFeature,
+  qoeFeature,
+  analyticsFeature,
+  persistFeature,
+  mediaSessionFeature,
+  floatFeature,
+  eventThrottleFeature,
+  validationFeature,
+];
+
+// The main entry point's component, with every feature ahead of any in `features`
+const JWPlayer = React.forwardRef<JWPlayerRef, JWPlayerProps>((props, ref) => (
+  <CoreJWPlayer
+    {...props}
+    ref={ref}
+    features={
+      props.features ? defaultFeatures.concat(props.features) : defaultFeatures
+    }
+  />
+));
+
+export default JWPlayer;
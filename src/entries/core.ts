@@ -0,0 +1,33 @@
+// `@ryanwalters/jwplayer-react/core`: the component and the provider, without the hooks,
+// plugins or the component's features, which are added from the plugins entry point
+import JWPlayer from '../jwplayer';
+
+export { ControlBarButton } from '../control-bar-button';
+export type { ControlBarButtonProps } from '../control-bar-button';
+export {
+  LIBRARY_LOAD_FAILED,
+  LIBRARY_MISSING,
+  PLAYBACK_FAILED,
+  SETUP_FAILED,
+} from '../errors';
+export type { JWPlayerError, JWPlayerErrorPhase } from '../errors';
+export type * from '../events';
+export type { FeatureHost, FeatureInstance, JWPlayerFeature } from '../feature';
+export type {
+  FloatOptions,
+  FloatPosition,
+  FloatReason,
+  JWPlayerDockProps,
+} from '../float';
+export type * from '../jwplayer';
+export type { MediaSessionOptions } from '../media-session';
+export type { PlayerOverlayState } from '../overlay';
+export type { PlaybackPolicy } from '../playback-policy';
+export { JWPlayerProvider } from '../provider';
+export type { JWPlayerProviderProps } from '../provider';
+export type { EventThrottle } from '../throttle';
+export { getLibraryLoadState, getPlayerLibrary, loadLibrary } from '../util';
+export type { LibraryLoadOptions, LibraryLoadState } from '../util';
+
+export { JWPlayer };
+export default JWPlayer;
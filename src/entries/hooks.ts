@@ -0,0 +1,27 @@
+// `@ryanwalters/jwplayer-react/hooks`: hooks for the players rendered by the component
+export { useCuePoints } from '../cue-points';
+export type { CueCallbacks, CuePoint } from '../cue-points';
+export {
+  useCaptionsList,
+  useJWPlayer,
+  usePlayerPosition,
+  usePlayerSelector,
+  usePlayerState,
+  usePlaylistItem,
+  useQualityLevels,
+} from '../hooks';
+export type { PlayerTarget, SelectorOptions } from '../hooks';
+export { useResumePrompt } from '../persist';
+export type { ResumePrompt } from '../persist';
+export { usePlayerRegistry } from '../provider';
+export type { PlayerRegistryApi } from '../provider';
+export { useQoEMetrics } from '../qoe';
+export type {
+  QoEItemMetrics,
+  QoEMetrics,
+  QoEReport,
+  QoESessionMetrics,
+} from '../qoe';
+export type { RegisteredPlayer } from '../registry';
+export { useTranscript } from '../transcript';
+export type { TranscriptOptions, TranscriptState } from '../transcript';
@@ -0,0 +1,34 @@
+// `@ryanwalters/jwplayer-react/plugins`: the component's optional features, for the core
+// entry point's JWPlayer, with their analytics adapters, chapter tracks and storage
+export {
+  analyticsFeature,
+  createConsoleAdapter,
+  createHttpAdapter,
+} from '../analytics';
+export type {
+  AnalyticsAdapter,
+  AnalyticsOptions,
+  AnalyticsRecord,
+  AnalyticsRecordType,
+  AnalyticsSendOptions,
+  ConsoleAdapterOptions,
+  HttpAdapterOptions,
+} from '../analytics';
+export {
+  createChaptersTrack,
+  cuePointsFeature,
+  getActiveCues,
+} from '../cue-points';
+export type { ChaptersTrackOptions } from '../cue-points';
+export { defaultFeatures } from '../default-player';
+export { JWPlayerDock, floatFeature } from '../float';
+export { mediaSessionFeature } from '../media-session';
+export { createMemoryStorage, persistFeature } from '../persist';
+export type { PersistOptions, PersistStorage } from '../persist';
+export { qoeFeature } from '../qoe';
+export { eventThrottleFeature } from '../throttle';
+export { Transcript } from '../transcript';
+export type { TranscriptProps } from '../transcript';
+export { validationFeature } from '../validate';
+export { parseVTT } from '../vtt';
+export type { VTTCue } from '../vtt';
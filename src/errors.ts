@@ -0,0 +1,63 @@
+import type { EventData } from './jwplayer';
+
+// Where in the load, setup and playback path the error happened
+export type JWPlayerErrorPhase = 'library' | 'setup' | 'playback';
+
+export interface JWPlayerError {
+  phase: JWPlayerErrorPhase;
+  // JW Player error code from the error event, or one of the codes below for errors raised
+  // before the player exists
+  code: number | string;
+  message: string;
+  // Reruns the library load and player setup
+  retry: () => void;
+  // The Error or event data the error was created from
+  cause?: unknown;
+}
+
+export const LIBRARY_MISSING = 'library-missing';
+export const LIBRARY_LOAD_FAILED = 'library-load-failed';
+export const SETUP_FAILED = 'setup-failed';
+export const PLAYBACK_FAILED = 'playback-failed';
+
+// Player events that are reported as errors, with their phase and the code used when the
+// event doesn't carry one
+const errorEvents: Record<string, { phase: JWPlayerErrorPhase; code: string }> =
+  {
+    setupError: { phase: 'setup', code: SETUP_FAILED },
+    error: { phase: 'playback', code: PLAYBACK_FAILED },
+  };
+
+export function isErrorEvent(name: string): boolean {
+  return Object.prototype.hasOwnProperty.call(errorEvents, name);
+}
+
+const getMessage = (cause: unknown): string => {
+  if (cause && typeof cause === 'object' && 'message' in cause) {
+    return String(cause.message);
+  }
+  return String(cause ?? '');
+};
+
+export function createPlayerError(
+  phase: JWPlayerErrorPhase,
+  code: number | string,
+  cause: unknown,
+  retry: () => void,
+): JWPlayerError {
+  return { phase, code, message: getMessage(cause), retry, cause };
+}
+
+export function createEventError(
+  name: string,
+  data: EventData = {},
+  retry: () => void,
+): JWPlayerError {
+  const { phase, code } = errorEvents[name];
+  const eventCode =
+    typeof data.code === 'number' || typeof data.code === 'string'
+      ? data.code
+      : code;
+
+  return createPlayerError(phase, eventCode, data, retry);
+}
@@ -0,0 +1,246 @@
+import type {
+  AudioTrack,
+  Caption,
+  JWPlayerPlaylistItem,
+  PlayerState,
+  QualityLevel,
+} from './jwplayer';
+
+// Fields shared by every player event. Events carry more data than is typed here, which
+// stays available as `unknown`
+export interface PlayerEvent {
+  type?: string;
+  [key: string]: unknown;
+}
+
+export interface ReadyEvent extends PlayerEvent {
+  setupTime: number;
+  viewable: 0 | 1;
+}
+
+export interface StateEvent extends PlayerEvent {
+  oldstate: PlayerState;
+  newstate?: PlayerState;
+  viewable?: 0 | 1;
+}
+
+export interface PlayEvent extends StateEvent {
+  playReason?: string;
+}
+
+export interface PauseEvent extends StateEvent {
+  pauseReason?: string;
+}
+
+export interface BufferEvent extends StateEvent {
+  reason?: string;
+}
+
+export interface TimeEvent extends PlayerEvent {
+  position: number;
+  duration: number;
+  viewable?: 0 | 1;
+}
+
+export interface SeekEvent extends PlayerEvent {
+  position: number;
+  offset: number;
+}
+
+export interface FirstFrameEvent extends PlayerEvent {
+  loadTime: number;
+}
+
+export interface PlaylistEvent extends PlayerEvent {
+  playlist: JWPlayerPlaylistItem[];
+}
+
+export interface PlaylistItemEvent extends PlayerEvent {
+  index: number;
+  item: JWPlayerPlaylistItem;
+}
+
+export interface LevelsEvent extends PlayerEvent {
+  levels: QualityLevel[];
+  currentQuality: number;
+}
+
+export interface VisualQualityEvent extends PlayerEvent {
+  mode: 'auto' | 'manual';
+  level: QualityLevel & { index: number };
+  reason: string;
+}
+
+export interface AudioTracksEvent extends PlayerEvent {
+  tracks: AudioTrack[];
+  currentTrack: number;
+}
+
+export interface CaptionsEvent extends PlayerEvent {
+  tracks: Caption[];
+  track: number;
+}
+
+export interface MuteEvent extends PlayerEvent {
+  mute: boolean;
+}
+
+export interface VolumeEvent extends PlayerEvent {
+  volume: number;
+}
+
+export interface FullscreenEvent extends PlayerEvent {
+  fullscreen: boolean;
+}
+
+export interface ResizeEvent extends PlayerEvent {
+  width: number;
+  height: number;
+}
+
+export interface PlaybackRateEvent extends PlayerEvent {
+  playbackRate: number;
+}
+
+export interface ControlsEvent extends PlayerEvent {
+  controls: boolean;
+}
+
+export interface ViewableEvent extends PlayerEvent {
+  viewable: 0 | 1;
+}
+
+export interface MetaEvent extends PlayerEvent {
+  metadataType?: string;
+  metadata?: Record<string, unknown>;
+}
+
+export interface ErrorEvent extends PlayerEvent {
+  code: number;
+  message: string;
+  sourceError?: unknown;
+}
+
+export interface AdEvent extends PlayerEvent {
+  client?: string;
+  adposition?: 'pre' | 'mid' | 'post';
+  tag?: string;
+  id?: string;
+  creativetype?: string;
+  adtitle?: string;
+  sequence?: number;
+  podcount?: number;
+}
+
+export interface AdTimeEvent extends AdEvent {
+  position: number;
+  duration: number;
+}
+
+export interface AdErrorEvent extends AdEvent {
+  code?: number;
+  adErrorCode?: number;
+  message: string;
+}
+
+// Data passed to handlers for each player event, by event name
+export interface JWPlayerEventMap {
+  ready: ReadyEvent;
+  remove: PlayerEvent;
+  setupError: ErrorEvent;
+  error: ErrorEvent;
+  warning: ErrorEvent;
+  play: PlayEvent;
+  pause: PauseEvent;
+  buffer: BufferEvent;
+  idle: StateEvent;
+  complete: PlayerEvent;
+  beforePlay: PlayerEvent;
+  beforeComplete: PlayerEvent;
+  autostartNotAllowed: ErrorEvent;
+  firstFrame: FirstFrameEvent;
+  time: TimeEvent;
+  seek: SeekEvent;
+  seeked: PlayerEvent;
+  meta: MetaEvent;
+  playlist: PlaylistEvent;
+  playlistItem: PlaylistItemEvent;
+  playlistComplete: PlayerEvent;
+  nextClick: PlayerEvent;
+  levels: LevelsEvent;
+  levelsChanged: LevelsEvent;
+  visualQuality: VisualQualityEvent;
+  audioTracks: AudioTracksEvent;
+  audioTrackChanged: AudioTracksEvent;
+  captionsList: CaptionsEvent;
+  captionsChanged: CaptionsEvent;
+  mute: MuteEvent;
+  volume: VolumeEvent;
+  fullscreen: FullscreenEvent;
+  resize: ResizeEvent;
+  playbackRateChanged: PlaybackRateEvent;
+  controls: ControlsEvent;
+  displayClick: PlayerEvent;
+  userActive: PlayerEvent;
+  userInactive: PlayerEvent;
+  viewable: ViewableEvent;
+  adRequest: AdEvent;
+  adBreakStart: AdEvent;
+  adBreakEnd: AdEvent;
+  adImpression: AdEvent;
+  adPlay: AdEvent;
+  adPause: AdEvent;
+  adTime: AdTimeEvent;
+  adClick: AdEvent;
+  adSkipped: AdEvent;
+  adComplete: AdEvent;
+  adError: AdErrorEvent;
+  adWarning: AdErrorEvent;
+  // Events without typed data, which still take on<Event> and once<Event> props
+  adBidRequest: PlayerEvent;
+  adBidResponse: PlayerEvent;
+  adBlock: PlayerEvent;
+  adBreakIgnored: PlayerEvent;
+  adCompanions: PlayerEvent;
+  adItem: PlayerEvent;
+  adLoaded: PlayerEvent;
+  adManager: PlayerEvent;
+  adMeta: PlayerEvent;
+  adPlaylist: PlayerEvent;
+  adSchedule: PlayerEvent;
+  adsManager: PlayerEvent;
+  adStarted: PlayerEvent;
+  adViewableImpression: PlayerEvent;
+  breakpoint: PlayerEvent;
+  bufferChange: PlayerEvent;
+  cast: PlayerEvent;
+  float: PlayerEvent;
+  pipEnter: PlayerEvent;
+  pipLeave: PlayerEvent;
+  playAttemptFailed: PlayerEvent;
+  providerFirstFrame: PlayerEvent;
+  relatedClose: PlayerEvent;
+  relatedOpen: PlayerEvent;
+  relatedPlay: PlayerEvent;
+  relatedReady: PlayerEvent;
+  sharingClick: PlayerEvent;
+  sharingClose: PlayerEvent;
+  sharingOpen: PlayerEvent;
+}
+
+export type JWPlayerEventName = keyof JWPlayerEventMap;
+
+export type JWPlayerEventHandler<K extends JWPlayerEventName> = (
+  event: JWPlayerEventMap[K],
+) => void;
+
+// on<Event> and once<Event> props for every event in the map. `onSetupError` is left out
+// because the component uses that name for its own setup error callback
+export type JWPlayerEventProps = Omit<
+  {
+    [K in JWPlayerEventName as `on${Capitalize<K>}`]?: JWPlayerEventHandler<K>;
+  },
+  'onSetupError'
+> & {
+  [K in JWPlayerEventName as `once${Capitalize<K>}`]?: JWPlayerEventHandler<K>;
+};
@@ -0,0 +1,58 @@
+import type React from 'react';
+import type {
+  EventData,
+  JWPlayerConfig,
+  JWPlayerInstance,
+  JWPlayerProps,
+  JWPlayerRef,
+} from './jwplayer';
+
+// What a feature is given by the component it is added to
+export interface FeatureHost {
+  id: string;
+  // The props of the latest render
+  getProps(): JWPlayerProps;
+  // The player, or null before setup and after it is removed
+  getPlayer(): JWPlayerInstance | null;
+}
+
+// A feature's part in one component. Every hook is optional
+export interface FeatureInstance {
+  // Setup config from the feature, which the config props override
+  getSetupConfig?(props: JWPlayerProps): Partial<JWPlayerConfig>;
+  // Called with every player event, ahead of the on* and once* props
+  handleEvent?(name: string, data?: EventData): void;
+  // Holds back an event from the on* and once* props, to call `deliver` later instead.
+  // Returns whether it did
+  holdEvent?(name: string, deliver: () => void): boolean;
+  // Drops what the feature keeps for the player once it is removed
+  reset?(): void;
+  // Development builds only: checks the props on every update, and the config at setup
+  validateProps?(props: JWPlayerProps): void;
+  validateConfig?(config: Partial<JWPlayerConfig>, library?: string): void;
+  // A player that is already set up for the component to take instead of setting one up
+  takePlayer?(view: HTMLElement): JWPlayerInstance | null;
+  // Keeps the player alive as the component unmounts. Returns whether it did
+  handOff?(): boolean;
+  // Renders the element the player is set up in, such as inside one of the feature's own
+  renderView?(
+    view: React.ReactNode,
+    player: JWPlayerInstance | null,
+  ): React.ReactNode;
+  // Methods added to the component's ref
+  handle?: Partial<JWPlayerRef>;
+}
+
+// Adds an optional feature to the component, such as analytics or the mini-player. Called
+// once for each component as it mounts
+export type JWPlayerFeature = (host: FeatureHost) => FeatureInstance;
+
+// Creates each feature once, in order, even if it is listed more than once
+export function createFeatures(
+  features: JWPlayerFeature[],
+  host: FeatureHost,
+): FeatureInstance[] {
+  return features
+    .filter((feature, index) => features.indexOf(feature) === index)
+    .map((feature) => feature(host));
+}
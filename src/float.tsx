@@ -0,0 +1,417 @@
+import React, { useEffect, useRef } from 'react';
+import { ALL } from './const';
+import type { JWPlayerFeature } from './feature';
+import { useIsomorphicLayoutEffect } from './hooks';
+import type { AllEventCallback, JWPlayerInstance } from './jwplayer';
+import { emitPlayerEvent, unregisterPlayer } from './player-store';
+
+export type FloatPosition =
+  | 'top-left'
+  | 'top-right'
+  | 'bottom-left'
+  | 'bottom-right';
+
+// Why a player moved into or out of the mini-player. 'api' is the ref's float(), and 'remove'
+// is the player being removed or set up again while it floats
+export type FloatReason =
+  | 'scroll'
+  | 'navigation'
+  | 'api'
+  | 'expand'
+  | 'close'
+  | 'remove';
+
+export interface FloatOptions {
+  // Corner of the viewport the mini-player is shown in, or the name of a JWPlayerDock to show
+  // it in. Defaults to 'bottom-right', which is also used while the named dock isn't mounted
+  dock?: FloatPosition | string;
+  // Floats the player while it plays scrolled out of view. Defaults to true
+  scroll?: boolean;
+  // Fraction of the player that has to be in view for it to stay in place. Defaults to 0.5
+  threshold?: number;
+  // Keeps a playing player going in the mini-player when the component unmounts, for the next
+  // JWPlayer with the same id to take back. Defaults to true
+  navigation?: boolean;
+  // Width of the mini-player in a corner, in pixels. Defaults to 320
+  width?: number;
+}
+
+const DEFAULT_POSITION: FloatPosition = 'bottom-right';
+const DEFAULT_THRESHOLD = 0.5;
+const DEFAULT_WIDTH = 320;
+const MARGIN = '16px';
+
+const positions: string[] = [
+  'top-left',
+  'top-right',
+  'bottom-left',
+  'bottom-right',
+];
+
+interface FloatFrame {
+  element: HTMLElement;
+  // The player's container, kept as the player may look it up by an id another element has
+  container: HTMLElement;
+  dock: string;
+  width: number;
+  expandButton: HTMLButtonElement;
+  // Swapped when the component unmounts and the page takes the player over
+  onExpand: () => void;
+  onClose: () => void;
+}
+
+// Mounted JWPlayerDock elements by name, and the mini-players that can be placed in them
+const docks = new Map<string, HTMLElement>();
+const frames = new Set<FloatFrame>();
+
+interface FloatingPlayer {
+  player: JWPlayerInstance;
+  frame: FloatFrame;
+  forward: AllEventCallback;
+}
+
+// Players left playing in the mini-player by a component that unmounted, by id
+const floatingPlayers = new Map<string, FloatingPlayer>();
+
+// Puts the mini-player in its dock if one is mounted, otherwise in a corner of the viewport
+function placeFrame(frame: FloatFrame): void {
+  const { element } = frame;
+  const dock = docks.get(frame.dock);
+  element.removeAttribute('style');
+
+  if (dock) {
+    element.className = 'jwplayer-react-float jwplayer-react-float-docked';
+    dock.append(element);
+    return;
+  }
+
+  const position = positions.includes(frame.dock)
+    ? frame.dock
+    : DEFAULT_POSITION;
+  const [vertical, horizontal] = position.split('-');
+  element.className = `jwplayer-react-float jwplayer-react-float-${position}`;
+  Object.assign(element.style, {
+    position: 'fixed',
+    [vertical]: MARGIN,
+    [horizontal]: MARGIN,
+    width: `${frame.width}px`,
+    zIndex: '1000',
+  });
+  document.body.append(element);
+}
+
+function createButton(label: string, onClick: () => void): HTMLButtonElement {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.setAttribute('aria-label', `${label} player`);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createFrame(
+  { dock = DEFAULT_POSITION, width = DEFAULT_WIDTH }: FloatOptions,
+  container: HTMLElement,
+): FloatFrame {
+  const element = document.createElement('div');
+  element.setAttribute('role', 'region');
+  element.setAttribute('aria-label', 'Mini player');
+
+  const frame: FloatFrame = {
+    element,
+    container,
+    dock,
+    width,
+    expandButton: createButton('Expand', () => frame.onExpand()),
+    onExpand: () => {},
+    onClose: () => {},
+  };
+  const controls = document.createElement('div');
+  controls.className = 'jwplayer-react-float-controls';
+  controls.append(
+    frame.expandButton,
+    createButton('Close', () => frame.onClose()),
+  );
+  element.append(container, controls);
+
+  frames.add(frame);
+  placeFrame(frame);
+  return frame;
+}
+
+function removeFrame(frame: FloatFrame): void {
+  frames.delete(frame);
+  frame.element.remove();
+}
+
+// Removes a player left in the mini-player, as closing it does
+function removeFloatingPlayer(id: string): void {
+  const floating = floatingPlayers.get(id);
+  if (!floating) return;
+
+  const { player, frame } = floating;
+  floatingPlayers.delete(id);
+  unregisterPlayer(id, player);
+  player.off();
+  player.remove();
+  removeFrame(frame);
+}
+
+// Hands a player left in the mini-player to a new component with its id, putting its container
+// in place of `view` as setup would. Returns null if there is no such player
+export function takeFloatingPlayer(
+  id: string,
+  view: HTMLElement,
+): JWPlayerInstance | null {
+  const floating = floatingPlayers.get(id);
+  if (!floating) return null;
+
+  const { player, frame, forward } = floating;
+  floatingPlayers.delete(id);
+  player.off(ALL, forward);
+  view.replaceWith(frame.container);
+  removeFrame(frame);
+  return player;
+}
+
+export interface FloatController {
+  // Floats the player as its slot scrolls out of view. Returns a cleanup that puts it back
+  observe(slot: HTMLElement, player: JWPlayerInstance): () => void;
+  handleEvent(name: string): void;
+  float(): void;
+  // Puts the player back in its slot and scrolls to it
+  expand(): void;
+  // Pauses the player and puts it back in its slot. Scrolling no longer floats it until the
+  // slot has been back in view
+  close(): void;
+  // Leaves a playing player in the mini-player as the component unmounts. Returns whether it did
+  handOff(): boolean;
+  reset(): void;
+}
+
+// Moves the player's container between its slot in the page and a mini-player, so the player
+// isn't set up again and keeps playing
+export function createFloatController(
+  id: string,
+  getOptions: () => boolean | FloatOptions | undefined,
+  onChange: (floating: boolean, reason: FloatReason) => void,
+): FloatController {
+  let slot: HTMLElement | null = null;
+  let player: JWPlayerInstance | null = null;
+  let frame: FloatFrame | null = null;
+  let inView = true;
+  let dismissed = false;
+
+  const getResolved = (): FloatOptions | null => {
+    const options = getOptions();
+    if (!options) return null;
+    return options === true ? {} : options;
+  };
+
+  const float = (reason: FloatReason): void => {
+    const options = getResolved();
+    if (frame || !slot || !player || !options) return;
+
+    // Holds the player's place in the layout while it is away
+    slot.style.height = `${slot.offsetHeight}px`;
+    frame = createFrame(options, player.getContainer());
+    frame.onExpand = expand;
+    frame.onClose = close;
+    onChange(true, reason);
+  };
+
+  const unfloat = (reason: FloatReason): void => {
+    if (!frame || !slot || !player) return;
+
+    slot.append(frame.container);
+    slot.style.height = '';
+    removeFrame(frame);
+    frame = null;
+    onChange(false, reason);
+  };
+
+  const expand = (): void => {
+    if (!frame) return;
+
+    dismissed = true;
+    unfloat('expand');
+    slot?.scrollIntoView?.({ block: 'nearest' });
+  };
+
+  const close = (): void => {
+    if (!frame) return;
+
+    dismissed = true;
+    player?.pause();
+    unfloat('close');
+  };
+
+  const shouldFloat = (): boolean =>
+    !inView && !dismissed && getResolved()?.scroll !== false;
+
+  return {
+    observe(nextSlot, nextPlayer) {
+      slot = nextSlot;
+      player = nextPlayer;
+      inView = true;
+      dismissed = false;
+
+      let observer: IntersectionObserver | undefined;
+      if (typeof IntersectionObserver !== 'undefined') {
+        const { threshold = DEFAULT_THRESHOLD } = getResolved() || {};
+        observer = new IntersectionObserver(
+          (entries) => {
+            const entry = entries[entries.length - 1];
+            inView =
+              entry.isIntersecting && entry.intersectionRatio >= threshold;
+            if (inView) {
+              dismissed = false;
+              unfloat('scroll');
+            } else if (shouldFloat() && player?.getState() === 'playing') {
+              float('scroll');
+            }
+          },
+          { threshold },
+        );
+        observer.observe(nextSlot);
+      }
+
+      return () => {
+        observer?.disconnect();
+        unfloat('remove');
+        slot = null;
+        player = null;
+      };
+    },
+    handleEvent(name) {
+      if (name === 'play' && shouldFloat()) float('scroll');
+    },
+    float() {
+      float('api');
+    },
+    expand,
+    close,
+    handOff() {
+      const options = getResolved();
+      if (!options || options.navigation === false || !player) return false;
+      if (!frame && player.getState() !== 'playing') return false;
+
+      float('navigation');
+      if (!frame) return false;
+
+      const floating: FloatingPlayer = {
+        player,
+        frame,
+        forward: (name, data) => emitPlayerEvent(id, name, data),
+      };
+      // Without a slot to go back to, the mini-player can only be closed
+      frame.expandButton.hidden = true;
+      frame.onClose = () => removeFloatingPlayer(id);
+      player.on(ALL, floating.forward);
+      floatingPlayers.set(id, floating);
+      frame = null;
+      player = null;
+      return true;
+    },
+    reset() {
+      unfloat('remove');
+    },
+  };
+}
+
+interface FloatSlotProps {
+  floater: FloatController;
+  player: JWPlayerInstance | null;
+  enabled: boolean;
+  children: React.ReactNode;
+}
+
+// The player's place in the page, which it moves out of and back into
+function FloatSlot({ floater, player, enabled, children }: FloatSlotProps) {
+  const ref = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (!player || !enabled || !ref.current) return;
+
+    return floater.observe(ref.current, player);
+  }, [player, enabled]);
+
+  return (
+    <div className="jwplayer-react-float-slot" ref={ref}>
+      {children}
+    </div>
+  );
+}
+
+// Moves the player into a mini-player when `float` is set. `float` is read on mount to render
+// the slot the player moves out of
+export const floatFeature: JWPlayerFeature = (host) => {
+  const onChange = (floating: boolean, reason: FloatReason) =>
+    host.getProps().onFloatChange?.(floating, reason);
+  const floater = createFloatController(
+    host.id,
+    () => host.getProps().float,
+    onChange,
+  );
+  const hasSlot = !!host.getProps().float;
+
+  return {
+    takePlayer(view) {
+      const player = takeFloatingPlayer(host.id, view);
+      if (player) onChange(false, 'navigation');
+      return player;
+    },
+    handleEvent: floater.handleEvent,
+    handOff: floater.handOff,
+    reset: floater.reset,
+    renderView: (view, player) =>
+      hasSlot ? (
+        <FloatSlot
+          floater={floater}
+          player={player}
+          enabled={!!host.getProps().float}
+        >
+          {view}
+        </FloatSlot>
+      ) : (
+        view
+      ),
+    handle: {
+      float: floater.float,
+      expandFloat: floater.expand,
+      closeFloat: floater.close,
+    },
+  };
+};
+
+export interface JWPlayerDockProps {
+  // Floating players with this `dock` are shown here instead of in a corner
+  name: string;
+  className?: string;
+}
+
+// A place in the layout, such as a side rail, for mini-players to dock in
+export function JWPlayerDock({
+  name,
+  className = 'jwplayer-react-dock',
+}: JWPlayerDockProps) {
+  const ref = useRef<HTMLDivElement>(null);
+
+  // Mini-players are moved out before React removes the dock, so they keep playing
+  useIsomorphicLayoutEffect(() => {
+    const element = ref.current!;
+    docks.set(name, element);
+    frames.forEach((frame) => {
+      if (frame.dock === name) placeFrame(frame);
+    });
+
+    return () => {
+      if (docks.get(name) === element) docks.delete(name);
+      frames.forEach((frame) => {
+        if (frame.element.parentElement === element) placeFrame(frame);
+      });
+    };
+  }, [name]);
+
+  return <div ref={ref} className={className} data-dock={name} />;
+}
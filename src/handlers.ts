@@ -0,0 +1,80 @@
+import { ALL, COMPONENT_HANDLERS, ON_REGEX, ONCE_REGEX } from './const';
+import type { EventData } from './jwplayer';
+import { getHandlerName, getProp } from './util';
+
+type Handler = (...args: unknown[]) => void;
+
+interface CompiledHandler {
+  prop: string;
+  handler: Handler;
+  once: boolean;
+}
+
+// The on* and once* handlers in the props, by event name. `all` holds onAll and onceAll
+export type EventHandlers = Map<string, CompiledHandler[]>;
+
+// Reads the handlers out of the props, so events don't have to match every prop against
+// their name. Rebuilt only when the handler props change.
+export function compileEventHandlers(props: object): EventHandlers {
+  const handlers: EventHandlers = new Map();
+
+  Object.keys(props).forEach((prop) => {
+    const handler = getProp(props, prop);
+    if (typeof handler !== 'function') return;
+
+    // once* props also match ON_REGEX, so they are checked first
+    const onceName = getHandlerName(prop, ONCE_REGEX);
+    const name = onceName || getHandlerName(prop, ON_REGEX);
+    if (!name || (!onceName && COMPONENT_HANDLERS.has(prop))) return;
+
+    const compiled = { prop, handler: handler as Handler, once: !!onceName };
+    handlers.set(name, [...(handlers.get(name) || []), compiled]);
+  });
+
+  return handlers;
+}
+
+export interface EventDispatcher {
+  // Swaps in handlers compiled from new props. once* handlers that already fired stay fired
+  setHandlers(handlers: EventHandlers): void;
+  dispatch(name: string, data?: EventData): void;
+  // Lets once* handlers fire again, for the next player
+  reset(): void;
+}
+
+// Calls the handlers for each event, unless `hold` takes the event to deliver it later
+export function createEventDispatcher(
+  hold: (name: string, deliver: () => void) => boolean,
+): EventDispatcher {
+  let handlers: EventHandlers = new Map();
+  let fired = new Set<string>();
+
+  const call = (list: CompiledHandler[] | undefined, args: unknown[]) => {
+    list?.forEach(({ prop, handler, once }) => {
+      if (once) {
+        if (fired.has(prop)) return;
+        fired.add(prop);
+      }
+      handler(...args);
+    });
+  };
+
+  return {
+    setHandlers(next) {
+      handlers = next;
+    },
+    dispatch(name, data) {
+      if (!handlers.has(name) && !handlers.has(ALL)) return;
+
+      // Held back events are delivered to the handlers of the time they are delivered
+      const deliver = (): void => {
+        call(handlers.get(name), [data]);
+        call(handlers.get(ALL), [name, data]);
+      };
+      if (!hold(name, deliver)) deliver();
+    },
+    reset() {
+      fired = new Set();
+    },
+  };
+}
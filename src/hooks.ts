@@ -0,0 +1,193 @@
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useSyncExternalStore,
+} from 'react';
+import type {
+  Caption,
+  JWPlayerInstance,
+  JWPlayerPlaylistItem,
+  JWPlayerRef,
+  PlayerState,
+  QualityLevel,
+} from './jwplayer';
+import { PlayerContext } from './player-context';
+import {
+  getReadyPlayer,
+  getRegisteredPlayer,
+  subscribeToPlayerEvents,
+  subscribeToPlayers,
+} from './player-store';
+import { isEqual } from './reconcile';
+import { isBrowser } from './util';
+
+// A player id, or a ref attached to a JWPlayer component
+export type PlayerTarget = string | React.RefObject<JWPlayerRef | null>;
+
+export interface SelectorOptions<T> {
+  // Minimum time between re-renders caused by player events
+  throttleMs?: number;
+  isEqual?: (a: T, b: T) => boolean;
+}
+
+const getServerSnapshot = () => null;
+
+// Layout effect cleanups run before React removes the DOM, so they can move elements out of
+// it. Server rendering gets useEffect, which it skips without a warning
+export const useIsomorphicLayoutEffect = isBrowser()
+  ? useLayoutEffect
+  : useEffect;
+
+function getTargetId(target: PlayerTarget): string | undefined {
+  return typeof target === 'string' ? target : target.current?.id;
+}
+
+// Without a target, hooks used inside a JWPlayer's children or overlay follow that player.
+// A ref is only attached after the render that passes it, so it is read again as players are
+// registered
+export function useTargetId(target?: PlayerTarget): string | undefined {
+  const context = useContext(PlayerContext);
+  const getId = () =>
+    target === undefined ? context?.id : getTargetId(target);
+  return useSyncExternalStore(subscribeToPlayers, getId, getId);
+}
+
+// The player as soon as it is set up, for the component itself
+export function useRegisteredPlayer(id?: string): JWPlayerInstance | null {
+  return useSyncExternalStore(
+    subscribeToPlayers,
+    () => getRegisteredPlayer(id),
+    getServerSnapshot,
+  );
+}
+
+// The target player once it has fired `ready`, and null before and after it is removed
+export function useJWPlayer(target?: PlayerTarget): JWPlayerInstance | null {
+  const id = useTargetId(target);
+  return useSyncExternalStore(
+    subscribeToPlayers,
+    () => getReadyPlayer(id),
+    getServerSnapshot,
+  );
+}
+
+// Subscribes to `events` of the target player and returns `select(player)`, re-rendering only
+// when the selected value changes
+export function usePlayerSelector<T>(
+  target: PlayerTarget | undefined,
+  events: string[],
+  select: (player: JWPlayerInstance) => T,
+  { throttleMs = 0, isEqual: equals = isEqual }: SelectorOptions<T> = {},
+): T | undefined {
+  const id = useTargetId(target);
+  const player = useRegisteredPlayer(id);
+  const cacheRef = useRef<{ player: JWPlayerInstance | null; value?: T }>({
+    player: null,
+  });
+  const eventKey = events.join();
+
+  const subscribe = useCallback(
+    (onChange: () => void) => {
+      if (!id) return () => {};
+
+      let lastChange = 0;
+      let timeout: ReturnType<typeof setTimeout> | undefined;
+
+      const unsubscribe = subscribeToPlayerEvents(id, (name) => {
+        if (!events.includes(name)) return;
+
+        const wait = lastChange + throttleMs - Date.now();
+        if (wait <= 0) {
+          lastChange = Date.now();
+          onChange();
+        } else if (!timeout) {
+          timeout = setTimeout(() => {
+            timeout = undefined;
+            lastChange = Date.now();
+            onChange();
+          }, wait);
+        }
+      });
+
+      return () => {
+        clearTimeout(timeout);
+        unsubscribe();
+      };
+    },
+    [id, eventKey, throttleMs],
+  );
+
+  const getSnapshot = (): T | undefined => {
+    const cache = cacheRef.current;
+    if (!player) return undefined;
+
+    const value = select(player);
+    if (cache.player !== player || !equals(cache.value as T, value)) {
+      cacheRef.current = { player, value };
+    }
+
+    return cacheRef.current.value;
+  };
+
+  return useSyncExternalStore(subscribe, getSnapshot, () => undefined);
+}
+
+const stateEvents = [
+  'ready',
+  'play',
+  'pause',
+  'buffer',
+  'idle',
+  'complete',
+  'playlistItem',
+  'error',
+];
+
+export function usePlayerState(target?: PlayerTarget): PlayerState | undefined {
+  return usePlayerSelector(target, stateEvents, (player) => player.getState());
+}
+
+const positionEvents = ['ready', 'time', 'seek', 'seeked', 'playlistItem'];
+
+export function usePlayerPosition(
+  target?: PlayerTarget,
+  { throttleMs = 0 }: { throttleMs?: number } = {},
+): number | undefined {
+  return usePlayerSelector(
+    target,
+    positionEvents,
+    (player) => player.getPosition(),
+    { throttleMs },
+  );
+}
+
+const playlistItemEvents = ['ready', 'playlist', 'playlistItem'];
+
+export function usePlaylistItem(
+  target?: PlayerTarget,
+): JWPlayerPlaylistItem | undefined {
+  return usePlayerSelector(target, playlistItemEvents, (player) =>
+    player.getPlaylistItem(),
+  );
+}
+
+const qualityEvents = ['ready', 'levels', 'levelsChanged', 'playlistItem'];
+
+export function useQualityLevels(
+  target?: PlayerTarget,
+): QualityLevel[] | undefined {
+  return usePlayerSelector(target, qualityEvents, (player) =>
+    player.getQualityLevels(),
+  );
+}
+
+const captionsEvents = ['ready', 'captionsList', 'captionsChanged'];
+
+export function useCaptionsList(target?: PlayerTarget): Caption[] | undefined {
+  return usePlayerSelector(target, captionsEvents, (player) =>
+    player.getCaptionsList(),
+  );
+}
@@ -0,0 +1,11 @@
+// The main entry point, with everything in the core, hooks and plugins entry points and a
+// JWPlayer that has every feature
+import JWPlayer from './default-player';
+
+export * from './entries/core';
+export * from './entries/hooks';
+export * from './entries/plugins';
+
+export { JWPlayer };
+
+export default JWPlayer;
@@ -0,0 +1,41 @@
+import type { RefObject } from 'react';
+import type {
+  AllEventCallback,
+  JWPlayerInstance,
+  JWPlayerProps,
+  JWPlayerRef,
+} from './jwplayer';
+
+// Lifecycle internals of a mounted component. They are kept off the public ref and only
+// reachable through the testing entry point
+export interface JWPlayerInternals {
+  ref: RefObject<HTMLDivElement | null>;
+  player: JWPlayerInstance | null;
+  id: string;
+  didMountCallback?: JWPlayerProps['didMountCallback'];
+  willUnmountCallback?: JWPlayerProps['willUnmountCallback'];
+  onHandler: AllEventCallback | null;
+  componentDidMount: (token?: { cancelled: boolean }) => Promise<void>;
+  shouldComponentUpdate: (nextProps: JWPlayerProps) => boolean;
+  updateOnEventListener: (nextProps: JWPlayerProps) => void;
+  didOnEventsChange: (nextProps: JWPlayerProps) => boolean;
+}
+
+// Registered symbol so the testing bundle finds internals set by the main bundle
+const INTERNALS = Symbol.for('jwplayer-react.internals');
+
+export function setInternals(
+  handle: JWPlayerRef,
+  value: JWPlayerInternals,
+): void {
+  Object.defineProperty(handle, INTERNALS, { value });
+}
+
+export function getInternals(handle: JWPlayerRef): JWPlayerInternals {
+  const record = handle as unknown as Record<symbol, unknown> | null;
+  const value = record?.[INTERNALS];
+  if (!value) {
+    throw new Error('jwplayer-react: getInternals expects a JWPlayer ref');
+  }
+  return value as JWPlayerInternals;
+}
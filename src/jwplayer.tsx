@@ -1,9 +1,75 @@
-import React, { useEffect, useImperativeHandle, useMemo, useRef } from 'react';
-import { ALL, ON_REGEX, ONCE_REGEX } from './const';
+import React, {
+  useContext,
+  useEffect,
+  useId,
+  useImperativeHandle,
+  useRef,
+  useState,
+} from 'react';
+import { createPortal } from 'react-dom';
+import type { AnalyticsAdapter, AnalyticsOptions } from './analytics';
+import type { ConfigPropName } from './config-props';
+import { ALL, ON_REGEX } from './const';
+import {
+  applyControlledProps,
+  applyInitialValues,
+  controlledConfigKeys,
+  ControlledKey,
+  getControlledConfig,
+  getSetupPending,
+  handleControlledEvent,
+  PendingValues,
+  reassertControlledProps,
+} from './controlled';
+import type { CuePoint } from './cue-points';
+import {
+  createEventError,
+  createPlayerError,
+  isErrorEvent,
+  JWPlayerError,
+  JWPlayerErrorPhase,
+  LIBRARY_LOAD_FAILED,
+  LIBRARY_MISSING,
+  SETUP_FAILED,
+} from './errors';
+import type { JWPlayerEventProps } from './events';
+import { createFeatures, JWPlayerFeature } from './feature';
+import type { FloatOptions, FloatReason } from './float';
+import { compileEventHandlers, createEventDispatcher } from './handlers';
+import { useIsomorphicLayoutEffect, useRegisteredPlayer } from './hooks';
+import { setInternals } from './internals';
+import {
+  addLibraryHints,
+  DEFAULT_ROOT_MARGIN,
+  LazyOptions,
+  observeNearViewport,
+} from './lazy';
+import type { MediaSessionOptions } from './media-session';
+import {
+  createOverlayHost,
+  PlayerOverlay,
+  PlayerOverlayState,
+} from './overlay';
+import type { PersistOptions } from './persist';
+import { Facade, Placeholder } from './placeholder';
+import { PlayerContext } from './player-context';
+import {
+  emitPlayerEvent,
+  markPlayerReady,
+  registerPlayer,
+  unregisterPlayer,
+} from './player-store';
+import { JWPlayerContext } from './provider';
+import type { QoEReport } from './qoe';
+import { createReadyQueue } from './ready-queue';
+import { forwardFunctions, getConfigUpdates } from './reconcile';
+import type { EventThrottle } from './throttle';
 import {
   generateConfig,
   generateUniqueId,
-  getHandlerName,
+  getPlayerLibrary,
+  getProp,
+  LibraryLoadOptions,
   loadPlayer,
 } from './util';
 
@@ -35,9 +101,75 @@ export interface JWPlayerConfig {
   primary?: 'html5' | 'flash';
   skin?: JWPlayerSkin;
   tracks?: JWPlayerTrack[];
+  sources?: JWPlayerSource[];
+  playlistIndex?: number;
+  volume?: number;
+  duration?: number;
+  type?: string;
+  streamtype?: string;
+  aboutlink?: string;
+  abouttext?: string;
+  aestoken?: string;
+  allowFullscreen?: boolean;
+  analytics?: Record<string, unknown>;
+  androidhls?: boolean;
+  autoPause?: { viewability?: boolean; pauseAds?: boolean };
+  base?: string;
+  defaultBandwidthEstimate?: number;
+  displayHeading?: boolean;
+  displayPlaybackLabel?: boolean;
+  doNotTrack?: boolean;
+  doNotTrackCookies?: boolean;
+  drm?: Record<string, unknown>;
+  enableDefaultCaptions?: boolean;
+  events?: Record<string, (event: unknown) => void>;
+  floating?: {
+    mode?: 'notVisible' | 'always' | 'never';
+    dismissible?: boolean;
+  };
+  forceLocalizationDefaults?: boolean;
+  fwassetid?: string;
+  generateSEOMetadata?: boolean;
+  hlsjsConfig?: Record<string, unknown>;
+  hlsjsdefault?: boolean;
+  hlsjsProgressive?: boolean;
+  horizontalVolumeSlider?: boolean;
+  images?: Record<string, unknown>[];
+  intl?: Record<string, Record<string, unknown>>;
+  listbar?: Record<string, unknown>;
+  liveSyncDuration?: number;
+  liveTimeout?: number;
+  localization?: Record<string, unknown>;
+  nextUpDisplay?: boolean;
+  nextupoffset?: number | string;
+  pad?: string;
+  ph?: number;
+  pid?: string;
+  pipIcon?: 'enabled' | 'disabled';
+  playbackRateControls?: boolean;
+  playbackRates?: number[];
+  plugins?: Record<string, Record<string, unknown>>;
+  qualityLabel?: string;
+  qualityLabels?: Record<number, string>;
+  recommendations?: string;
+  related?: Record<string, unknown>;
+  renderCaptionsNatively?: boolean;
+  safarihlsjs?: boolean;
+  sdkplatform?: number;
+  selectedBitrate?: number;
+  setTimeEvents?: boolean;
+  sharing?: Record<string, unknown>;
+  stagevideo?: boolean;
+  variations?: Record<string, unknown>;
+  withCredentials?: boolean;
+  __abSendDomainToFeeds?: boolean;
+  _abZoomThumbnail?: boolean;
   [key: string]: unknown;
 }
 
+// Config options accepted as individual component props
+export type JWPlayerConfigProps = Pick<JWPlayerConfig, ConfigPropName>;
+
 export interface JWPlayerSource {
   file: string;
   label?: string;
@@ -129,7 +261,9 @@ export interface JWPlayerInstance {
   setVolume(volume: number): void;
   setPlaybackRate(rate: number): void;
   setFullscreen(state: boolean): void;
-  resize(width: number, height: number): void;
+  setControls(state?: boolean): void;
+  setCaptions(styles: JWPlayerCaptions): void;
+  resize(width: number | string, height: number | string): void;
   remove(): void;
   getState(): PlayerState;
   getPlaylist(): JWPlayerPlaylistItem[];
@@ -242,63 +376,111 @@ export interface JWPlayerFunction {
 // Declare global jwplayer types
 declare global {
   interface Window {
-    jwplayer: JWPlayerFunction;
+    jwplayer?: JWPlayerFunction;
     jwDefaults?: Partial<JWPlayerConfig>;
   }
 }
 
-// Props type - supports onEventName, onceEventName, and onAll handlers
-export interface JWPlayerProps {
+// Props type - config options, typed on<Event>/once<Event> handlers and onAll
+export interface JWPlayerProps extends JWPlayerConfigProps, JWPlayerEventProps {
   id?: string;
   library?: string;
   config?: Partial<JWPlayerConfig>;
+  // Timeout, retry and script attributes used when the component loads `library`
+  libraryOptions?: LibraryLoadOptions;
+  onLibraryLoad?: () => void;
+  onLibraryError?: (error: Error) => void;
+  // Called when the library can't be loaded or the player fails to set up
+  onSetupError?: (error: JWPlayerError) => void;
+  // Rendered in place of the player after a library or setup error
+  fallback?: React.ReactNode;
+  renderError?: (error: JWPlayerError) => React.ReactNode;
+  // Also swaps the player for the fallback after a playback error. Off by default, as the
+  // player can often recover, e.g. by moving on to the next playlist item
+  fallbackOnPlaybackError?: boolean;
+  // Rendered (also on the server) until the player is set up. `true` renders a box sized by
+  // `aspectratio` or `width`/`height` with the poster `image`
+  placeholder?: boolean | React.ReactNode;
+  // Defers loading the library and setting up the player until it nears the viewport or the
+  // poster facade is clicked
+  lazy?: boolean | LazyOptions;
+  // Resource hints added for `library` on mount
+  preconnect?: boolean;
+  prefetch?: boolean;
+  // Features added to the component, read on mount. The props below up to `analyticsOptions`,
+  // and `eventThrottle`, each need their feature. The main entry point's JWPlayer has them all
+  features?: JWPlayerFeature[];
+  // Cues entered and exited as playback, seeks and playlist changes move the position
+  cuePoints?: CuePoint[];
+  onCueEnter?: (cue: CuePoint) => void;
+  onCueExit?: (cue: CuePoint) => void;
+  // Saves viewer preferences and playback positions, and restores them on the next setup
+  persist?: PersistOptions;
+  // Shows the current item on the lock screen and in notifications, and takes media keys,
+  // while this player is the one playing
+  mediaSession?: boolean | MediaSessionOptions;
+  // Moves the player into a mini-player while it plays out of view, and after the component
+  // unmounts. Read on mount to render the slot the player moves out of
+  float?: boolean | FloatOptions;
+  onFloatChange?: (floating: boolean, reason: FloatReason) => void;
+  // Called with QoE metrics for each playlist item as it completes or the player is removed
+  onMetrics?: (report: QoEReport) => void;
+  // Adapters that receive normalized analytics records in batches. `analytics` is left to the
+  // JW config option of that name
+  analyticsAdapters?: AnalyticsAdapter[];
+  analyticsOptions?: AnalyticsOptions;
+  // Rendered over the video, inside the player's container, once the player is set up
+  children?: React.ReactNode;
+  overlay?: (state: PlayerOverlayState) => React.ReactNode;
   didMountCallback?: (args: { player: JWPlayerInstance; id: string }) => void;
   willUnmountCallback?: (args: {
     player: JWPlayerInstance;
     id: string;
   }) => void;
   onAll?: AllEventCallback;
-  // Allow dynamic on* and once* handlers as well as config properties
-  // Using any here for dynamic properties is acceptable as we use type guards when accessing
-  [key: string]: any; // eslint-disable-line @typescript-eslint/no-explicit-any
+  // Limits how often the handlers of high-frequency events such as `time` are called
+  eventThrottle?: EventThrottle;
+  // Controlled playback props and their change callbacks
+  playing?: boolean;
+  defaultPlaying?: boolean;
+  onPlayingChange?: (playing: boolean) => void;
+  muted?: boolean;
+  defaultMuted?: boolean;
+  onMutedChange?: (muted: boolean) => void;
+  volume?: number;
+  defaultVolume?: number;
+  onVolumeChange?: (volume: number) => void;
+  currentTime?: number;
+  defaultCurrentTime?: number;
+  onSeekRequest?: (position: number) => void;
+  fullscreen?: boolean;
+  defaultFullscreen?: boolean;
+  onFullscreenChange?: (fullscreen: boolean) => void;
 }
 
 // Ref type exposed through imperative handle
 export interface JWPlayerRef {
-  ref: React.RefObject<HTMLDivElement | null>;
-  player: JWPlayerInstance | null;
   id: string;
-  didMountCallback?: (args: { player: JWPlayerInstance; id: string }) => void;
-  willUnmountCallback?: (args: {
-    player: JWPlayerInstance;
-    id: string;
-  }) => void;
-  onHandler: AllEventCallback | null;
-  componentDidMount: () => Promise<void>;
-  shouldComponentUpdate: (nextProps: JWPlayerProps) => boolean;
-  updateOnEventListener: (nextProps: JWPlayerProps) => void;
-  didOnEventsChange: (nextProps: JWPlayerProps) => boolean;
+  // Playback controls. Calls made before the player is ready are queued and run once it is
+  play(): void;
+  pause(): void;
+  seek(position: number): void;
+  load(playlist: JWPlayerPlaylistItem[] | string): void;
+  // The player instance, or null before setup and after unmount
+  getPlayer(): JWPlayerInstance | null;
+  // Resolves with the player once it has fired `ready`
+  whenReady(): Promise<JWPlayerInstance>;
+  // The player's container once it is set up, otherwise the element it will be set up in
+  getContainer(): HTMLElement | null;
+  // Moves the player into the mini-player, puts it back in its place, or pauses it and closes
+  // the mini-player. Only with `float` and its feature
+  float(): void;
+  expandFloat(): void;
+  closeFloat(): void;
 }
 
-function createOnEventHandler(props: JWPlayerProps): AllEventCallback {
-  return (name: string, optReturn?: EventData) => {
-    Object.keys(props).forEach((prop) => {
-      const onHandlerName = getHandlerName(prop, ON_REGEX);
-      // Only process if we have a valid handler name
-      if (onHandlerName && onHandlerName === name) {
-        const handler = props[prop];
-        if (typeof handler === 'function') {
-          handler(optReturn);
-        }
-      }
-      if (onHandlerName === ALL) {
-        const handler = props[prop];
-        if (typeof handler === 'function') {
-          handler(name, optReturn);
-        }
-      }
-    });
-  };
+interface CancelToken {
+  cancelled: boolean;
 }
 
 const JWPlayer = React.forwardRef<JWPlayerRef, JWPlayerProps>(
@@ -306,34 +488,151 @@ const JWPlayer = React.forwardRef<JWPlayerRef, JWPlayerProps>(
     const internalRef = useRef<HTMLDivElement>(null);
     const playerRef = useRef<JWPlayerInstance | null>(null);
     const onHandlerRef = useRef<AllEventCallback | null>(null);
+    // Props the player was last set up or updated with
     const propsRef = useRef<JWPlayerProps>(props);
-    const idRef = useRef<string>(props.id || generateUniqueId());
+    // Props from the latest render, picked up once an async mount completes
+    const latestPropsRef = useRef<JWPlayerProps>(props);
+    const reactId = useId();
+    const idRef = useRef<string>(props.id || generateUniqueId(reactId));
     const mountedRef = useRef<boolean>(false);
+    // The library URL the player was set up from, so it uses that library's jwplayer function
+    // even after another library has replaced the global
+    const libraryRef = useRef<string | undefined>(undefined);
+    const pendingRef = useRef<PendingValues>({});
+    // Controlled values the player changed by itself, put back after the render that follows
+    const changedRef = useRef(new Set<ControlledKey>());
+    const [changeCount, setChangeCount] = useState(0);
+    const [error, setError] = useState<JWPlayerError | null>(null);
+    // Incremented by retry() to run the mount path again
+    const [attempt, setAttempt] = useState(0);
+    const [activated, setActivated] = useState(false);
+    // Set when the lazy facade is clicked, so playback starts as soon as the player is set up
+    const playOnSetupRef = useRef<boolean>(false);
+    const active = activated || !props.lazy;
+    const [readyQueue] = useState(createReadyQueue);
+    const [features] = useState(() =>
+      createFeatures(props.features || [], {
+        id: idRef.current,
+        getProps: () => latestPropsRef.current,
+        getPlayer: () => playerRef.current,
+      }),
+    );
+    const [dispatcher] = useState(() =>
+      createEventDispatcher((name, deliver) =>
+        features.some((feature) => feature.holdEvent?.(name, deliver)),
+      ),
+    );
+    // The set-up player, which re-renders the component as it is set up and removed
+    const player = useRegisteredPlayer(idRef.current);
+    const [overlayHost, setOverlayHost] = useState<HTMLElement | null>(null);
+    const hasOverlay = props.children != null || !!props.overlay;
+    const [playerContext] = useState(() => ({ id: idRef.current }));
 
-    // Update props ref for closure access
-    propsRef.current = props;
+    latestPropsRef.current = props;
+    const context = useContext(JWPlayerContext);
+    const contextRef = useRef(context);
+    contextRef.current = context;
 
-    const config = useMemo(() => generateConfig(props), [props]);
+    // The library props, falling back to the nearest JWPlayerProvider
+    const getLibraryProps = (source: JWPlayerProps) => ({
+      library: source.library ?? contextRef.current?.library,
+      libraryOptions: {
+        ...contextRef.current?.libraryOptions,
+        ...source.libraryOptions,
+      },
+    });
 
     const createPlayer = (): JWPlayerInstance => {
-      const setupConfig = { ...window.jwDefaults, ...config };
+      const setupConfig = Object.assign(
+        { ...window.jwDefaults, ...contextRef.current?.defaults },
+        ...features.map((feature) =>
+          feature.getSetupConfig?.(propsRef.current),
+        ),
+        getControlledConfig(propsRef.current),
+        generateConfig(propsRef.current),
+      );
+      if (process.env.NODE_ENV !== 'production') {
+        features.forEach((feature) => {
+          feature.validateProps?.(propsRef.current);
+          feature.validateConfig?.(setupConfig, libraryRef.current);
+        });
+      }
+      pendingRef.current = getSetupPending(propsRef.current);
       const view = internalRef.current;
-      return window.jwplayer(view!.id).setup(setupConfig);
+      const jwplayer = getPlayerLibrary(libraryRef.current);
+      return jwplayer!(view!.id).setup(
+        forwardFunctions(setupConfig, () => generateConfig(propsRef.current)),
+      );
     };
 
-    const createEventListeners = (): void => {
-      Object.keys(propsRef.current).forEach((prop) => {
-        const onceHandlerName = getHandlerName(prop, ONCE_REGEX);
-        if (onceHandlerName && playerRef.current) {
-          const handler = propsRef.current[prop];
-          if (typeof handler === 'function') {
-            playerRef.current.once(onceHandlerName, handler as EventCallback);
-          }
+    const retry = (): void => {
+      setError(null);
+      setAttempt((count) => count + 1);
+    };
+
+    // Reports an error to onSetupError and swaps the player for the fallback if there is one.
+    // Returns false if nothing handled the error.
+    const reportError = (playerError: JWPlayerError): boolean => {
+      const { onSetupError, fallback, renderError, fallbackOnPlaybackError } =
+        latestPropsRef.current;
+      const isPlayback = playerError.phase === 'playback';
+      const hasFallback =
+        (!!renderError || fallback !== undefined) &&
+        (!isPlayback || !!fallbackOnPlaybackError);
+
+      if (onSetupError && !isPlayback) {
+        onSetupError(playerError);
+      }
+
+      if (hasFallback) {
+        destroyPlayer();
+        setError(playerError);
+      }
+
+      return hasFallback || (!!onSetupError && !isPlayback);
+    };
+
+    const reportFailure = (
+      phase: JWPlayerErrorPhase,
+      code: string,
+      cause: unknown,
+    ): boolean => reportError(createPlayerError(phase, code, cause, retry));
+
+    // Internal handling of every player event, ahead of the on* and once* props. The props'
+    // handlers are compiled here, which only runs on setup and when they change
+    const createEventHandler = (
+      eventProps: JWPlayerProps,
+    ): AllEventCallback => {
+      dispatcher.setHandlers(compileEventHandlers(eventProps));
+
+      return (name, data) => {
+        if (name === 'ready' && playerRef.current) {
+          applyInitialValues(playerRef.current, eventProps, pendingRef.current);
+          readyQueue.ready(playerRef.current);
+          markPlayerReady(playerRef.current);
         }
-      });
+        const changed = handleControlledEvent(
+          eventProps,
+          pendingRef.current,
+          name,
+          data,
+        ).filter((key) => latestPropsRef.current[key] !== undefined);
+        if (changed.length) {
+          changed.forEach((key) => changedRef.current.add(key));
+          setChangeCount((count) => count + 1);
+        }
+        features.forEach((feature) => feature.handleEvent?.(name, data));
+        emitPlayerEvent(idRef.current, name, data);
+        if (isErrorEvent(name)) {
+          reportError(createEventError(name, data, retry));
+        }
+        dispatcher.dispatch(name, data);
+      };
+    };
 
-      // each on event is handled through the on('ALL') event listener instead of its own listener
-      onHandlerRef.current = createOnEventHandler(propsRef.current);
+    // Every event is handled through one on('all') listener instead of one per event
+    const createEventListeners = (): void => {
+      onHandlerRef.current = createEventHandler(propsRef.current);
       if (playerRef.current) {
         playerRef.current.on(ALL, onHandlerRef.current);
       }
@@ -354,7 +653,7 @@ const JWPlayer = React.forwardRef<JWPlayerRef, JWPlayerProps>(
       const newEvents = nextEvents.some(
         (event, index) =>
           currEvents[index] !== event ||
-          nextProps[event] !== propsRef.current[event],
+          getProp(nextProps, event) !== getProp(propsRef.current, event),
       );
 
       return newEvents;
@@ -365,7 +664,7 @@ const JWPlayer = React.forwardRef<JWPlayerRef, JWPlayerProps>(
         playerRef.current.off(ALL, onHandlerRef.current);
       }
 
-      onHandlerRef.current = createOnEventHandler(nextProps);
+      onHandlerRef.current = createEventHandler(nextProps);
       if (playerRef.current) {
         playerRef.current.on(ALL, onHandlerRef.current);
       }
@@ -384,89 +683,409 @@ const JWPlayer = React.forwardRef<JWPlayerRef, JWPlayerProps>(
       return true;
     };
 
-    const componentDidMount = async (): Promise<void> => {
-      await loadPlayer(props.library);
-      playerRef.current = createPlayer();
+    // Also takes over a player that is already set up, such as one left in the mini-player
+    const setupPlayer = (player: JWPlayerInstance = createPlayer()): void => {
+      playerRef.current = player;
       createEventListeners();
+      registerPlayer(idRef.current, playerRef.current);
+      contextRef.current?.registry.register(idRef.current, playerRef.current);
 
-      if (props.didMountCallback) {
-        props.didMountCallback({
-          player: playerRef.current,
-          id: idRef.current,
-        });
+      const { didMountCallback } = propsRef.current;
+      if (didMountCallback) {
+        didMountCallback({ player: playerRef.current, id: idRef.current });
       }
     };
 
-    // Expose instance methods for tests
-    useImperativeHandle(forwardedRef, () => ({
-      get ref() {
-        return internalRef;
-      },
-      get player() {
-        return playerRef.current;
-      },
-      set player(value: JWPlayerInstance | null) {
-        playerRef.current = value;
-      },
-      get id() {
-        return idRef.current;
-      },
-      get didMountCallback() {
-        return props.didMountCallback;
-      },
-      get willUnmountCallback() {
-        return props.willUnmountCallback;
-      },
-      get onHandler() {
-        return onHandlerRef.current;
-      },
-      set onHandler(value: AllEventCallback | null) {
-        onHandlerRef.current = value;
-      },
-      componentDidMount,
-      shouldComponentUpdate,
-      updateOnEventListener,
-      didOnEventsChange,
-    }));
+    // Removes the current player, if there is one, so it is safe to call more than once
+    const destroyPlayer = (): void => {
+      const player = playerRef.current;
+      if (!player) return;
+
+      const { willUnmountCallback } = propsRef.current;
+      if (willUnmountCallback) {
+        willUnmountCallback({ player, id: idRef.current });
+      }
+
+      unregisterPlayer(idRef.current, player);
+      contextRef.current?.registry.unregister(idRef.current, player);
+      resetPlayerState();
+      player.off();
+      player.remove();
+      playerRef.current = null;
+    };
+
+    const resetPlayerState = (): void => {
+      readyQueue.reset();
+      dispatcher.reset();
+      features.forEach((feature) => feature.reset?.());
+    };
+
+    // Leaves the player to a feature that keeps it alive as the component unmounts, such as in
+    // the mini-player, dropping only what belongs to the component. It stays registered under
+    // its id for the next JWPlayer to take
+    const handOffPlayer = (): void => {
+      const player = playerRef.current;
+      if (!player || !features.some((feature) => feature.handOff?.())) return;
+
+      const { willUnmountCallback } = propsRef.current;
+      if (willUnmountCallback) {
+        willUnmountCallback({ player, id: idRef.current });
+      }
+
+      contextRef.current?.registry.unregister(idRef.current, player);
+      resetPlayerState();
+      if (onHandlerRef.current) {
+        player.off(ALL, onHandlerRef.current);
+      }
+      playerRef.current = null;
+    };
+
+    // Tears the player down and sets it up again, for config changes that can't be applied
+    // live. Unless the content changed too, the new player picks up the item, position and
+    // play state of the one it replaces
+    const recreatePlayer = (keepPlace: boolean): void => {
+      const player = keepPlace ? playerRef.current : null;
+      const resume = player && {
+        index: player.getPlaylistIndex(),
+        position: player.getPosition(),
+        playing: player.getState() === 'playing',
+      };
+      destroyPlayer();
+      setupPlayer();
+      if (!resume) return;
+
+      readyQueue.run((next) => {
+        if (resume.index > 0) next.playlistItem(resume.index);
+        if (resume.position > 0) next.seek(resume.position);
+        if (resume.playing) next.play();
+      });
+    };
+
+    const updatePlayerConfig = (nextProps: JWPlayerProps): void => {
+      const player = playerRef.current;
+      const prevConfig = generateConfig(propsRef.current);
+      const nextConfig = generateConfig(nextProps);
+
+      propsRef.current = nextProps;
+      if (!player) return;
+
+      const { setup, content, updates } = getConfigUpdates(
+        prevConfig,
+        nextConfig,
+        controlledConfigKeys,
+      );
+
+      if (setup) {
+        recreatePlayer(!content);
+        return;
+      }
+
+      updates.forEach((update) => update(player, nextConfig));
+    };
+
+    // The mount path is async, so each run gets a token that is cancelled if the component
+    // unmounts before the library has loaded
+    const componentDidMount = async (
+      token: CancelToken = { cancelled: false },
+    ): Promise<void> => {
+      const { onLibraryLoad, onLibraryError } = latestPropsRef.current;
+      const { library, libraryOptions } = getLibraryProps(
+        latestPropsRef.current,
+      );
+
+      libraryRef.current = library;
+
+      // A player a feature kept for this id, such as one left in the mini-player by an unmounted
+      // JWPlayer, is taken back as it is, without loading the library or setting it up
+      const view = internalRef.current;
+      let kept: JWPlayerInstance | null = null;
+      features.forEach((feature) => {
+        if (!kept && view) kept = feature.takePlayer?.(view) || null;
+      });
+      if (kept) {
+        destroyPlayer();
+        propsRef.current = latestPropsRef.current;
+        setupPlayer(kept);
+        readyQueue.ready(kept);
+        markPlayerReady(kept);
+        return;
+      }
+
+      // The update effect waits for the mount, so a library changed during the load is
+      // picked up here and loaded in a new attempt
+      const didLibraryChange = (): boolean =>
+        getLibraryProps(latestPropsRef.current).library !== library;
+
+      try {
+        await loadPlayer(library, libraryOptions);
+      } catch (loadError) {
+        if (token.cancelled) return;
+        if (didLibraryChange()) {
+          setAttempt((count) => count + 1);
+          return;
+        }
+        if (onLibraryError) {
+          onLibraryError(loadError as Error);
+        }
+
+        const code = library ? LIBRARY_LOAD_FAILED : LIBRARY_MISSING;
+        if (!reportFailure('library', code, loadError) && !onLibraryError) {
+          throw loadError;
+        }
+        return;
+      }
+
+      if (token.cancelled) return;
+      if (didLibraryChange()) {
+        setAttempt((count) => count + 1);
+        return;
+      }
+
+      if (onLibraryLoad) {
+        onLibraryLoad();
+      }
+
+      destroyPlayer();
+      propsRef.current = latestPropsRef.current;
+
+      try {
+        setupPlayer();
+      } catch (setupError) {
+        if (!reportFailure('setup', SETUP_FAILED, setupError)) {
+          throw setupError;
+        }
+        return;
+      }
+
+      if (playOnSetupRef.current && playerRef.current) {
+        playOnSetupRef.current = false;
+        playerRef.current.play();
+      }
+    };
+
+    const activate = (): void => {
+      setActivated(true);
+    };
+
+    const playFacade = (): void => {
+      playOnSetupRef.current = true;
+      activate();
+    };
+
+    useImperativeHandle(forwardedRef, () => {
+      const handle: JWPlayerRef = {
+        get id() {
+          return idRef.current;
+        },
+        play() {
+          // Sets up a lazy player straight away, as clicking its facade does
+          activate();
+          readyQueue.run((player) => player.play());
+        },
+        pause() {
+          readyQueue.run((player) => player.pause());
+        },
+        seek(position) {
+          readyQueue.run((player) => player.seek(position));
+        },
+        load(playlist) {
+          readyQueue.run((player) => player.load(playlist));
+        },
+        getPlayer() {
+          return playerRef.current;
+        },
+        whenReady() {
+          return readyQueue.whenReady();
+        },
+        getContainer() {
+          return playerRef.current
+            ? playerRef.current.getContainer()
+            : internalRef.current;
+        },
+        float() {},
+        expandFloat() {},
+        closeFloat() {},
+      };
+      features.forEach((feature) => Object.assign(handle, feature.handle));
+
+      setInternals(handle, {
+        get ref() {
+          return internalRef;
+        },
+        get player() {
+          return playerRef.current;
+        },
+        set player(value: JWPlayerInstance | null) {
+          playerRef.current = value;
+        },
+        get id() {
+          return idRef.current;
+        },
+        get didMountCallback() {
+          return props.didMountCallback;
+        },
+        get willUnmountCallback() {
+          return props.willUnmountCallback;
+        },
+        get onHandler() {
+          return onHandlerRef.current;
+        },
+        set onHandler(value: AllEventCallback | null) {
+          onHandlerRef.current = value;
+        },
+        componentDidMount,
+        shouldComponentUpdate,
+        updateOnEventListener,
+        didOnEventsChange,
+      });
+
+      return handle;
+    });
+
+    useEffect(() => {
+      const { preconnect, prefetch } = props;
+      const { library } = getLibraryProps(props);
+      if (library && (preconnect || prefetch)) {
+        addLibraryHints(library, { preconnect, prefetch });
+      }
+    }, []);
+
+    // Lazy players wait for the viewport before mounting
+    useEffect(() => {
+      if (active || !internalRef.current) return;
+
+      const { rootMargin = DEFAULT_ROOT_MARGIN } =
+        typeof props.lazy === 'object' ? props.lazy : {};
+      return observeNearViewport(internalRef.current, rootMargin, activate);
+    }, [active]);
+
+    useEffect(() => {
+      if (!player || !hasOverlay) return;
+
+      const host = createOverlayHost(player.getContainer());
+      setOverlayHost(host);
+      return () => {
+        host.remove();
+        setOverlayHost(null);
+      };
+    }, [player, hasOverlay]);
+
+    // Runs before React removes the slot, so the player can be moved out of it
+    useIsomorphicLayoutEffect(() => handOffPlayer, []);
 
     // Mount effect
     useEffect(() => {
+      if (!active) return;
+
+      const token: CancelToken = { cancelled: false };
+
+      // Errors nothing handled are logged rather than left to reject the effect's promise
       const mount = async () => {
-        await componentDidMount();
-        mountedRef.current = true;
+        try {
+          await componentDidMount(token);
+        } catch (mountError) {
+          if (!token.cancelled) console.error(mountError);
+          return;
+        }
+        if (!token.cancelled) {
+          mountedRef.current = true;
+        }
       };
 
       mount();
 
-      // Cleanup on unmount
+      // Cleanup on unmount, which StrictMode also runs between its two mounts
       return () => {
-        if (props.willUnmountCallback) {
-          props.willUnmountCallback({
-            player: playerRef.current,
-            id: idRef.current,
-          });
-        }
-
-        if (playerRef.current) {
-          playerRef.current.off();
-          playerRef.current.remove();
-          playerRef.current = null;
-        }
+        token.cancelled = true;
+        mountedRef.current = false;
+        destroyPlayer();
       };
-    }, []);
+    }, [attempt, active]);
 
     // Handle prop updates (after mount)
     useEffect(() => {
       if (!mountedRef.current) return;
+      if (process.env.NODE_ENV !== 'production') {
+        features.forEach((feature) => feature.validateProps?.(props));
+      }
 
-      if (!shouldComponentUpdate(props)) {
+      // A player can't move to another library, so a new one is loaded and set up instead
+      if (getLibraryProps(props).library !== libraryRef.current) {
+        propsRef.current = props;
+        setAttempt((count) => count + 1);
         return;
       }
 
-      propsRef.current = props;
+      // Changed event handlers are rebound by shouldComponentUpdate; config changes are
+      // reconciled against the live player either way
+      shouldComponentUpdate(props);
+      if (playerRef.current) {
+        applyControlledProps(
+          playerRef.current,
+          propsRef.current,
+          props,
+          pendingRef.current,
+        );
+      }
+      updatePlayerConfig(props);
     }, [props]);
 
-    return <div id={idRef.current} ref={internalRef} />;
+    // Runs after the render the player's own changes cause, so a parent that accepted them in
+    // the change callback has updated the props by now
+    useEffect(() => {
+      const keys = Array.from(changedRef.current);
+      changedRef.current.clear();
+      if (playerRef.current && keys.length) {
+        reassertControlledProps(
+          playerRef.current,
+          latestPropsRef.current,
+          keys,
+          pendingRef.current,
+        );
+      }
+    }, [changeCount]);
+
+    if (error && (props.renderError || props.fallback !== undefined)) {
+      return (
+        <>{props.renderError ? props.renderError(error) : props.fallback}</>
+      );
+    }
+
+    const renderPlaceholder = (): React.ReactNode => {
+      if (!active) {
+        return <Facade config={generateConfig(props)} onPlay={playFacade} />;
+      }
+      if (props.placeholder === true) {
+        return <Placeholder config={generateConfig(props)} />;
+      }
+      return props.placeholder || null;
+    };
+
+    // The placeholder is rendered inside the player div, which the player replaces on setup
+    const view = (
+      <div id={idRef.current} ref={internalRef}>
+        {renderPlaceholder()}
+      </div>
+    );
+
+    // Features can wrap the player div, such as in the slot the mini-player moves it out of
+    return (
+      <>
+        {features.reduce<React.ReactNode>(
+          (element, feature) =>
+            feature.renderView ? feature.renderView(element, player) : element,
+          view,
+        )}
+        {overlayHost &&
+          createPortal(
+            <PlayerContext.Provider value={playerContext}>
+              {props.overlay && <PlayerOverlay render={props.overlay} />}
+              {props.children}
+            </PlayerContext.Provider>,
+            overlayHost,
+          )}
+      </>
+    );
   },
 );
 
@@ -0,0 +1,62 @@
+import { isBrowser } from './util';
+
+export interface LazyOptions {
+  // Margin around the viewport within which the player is set up, as in IntersectionObserver
+  rootMargin?: string;
+}
+
+export const DEFAULT_ROOT_MARGIN = '200px';
+
+// Calls `onNear` once `element` comes within `rootMargin` of the viewport. Without
+// IntersectionObserver support it is called straight away.
+export function observeNearViewport(
+  element: Element,
+  rootMargin: string,
+  onNear: () => void,
+): () => void {
+  if (typeof IntersectionObserver === 'undefined') {
+    onNear();
+    return () => {};
+  }
+
+  const observer = new IntersectionObserver(
+    (entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        observer.disconnect();
+        onNear();
+      }
+    },
+    { rootMargin },
+  );
+  observer.observe(element);
+
+  return () => observer.disconnect();
+}
+
+function addLink(rel: string, href: string, as?: string): void {
+  const exists = Array.from(document.head.querySelectorAll('link')).some(
+    (link) => link.rel === rel && link.getAttribute('href') === href,
+  );
+  if (exists) return;
+
+  const link = document.createElement('link');
+  link.rel = rel;
+  link.href = href;
+  if (as) link.setAttribute('as', as);
+  document.head.append(link);
+}
+
+// Adds resource hints so the library downloads sooner once the player is set up
+export function addLibraryHints(
+  url: string,
+  { preconnect, prefetch }: { preconnect?: boolean; prefetch?: boolean },
+): void {
+  if (!isBrowser()) return;
+
+  if (preconnect) {
+    addLink('preconnect', new URL(url, document.baseURI).origin);
+  }
+  if (prefetch) {
+    addLink('prefetch', new URL(url, document.baseURI).href, 'script');
+  }
+}
@@ -0,0 +1,223 @@
+import type { JWPlayerFeature } from './feature';
+import type {
+  EventData,
+  JWPlayerInstance,
+  JWPlayerPlaylistItem,
+} from './jwplayer';
+import { isBrowser } from './util';
+
+export interface MediaSessionOptions {
+  // Seconds skipped by the seek forward and seek backward actions. Defaults to 10
+  seekOffset?: number;
+  // Builds the metadata shown for an item. Defaults to its title, description and image
+  getMetadata?: (item: JWPlayerPlaylistItem) => MediaMetadataInit;
+}
+
+const DEFAULT_SEEK_OFFSET = 10;
+
+const ACTIONS: MediaSessionAction[] = [
+  'play',
+  'pause',
+  'stop',
+  'seekto',
+  'seekforward',
+  'seekbackward',
+  'nexttrack',
+  'previoustrack',
+];
+
+interface Owner {
+  id: string;
+  playing: boolean;
+}
+
+// The player whose metadata and controls the session shows. A page has one media session, so
+// of the players with `mediaSession` on, the one that last started playing owns it.
+let owner: Owner | null = null;
+
+const getMediaSession = (): MediaSession | null =>
+  isBrowser() && 'mediaSession' in navigator ? navigator.mediaSession : null;
+
+// Browsers throw for actions they don't support
+function setActionHandler(
+  session: MediaSession,
+  action: MediaSessionAction,
+  handler: MediaSessionActionHandler | null,
+): void {
+  try {
+    session.setActionHandler(action, handler);
+  } catch {
+    // Not supported here
+  }
+}
+
+function getDefaultMetadata(item: JWPlayerPlaylistItem): MediaMetadataInit {
+  const images = Array.isArray(item.images)
+    ? (item.images as { src?: string; type?: string }[])
+    : [];
+  const artwork = [
+    ...(item.image ? [{ src: item.image }] : []),
+    ...images
+      .filter(({ src }) => src && src !== item.image)
+      .map(({ src, type }) => ({ src: src!, ...(type ? { type } : {}) })),
+  ];
+
+  return {
+    title: item.title || '',
+    artist: item.description || '',
+    artwork,
+  };
+}
+
+const createMetadata = (init: MediaMetadataInit): MediaMetadata =>
+  typeof MediaMetadata === 'function'
+    ? new MediaMetadata(init)
+    : (init as MediaMetadata);
+
+export interface MediaSessionController {
+  handleEvent(player: JWPlayerInstance, name: string, data?: EventData): void;
+  // Gives up the session as the player is removed
+  reset(): void;
+}
+
+// Shows the player's current item on the lock screen and in notifications, and wires up media
+// keys, once it plays
+export function createMediaSession(
+  id: string,
+  getOptions: () => boolean | MediaSessionOptions | undefined,
+): MediaSessionController {
+  const getResolved = (): MediaSessionOptions | null => {
+    const options = getOptions();
+    if (!options) return null;
+    return options === true ? {} : options;
+  };
+
+  const isOwner = (): boolean => owner?.id === id;
+
+  const setMetadata = (
+    session: MediaSession,
+    player: JWPlayerInstance,
+  ): void => {
+    const item = player.getPlaylistItem();
+    const { getMetadata = getDefaultMetadata } = getResolved() || {};
+    session.metadata = item ? createMetadata(getMetadata(item)) : null;
+  };
+
+  const setActionHandlers = (
+    session: MediaSession,
+    player: JWPlayerInstance,
+  ): void => {
+    const offset = () => getResolved()?.seekOffset ?? DEFAULT_SEEK_OFFSET;
+    const seekBy = (seconds: number) => {
+      const duration = player.getDuration();
+      const position = Math.max(player.getPosition() + seconds, 0);
+      player.seek(duration > 0 ? Math.min(position, duration) : position);
+    };
+    const hasPlaylist = player.getPlaylist().length > 1;
+
+    const handlers: Record<string, MediaSessionActionHandler | null> = {
+      play: () => player.play(),
+      pause: () => player.pause(),
+      stop: () => player.stop(),
+      seekto: ({ seekTime }) => {
+        if (typeof seekTime === 'number') player.seek(seekTime);
+      },
+      seekforward: ({ seekOffset }) => seekBy(seekOffset ?? offset()),
+      seekbackward: ({ seekOffset }) => seekBy(-(seekOffset ?? offset())),
+      // Leaving these out hides the buttons for a single item
+      nexttrack: hasPlaylist ? () => player.playlistNext() : null,
+      previoustrack: hasPlaylist ? () => player.playlistPrev() : null,
+    };
+    ACTIONS.forEach((action) =>
+      setActionHandler(session, action, handlers[action]),
+    );
+  };
+
+  const claim = (session: MediaSession, player: JWPlayerInstance): void => {
+    owner = { id, playing: true };
+    setMetadata(session, player);
+    setActionHandlers(session, player);
+    session.playbackState = 'playing';
+  };
+
+  const release = (): void => {
+    const session = getMediaSession();
+    if (!isOwner() || !session) return;
+
+    owner = null;
+    ACTIONS.forEach((action) => setActionHandler(session, action, null));
+    session.metadata = null;
+    session.playbackState = 'none';
+  };
+
+  return {
+    handleEvent(player, name, data = {}) {
+      const session = getMediaSession();
+      if (!session) return;
+      if (!getResolved()) {
+        release();
+        return;
+      }
+
+      switch (name) {
+        case 'play':
+          claim(session, player);
+          break;
+        case 'time': {
+          // Takes over from an owner that has stopped playing
+          if (!isOwner()) {
+            if (owner?.playing) break;
+            claim(session, player);
+          }
+
+          const { position, duration } = data;
+          if (
+            typeof position !== 'number' ||
+            typeof duration !== 'number' ||
+            !Number.isFinite(duration) ||
+            duration <= 0
+          ) {
+            break;
+          }
+          session.setPositionState?.({
+            duration,
+            position: Math.min(Math.max(position, 0), duration),
+            playbackRate: player.getPlaybackRate() || 1,
+          });
+          break;
+        }
+        case 'pause':
+        case 'idle':
+        case 'complete':
+          if (!isOwner()) break;
+          owner!.playing = false;
+          session.playbackState = name === 'pause' ? 'paused' : 'none';
+          break;
+        case 'playlistItem':
+        case 'playlist':
+          if (isOwner()) {
+            setMetadata(session, player);
+            setActionHandlers(session, player);
+          }
+          break;
+        default:
+      }
+    },
+    reset: release,
+  };
+}
+
+// Hands the playing player to the Media Session API when `mediaSession` is set
+export const mediaSessionFeature: JWPlayerFeature = (host) => {
+  const session = createMediaSession(
+    host.id,
+    () => host.getProps().mediaSession,
+  );
+  return {
+    handleEvent(name, data) {
+      const player = host.getPlayer();
+      if (player) session.handleEvent(player, name, data);
+    },
+    reset: session.reset,
+  };
+};
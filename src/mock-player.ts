@@ -0,0 +1,494 @@
+import type {
+  AllEventCallback,
+  AudioTrack,
+  Caption,
+  Environment,
+  EventCallback,
+  EventData,
+  JWPlayerConfig,
+  JWPlayerFunction,
+  JWPlayerInstance,
+  JWPlayerPlaylistItem,
+  PlayerState,
+  QualityLevel,
+} from './jwplayer';
+
+const ALL_EVENTS = 'all';
+
+export interface MockPlayerOptions {
+  // Fires `ready`, `playlist` and `playlistItem` a tick after setup, as the library does.
+  // Without it the test calls simulateReady()
+  autoReady?: boolean;
+}
+
+export interface SimulatePlaybackOptions {
+  // Duration of the current item in seconds. Defaults to the item's `duration`, or 10
+  duration?: number;
+  // Position to play to. Defaults to the end of the item, which completes it
+  to?: number;
+  // Seconds between `time` events
+  interval?: number;
+}
+
+export interface SimulateAdOptions {
+  adposition?: 'pre' | 'mid' | 'post';
+  // Seconds of ad, with an `adTime` event for each
+  duration?: number;
+  client?: string;
+  tag?: string;
+  id?: string;
+  // Ends the ad with `adSkipped` instead of `adComplete`
+  skip?: boolean;
+}
+
+// A stateful stand-in for a JW Player instance. Its API follows the library's state machine
+// and fires the events the library would, and the simulate* helpers script what the viewer
+// and the network do.
+export interface MockPlayer extends JWPlayerInstance {
+  id: string;
+  // Fires `name` to the player's listeners, as the library would
+  emit(name: string, data?: EventData): void;
+  simulateReady(): void;
+  // Plays the current item, firing `time` events up to `to` and completing the item at its end
+  simulatePlayback(options?: SimulatePlaybackOptions): void;
+  simulateAd(options?: SimulateAdOptions): void;
+  // Sets the quality levels or captions tracks of the current item and fires `levels` or
+  // `captionsList`
+  simulateLevels(levels: QualityLevel[], current?: number): void;
+  simulateCaptions(tracks: Caption[], current?: number): void;
+  simulateSetupError(error?: { code?: number; message?: string }): void;
+  simulateError(error?: { code?: number; message?: string }): void;
+  // Whether the player has been removed
+  removed: boolean;
+}
+
+interface MockLibraryStatics {
+  version: string;
+  // The mock player set up on an element id, if there is one
+  getPlayer(id: string): MockPlayer | undefined;
+  getPlayers(): MockPlayer[];
+  [key: string]: unknown;
+}
+
+export type MockLibrary = ((selector?: string | HTMLElement) => MockPlayer) &
+  MockLibraryStatics;
+
+const DEFAULT_DURATION = 10;
+
+const mockEnvironment: Environment = {
+  Browser: {
+    chrome: true,
+    edge: false,
+    facebook: false,
+    firefox: false,
+    ie: false,
+    msie: false,
+    safari: false,
+    version: { version: '0.0', major: 0, minor: 0 },
+  },
+  OS: {
+    android: false,
+    androidNative: false,
+    iOS: false,
+    mobile: false,
+    mac: false,
+    iPad: false,
+    iPhone: false,
+    windows: false,
+    version: null,
+  },
+  Features: { flash: false, flashVersion: 0, iframe: false },
+};
+
+function toPlaylist(config: JWPlayerConfig): JWPlayerPlaylistItem[] {
+  const { playlist, file, sources, title, image, mediaid, duration } = config;
+
+  if (Array.isArray(playlist)) return playlist;
+  if (typeof playlist === 'string') return [{ file: playlist }];
+  if (file || sources) {
+    return [{ file, sources, title, image, mediaid, duration }];
+  }
+  return [];
+}
+
+export function createMockPlayer(
+  id: string,
+  { autoReady = true }: MockPlayerOptions = {},
+): MockPlayer {
+  const listeners = new Map<string, Set<EventCallback | AllEventCallback>>();
+  let config: JWPlayerConfig = {};
+  let playlist: JWPlayerPlaylistItem[] = [];
+  let index = 0;
+  let state: PlayerState = 'idle';
+  let position = 0;
+  let duration = 0;
+  let started = false;
+  let mute = false;
+  let volume = 100;
+  let playbackRate = 1;
+  let fullscreen = false;
+  let controls = true;
+  let width: number | string = 640;
+  let height: number | string = 360;
+  let qualityLevels: QualityLevel[] = [];
+  let currentQuality = 0;
+  let captionsList: Caption[] = [{ id: 'off', label: 'Off' }];
+  let currentCaptions = 0;
+  const audioTracks: AudioTrack[] = [];
+  const buttons = new Map<string, HTMLElement>();
+
+  const getItemDuration = (): number => {
+    const itemDuration = Number(playlist[index]?.duration);
+    return itemDuration > 0 ? itemDuration : 0;
+  };
+
+  const setState = (
+    next: PlayerState,
+    name: string,
+    data: EventData = {},
+  ): void => {
+    const oldstate = state;
+    state = next;
+    player.emit(name, { oldstate, newstate: next, ...data });
+  };
+
+  const loadItem = (nextIndex: number): void => {
+    index = nextIndex;
+    position = 0;
+    duration = getItemDuration();
+    started = false;
+    state = 'idle';
+    player.emit('playlistItem', { index, item: playlist[index] });
+  };
+
+  const start = (playReason: string): void => {
+    if (state === 'playing') return;
+
+    if (state === 'complete') position = 0;
+    player.emit('beforePlay', { playReason });
+    setState('playing', 'play', { playReason });
+    if (!started) {
+      started = true;
+      player.emit('firstFrame', { loadTime: 0 });
+    }
+  };
+
+  const complete = (): void => {
+    player.emit('beforeComplete');
+    state = 'complete';
+    player.emit('complete');
+    if (index < playlist.length - 1) {
+      loadItem(index + 1);
+      start('playlist');
+    } else {
+      player.emit('playlistComplete');
+    }
+  };
+
+  const player: MockPlayer = {
+    id,
+    removed: false,
+    emit(name, data = {}) {
+      listeners.get(name)?.forEach((listener) => {
+        (listener as EventCallback)({ type: name, ...data });
+      });
+      listeners.get(ALL_EVENTS)?.forEach((listener) => {
+        (listener as AllEventCallback)(name, { type: name, ...data });
+      });
+    },
+    setup(setupConfig) {
+      config = { ...setupConfig };
+      playlist = toPlaylist(config);
+      mute = !!config.mute;
+      if (typeof config.volume === 'number') volume = config.volume;
+      if (config.width !== undefined) width = config.width;
+      if (config.height !== undefined) height = config.height;
+      if (autoReady) {
+        Promise.resolve().then(() => {
+          if (!player.removed) player.simulateReady();
+        });
+      }
+      return player;
+    },
+    on(name, callback) {
+      const set = listeners.get(name) || new Set();
+      set.add(callback);
+      listeners.set(name, set);
+      return player;
+    },
+    once(name, callback) {
+      const wrapper: EventCallback = (data) => {
+        player.off(name, wrapper);
+        callback(data);
+      };
+      return player.on(name, wrapper);
+    },
+    off(name, callback) {
+      if (name === undefined) {
+        listeners.clear();
+      } else if (callback === undefined) {
+        listeners.delete(name);
+      } else {
+        listeners.get(name)?.delete(callback);
+      }
+      return player;
+    },
+    trigger(name, data) {
+      player.emit(name, data);
+      return player;
+    },
+    play(play = true) {
+      if (play) {
+        start('external');
+      } else {
+        player.pause();
+      }
+    },
+    pause(pause = true) {
+      if (!pause) {
+        player.play();
+      } else if (state === 'playing' || state === 'buffering') {
+        setState('paused', 'pause', { pauseReason: 'external' });
+      }
+    },
+    stop() {
+      position = 0;
+      started = false;
+      if (state !== 'idle') setState('idle', 'idle');
+    },
+    load(nextPlaylist) {
+      playlist =
+        typeof nextPlaylist === 'string'
+          ? [{ file: nextPlaylist }]
+          : nextPlaylist;
+      player.emit('playlist', { playlist });
+      if (playlist.length) loadItem(0);
+    },
+    playlistItem(itemIndex) {
+      if (itemIndex === undefined) return playlist[index];
+
+      player.playlistItemPlay(itemIndex);
+      return undefined;
+    },
+    playlistItemPlay(itemIndex) {
+      if (!playlist[itemIndex]) return;
+
+      loadItem(itemIndex);
+      start('interaction');
+    },
+    playlistNext() {
+      player.playlistItemPlay((index + 1) % playlist.length);
+    },
+    playlistPrev() {
+      player.playlistItemPlay((index - 1 + playlist.length) % playlist.length);
+    },
+    next() {
+      player.playlistNext();
+    },
+    seek(offset) {
+      const from = position;
+      player.emit('seek', { position: from, offset });
+      position = offset;
+      // Seeking an idle player starts playback, as in the library
+      if (state === 'idle' || state === 'complete') start('interaction');
+      player.emit('seeked');
+    },
+    setCurrentQuality(level) {
+      if (!qualityLevels[level]) return;
+
+      currentQuality = level;
+      player.emit('levelsChanged', {
+        levels: qualityLevels,
+        currentQuality: level,
+      });
+    },
+    setCurrentAudioTrack() {},
+    setCurrentCaptions(track) {
+      if (!captionsList[track]) return;
+
+      currentCaptions = track;
+      player.emit('captionsChanged', { tracks: captionsList, track });
+    },
+    setMute(value) {
+      mute = value === undefined ? !mute : value;
+      player.emit('mute', { mute });
+    },
+    setVolume(value) {
+      volume = value;
+      player.emit('volume', { volume });
+    },
+    setPlaybackRate(rate) {
+      playbackRate = rate;
+      player.emit('playbackRateChanged', { playbackRate });
+    },
+    setFullscreen(value) {
+      fullscreen = value;
+      player.emit('fullscreen', { fullscreen });
+    },
+    setControls(value) {
+      controls = value === undefined ? !controls : value;
+      player.emit('controls', { controls });
+    },
+    setCaptions() {},
+    resize(nextWidth, nextHeight) {
+      width = nextWidth;
+      height = nextHeight;
+      player.emit('resize', { width, height });
+    },
+    remove() {
+      player.emit('remove');
+      listeners.clear();
+      buttons.forEach((button) => button.remove());
+      buttons.clear();
+      state = 'idle';
+      player.removed = true;
+    },
+    getState: () => state,
+    getPlaylist: () => playlist,
+    getPlaylistIndex: () => index,
+    getPlaylistItem: (itemIndex = index) => playlist[itemIndex],
+    getDuration: () => duration,
+    getPosition: () => position,
+    getBuffer: () => (duration ? 100 : 0),
+    getWidth: () => (typeof width === 'number' ? width : 640),
+    getHeight: () => (typeof height === 'number' ? height : 360),
+    getMute: () => mute,
+    getVolume: () => volume,
+    getFullscreen: () => fullscreen,
+    getQualityLevels: () => qualityLevels,
+    getCurrentQuality: () => currentQuality,
+    getAudioTracks: () => audioTracks,
+    getCurrentAudioTrack: () => (audioTracks.length ? 0 : -1),
+    getCaptionsList: () => captionsList,
+    getCurrentCaptions: () => currentCaptions,
+    getPlaybackRate: () => playbackRate,
+    getConfig: () => config,
+    getContainer: () => document.getElementById(id) as HTMLElement,
+    getEnvironment: () => mockEnvironment,
+    getProvider: () => ({ name: 'mock' }),
+    addButton(icon, label, handler, buttonId) {
+      const button = document.createElement('div');
+      button.setAttribute('button', buttonId);
+      button.setAttribute('aria-label', label);
+      button.onclick = handler;
+      buttons.get(buttonId)?.remove();
+      buttons.set(buttonId, button);
+      player.getContainer()?.append(button);
+    },
+    removeButton(buttonId) {
+      buttons.get(buttonId)?.remove();
+      buttons.delete(buttonId);
+    },
+    simulateReady() {
+      player.emit('ready', { setupTime: 0, viewable: 1 });
+      if (!playlist.length) return;
+
+      player.emit('playlist', { playlist });
+      loadItem(0);
+      if (config.autostart === true) start('autostart');
+    },
+    simulatePlayback({
+      duration: playDuration = getItemDuration() || DEFAULT_DURATION,
+      to = playDuration,
+      interval = 1,
+    } = {}) {
+      duration = playDuration;
+      start('interaction');
+      while (position < to && state === 'playing') {
+        position = Math.min(position + interval, to);
+        player.emit('time', { position, duration });
+      }
+      if (position >= duration && state === 'playing') complete();
+    },
+    simulateAd({
+      adposition = 'pre',
+      duration: adDuration = 5,
+      client = 'vast',
+      tag = 'https://ads.example.com/vast.xml',
+      id: adId = 'mock-ad',
+      skip = false,
+    } = {}) {
+      const ad = { client, adposition, tag, id: adId };
+      player.emit('adBreakStart', ad);
+      player.emit('adImpression', ad);
+      player.emit('adPlay', ad);
+      for (let time = 1; time <= adDuration; time += 1) {
+        player.emit('adTime', { ...ad, position: time, duration: adDuration });
+      }
+      player.emit(skip ? 'adSkipped' : 'adComplete', ad);
+      player.emit('adBreakEnd', ad);
+    },
+    simulateLevels(levels, current = 0) {
+      qualityLevels = levels;
+      currentQuality = current;
+      player.emit('levels', { levels, currentQuality });
+    },
+    simulateCaptions(tracks, current = 0) {
+      captionsList = tracks;
+      currentCaptions = current;
+      player.emit('captionsList', { tracks, track: currentCaptions });
+    },
+    simulateSetupError({
+      code = 100000,
+      message = 'Error setting up player',
+    } = {}) {
+      state = 'idle';
+      player.emit('setupError', { code, message });
+    },
+    simulateError({ code = 232011, message = 'Error loading media' } = {}) {
+      state = 'idle';
+      player.emit('error', { code, message });
+    },
+  };
+
+  return player;
+}
+
+// A stand-in for the `jwplayer` library function, keeping one mock player per element id
+export function createMockLibrary(
+  options: MockPlayerOptions = {},
+): MockLibrary {
+  const players = new Map<string, MockPlayer>();
+
+  const getMockPlayer = (selector?: string | HTMLElement): MockPlayer => {
+    const id =
+      typeof selector === 'string'
+        ? selector.replace(/^#/, '')
+        : (selector?.id ?? players.keys().next().value ?? 'jwplayer');
+    const existing = players.get(id);
+    if (existing && !existing.removed) return existing;
+
+    const player = createMockPlayer(id, options);
+    players.set(id, player);
+    return player;
+  };
+
+  const statics: MockLibraryStatics = {
+    version: '8.0.0-mock',
+    getPlayer: (id) => players.get(id),
+    getPlayers: () => Array.from(players.values()),
+  };
+  const library: MockLibrary = Object.assign(getMockPlayer, statics);
+
+  return library;
+}
+
+let previousLibrary: JWPlayerFunction | undefined;
+let installed: MockLibrary | null = null;
+
+// Replaces `window.jwplayer` with a mock library, for a test's beforeEach
+export function installMockLibrary(options?: MockPlayerOptions): MockLibrary {
+  if (!installed) previousLibrary = window.jwplayer;
+  installed = createMockLibrary(options);
+  window.jwplayer = installed;
+  return installed;
+}
+
+// Puts back the `window.jwplayer` that installMockLibrary replaced, for a test's afterEach
+export function uninstallMockLibrary(): void {
+  if (!installed) return;
+
+  if (window.jwplayer === installed) window.jwplayer = previousLibrary;
+  installed = null;
+  previousLibrary = undefined;
+}
@@ -0,0 +1,65 @@
+import React from 'react';
+import {
+  usePlayerPosition,
+  usePlayerSelector,
+  usePlayerState,
+  useRegisteredPlayer,
+  useTargetId,
+} from './hooks';
+import type { JWPlayerInstance, PlayerState } from './jwplayer';
+
+export interface PlayerOverlayState {
+  player: JWPlayerInstance;
+  state: PlayerState;
+  position: number;
+  duration: number;
+}
+
+const overlayStyle: Partial<CSSStyleDeclaration> = {
+  position: 'absolute',
+  top: '0',
+  left: '0',
+  width: '100%',
+  height: '100%',
+  // Lets clicks through to the player; interactive overlay content sets pointer-events: auto
+  pointerEvents: 'none',
+  zIndex: '1',
+};
+
+// Appends the element that children and the overlay are portalled into
+export function createOverlayHost(container: HTMLElement): HTMLElement {
+  const host = document.createElement('div');
+  host.className = 'jwplayer-react-overlay';
+  Object.assign(host.style, overlayStyle);
+  container.append(host);
+  return host;
+}
+
+const durationEvents = ['ready', 'meta', 'time', 'playlistItem'];
+
+export interface PlayerOverlayProps {
+  render: (state: PlayerOverlayState) => React.ReactNode;
+}
+
+// Renders the overlay render prop with the state of the player it is rendered in
+export function PlayerOverlay({ render }: PlayerOverlayProps) {
+  const player = useRegisteredPlayer(useTargetId());
+  const state = usePlayerState();
+  const position = usePlayerPosition();
+  const duration = usePlayerSelector(undefined, durationEvents, (current) =>
+    current.getDuration(),
+  );
+
+  if (!player) return null;
+
+  return (
+    <>
+      {render({
+        player,
+        state: state ?? 'idle',
+        position: position ?? 0,
+        duration: duration ?? 0,
+      })}
+    </>
+  );
+}
@@ -0,0 +1,409 @@
+import { useSyncExternalStore } from 'react';
+import type { JWPlayerFeature } from './feature';
+import { PlayerTarget, useTargetId } from './hooks';
+import type {
+  Caption,
+  EventData,
+  JWPlayerConfig,
+  JWPlayerInstance,
+  JWPlayerPlaylistItem,
+  QualityLevel,
+} from './jwplayer';
+import { isBrowser } from './util';
+
+// The part of the Web Storage API used to persist values, so any key-value store can be used
+export interface PersistStorage {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+export interface PersistOptions {
+  // Saves volume, mute, captions track, playback rate and quality, and restores them at setup
+  preferences?: boolean;
+  // Saves the playback position of each item with a `mediaid` and seeks to it when the item
+  // is played again. `'prompt'` leaves the choice to the viewer through useResumePrompt
+  resume?: boolean | 'prompt';
+  // Defaults to localStorage
+  storage?: PersistStorage;
+  // Prefix for the storage keys, so players can keep separate values
+  key?: string;
+  // Milliseconds a saved value is kept for
+  ttl?: number;
+}
+
+export interface ResumePrompt {
+  mediaid: string;
+  // Saved playback position in seconds
+  position: number;
+  // Seeks to the saved position
+  resume(): void;
+  // Forgets the saved position
+  dismiss(): void;
+}
+
+interface Preferences {
+  mute?: boolean;
+  volume?: number;
+  playbackRate?: number;
+  // Captions track and quality level are saved by label, as indexes differ between items
+  captions?: string;
+  quality?: string;
+}
+
+interface StoredValue<T> {
+  value: T;
+  savedAt: number;
+}
+
+const DEFAULT_KEY = 'jwplayer-react';
+const DEFAULT_TTL = 30 * 24 * 60 * 60 * 1000;
+// Positions closer than this to the start or the end of an item are not worth resuming
+const MIN_RESUME_POSITION = 5;
+// Seconds of playback between position saves
+const SAVE_INTERVAL = 5;
+
+export function createMemoryStorage(): PersistStorage {
+  const values = new Map<string, string>();
+
+  return {
+    getItem: (key) => values.get(key) ?? null,
+    setItem: (key, value) => {
+      values.set(key, value);
+    },
+    removeItem: (key) => {
+      values.delete(key);
+    },
+  };
+}
+
+// Reading localStorage throws where storage is blocked, such as in some sandboxed iframes
+function getLocalStorage(): PersistStorage | null {
+  if (!isBrowser()) return null;
+
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+interface ResolvedOptions {
+  storage: PersistStorage | null;
+  key: string;
+  ttl: number;
+}
+
+const resolveOptions = ({
+  storage,
+  key = DEFAULT_KEY,
+  ttl = DEFAULT_TTL,
+}: PersistOptions): ResolvedOptions => ({
+  storage: storage ?? getLocalStorage(),
+  key,
+  ttl,
+});
+
+// Storage errors, such as a full quota or a value that isn't ours, are treated as nothing saved
+function read<T>(
+  { storage, ttl }: ResolvedOptions,
+  key: string,
+): T | undefined {
+  if (!storage) return undefined;
+
+  try {
+    const stored = storage.getItem(key);
+    if (stored === null) return undefined;
+
+    const { value, savedAt } = JSON.parse(stored) as StoredValue<T>;
+    if (Date.now() - savedAt > ttl) {
+      storage.removeItem(key);
+      return undefined;
+    }
+    return value;
+  } catch {
+    return undefined;
+  }
+}
+
+function write<T>({ storage }: ResolvedOptions, key: string, value: T): void {
+  try {
+    const stored: StoredValue<T> = { value, savedAt: Date.now() };
+    storage?.setItem(key, JSON.stringify(stored));
+  } catch {
+    // Nothing is saved
+  }
+}
+
+function remove({ storage }: ResolvedOptions, key: string): void {
+  try {
+    storage?.removeItem(key);
+  } catch {
+    // Nothing is removed
+  }
+}
+
+const preferencesKey = (options: ResolvedOptions): string =>
+  `${options.key}:preferences`;
+
+const positionKey = (options: ResolvedOptions, mediaid: string): string =>
+  `${options.key}:position:${mediaid}`;
+
+const readPreferences = (options: ResolvedOptions): Preferences =>
+  read<Preferences>(options, preferencesKey(options)) || {};
+
+// Setup config for the saved preferences that the player can take at setup
+export function getPersistedConfig(
+  persist?: PersistOptions,
+): Partial<JWPlayerConfig> {
+  if (!persist?.preferences) return {};
+
+  const { mute, volume } = readPreferences(resolveOptions(persist));
+  const config: Partial<JWPlayerConfig> = {};
+
+  if (mute !== undefined) config.mute = mute;
+  if (volume !== undefined) config.volume = volume;
+
+  return config;
+}
+
+// Resume prompts offered by each player, by id, for useResumePrompt
+const resumePrompts = new Map<string, ResumePrompt>();
+const promptListeners = new Set<() => void>();
+
+function setResumePrompt(id: string, prompt: ResumePrompt | null): void {
+  if ((resumePrompts.get(id) ?? null) === prompt) return;
+
+  if (prompt) {
+    resumePrompts.set(id, prompt);
+  } else {
+    resumePrompts.delete(id);
+  }
+  promptListeners.forEach((listener) => listener());
+}
+
+function subscribeToResumePrompts(listener: () => void): () => void {
+  promptListeners.add(listener);
+  return () => {
+    promptListeners.delete(listener);
+  };
+}
+
+const getServerSnapshot = () => null;
+
+// Returns the resume prompt of the target player while it has a saved position to offer.
+// Without a target it follows the JWPlayer it is rendered in.
+export function useResumePrompt(target?: PlayerTarget): ResumePrompt | null {
+  const id = useTargetId(target);
+  return useSyncExternalStore(
+    subscribeToResumePrompts,
+    () => (id && resumePrompts.get(id)) || null,
+    getServerSnapshot,
+  );
+}
+
+const getLabel = (list: unknown, index: unknown): string | undefined =>
+  Array.isArray(list) && typeof index === 'number'
+    ? (list[index] as Caption | QualityLevel | undefined)?.label
+    : undefined;
+
+const findLabel = (list: unknown, label: string): number =>
+  Array.isArray(list)
+    ? list.findIndex((entry: Caption | QualityLevel) => entry?.label === label)
+    : -1;
+
+export interface Persistence {
+  handleEvent(player: JWPlayerInstance, name: string, data?: EventData): void;
+  // Saves the last position and withdraws the resume prompt, once the player is removed
+  reset(): void;
+}
+
+// Saves preferences and positions from player events and restores them as the player sets up
+// and loads items
+export function createPersistence(
+  id: string,
+  getOptions: () => PersistOptions | undefined,
+): Persistence {
+  let mediaid: string | undefined;
+  let position = 0;
+  let duration = 0;
+  let savedPosition = 0;
+  // Position to seek to once the current item starts playing
+  let pendingResume: number | undefined;
+
+  const getResolved = (): ResolvedOptions | null => {
+    const options = getOptions();
+    return options ? resolveOptions(options) : null;
+  };
+
+  // Options when `preferences` is on, otherwise null
+  const getPreferenceOptions = (): ResolvedOptions | null =>
+    getOptions()?.preferences ? getResolved() : null;
+
+  const getSavedPreferences = (): Preferences => {
+    const options = getPreferenceOptions();
+    return options ? readPreferences(options) : {};
+  };
+
+  const savePreference = (preference: Preferences): void => {
+    const options = getPreferenceOptions();
+    if (!options) return;
+
+    const preferences = { ...readPreferences(options), ...preference };
+    write(options, preferencesKey(options), preferences);
+  };
+
+  const savePosition = (): void => {
+    const options = getResolved();
+    if (!options || !getOptions()?.resume || !mediaid) return;
+
+    savedPosition = position;
+    if (duration && duration - position < MIN_RESUME_POSITION) {
+      remove(options, positionKey(options, mediaid));
+    } else if (position >= MIN_RESUME_POSITION) {
+      write(options, positionKey(options, mediaid), position);
+    }
+  };
+
+  const offerResume = (player: JWPlayerInstance, item?: unknown): void => {
+    const options = getResolved();
+    const { resume } = getOptions() || {};
+    mediaid = (item as JWPlayerPlaylistItem | undefined)?.mediaid;
+    position = 0;
+    duration = 0;
+    savedPosition = 0;
+    pendingResume = undefined;
+    setResumePrompt(id, null);
+    if (!options || !resume || !mediaid) return;
+
+    const saved = read<number>(options, positionKey(options, mediaid));
+    if (saved === undefined) return;
+
+    if (resume !== 'prompt') {
+      pendingResume = saved;
+      return;
+    }
+
+    const itemId = mediaid;
+    const prompt: ResumePrompt = {
+      mediaid: itemId,
+      position: saved,
+      resume() {
+        setResumePrompt(id, null);
+        player.seek(saved);
+      },
+      dismiss() {
+        setResumePrompt(id, null);
+        remove(options, positionKey(options, itemId));
+      },
+    };
+    setResumePrompt(id, prompt);
+  };
+
+  return {
+    handleEvent(player, name, data = {}) {
+      switch (name) {
+        case 'ready': {
+          const { playbackRate } = getSavedPreferences();
+          if (playbackRate !== undefined && playbackRate !== 1) {
+            player.setPlaybackRate(playbackRate);
+          }
+          break;
+        }
+        case 'captionsList': {
+          const { captions } = getSavedPreferences();
+          const index =
+            captions === undefined ? -1 : findLabel(data.tracks, captions);
+          if (index >= 0 && index !== data.track) {
+            player.setCurrentCaptions(index);
+          }
+          break;
+        }
+        case 'levels': {
+          const { quality } = getSavedPreferences();
+          const index =
+            quality === undefined ? -1 : findLabel(data.levels, quality);
+          if (index >= 0 && index !== data.currentQuality) {
+            player.setCurrentQuality(index);
+          }
+          break;
+        }
+        case 'mute':
+          savePreference({ mute: !!data.mute });
+          break;
+        case 'volume':
+          if (typeof data.volume === 'number') {
+            savePreference({ volume: data.volume });
+          }
+          break;
+        case 'playbackRateChanged':
+          if (typeof data.playbackRate === 'number') {
+            savePreference({ playbackRate: data.playbackRate });
+          }
+          break;
+        case 'captionsChanged': {
+          const label = getLabel(data.tracks, data.track);
+          if (label !== undefined) savePreference({ captions: label });
+          break;
+        }
+        case 'levelsChanged': {
+          const label = getLabel(data.levels, data.currentQuality);
+          if (label !== undefined) savePreference({ quality: label });
+          break;
+        }
+        case 'playlistItem':
+          savePosition();
+          offerResume(player, data.item);
+          break;
+        case 'play':
+          if (pendingResume !== undefined) {
+            player.seek(pendingResume);
+            pendingResume = undefined;
+          }
+          break;
+        case 'time':
+          if (typeof data.position === 'number') position = data.position;
+          if (typeof data.duration === 'number') duration = data.duration;
+          if (Math.abs(position - savedPosition) >= SAVE_INTERVAL) {
+            savePosition();
+          }
+          break;
+        case 'pause':
+        case 'seeked':
+          savePosition();
+          break;
+        case 'complete': {
+          const options = getResolved();
+          if (options && mediaid) {
+            remove(options, positionKey(options, mediaid));
+          }
+          // A finished item starts over, so there is no position left to save
+          position = 0;
+          savedPosition = 0;
+          setResumePrompt(id, null);
+          break;
+        }
+        default:
+      }
+    },
+    reset() {
+      savePosition();
+      mediaid = undefined;
+      pendingResume = undefined;
+      setResumePrompt(id, null);
+    },
+  };
+}
+
+// Saves what `persist` asks for and restores it on the next setup
+export const persistFeature: JWPlayerFeature = (host) => {
+  const persistence = createPersistence(host.id, () => host.getProps().persist);
+  return {
+    getSetupConfig: (props) => getPersistedConfig(props.persist),
+    handleEvent(name, data) {
+      const player = host.getPlayer();
+      if (player) persistence.handleEvent(player, name, data);
+    },
+    reset: persistence.reset,
+  };
+};
@@ -0,0 +1,110 @@
+import React from 'react';
+import type { JWPlayerConfig } from './jwplayer';
+
+type Config = Partial<JWPlayerConfig>;
+
+// Poster for the placeholder: the `image` prop, or the first playlist item's image
+export function getPosterImage(config: Config): string | undefined {
+  if (config.image) return config.image;
+
+  if (Array.isArray(config.playlist)) {
+    const [item] = config.playlist;
+    if (item && typeof item.image === 'string') return item.image;
+  }
+
+  return undefined;
+}
+
+// Converts an `aspectratio` such as '16:9' to the padding that gives a box that shape
+export function getAspectRatioPadding(
+  aspectratio?: string,
+): string | undefined {
+  const match = /^(\d*\.?\d+):(\d*\.?\d+)$/.exec(aspectratio || '');
+  if (!match) return undefined;
+
+  const [, width, height] = match.map(Number);
+  if (!width) return undefined;
+
+  return `${(height / width) * 100}%`;
+}
+
+const toCssSize = (size: unknown): string | number | undefined =>
+  typeof size === 'number' || typeof size === 'string' ? size : undefined;
+
+export function getPlaceholderStyle(config: Config): React.CSSProperties {
+  const poster = getPosterImage(config);
+  const paddingTop = getAspectRatioPadding(config.aspectratio);
+  const height = toCssSize(config.height);
+  // Without an aspectratio or height the player defaults to 16:9
+  const sizing =
+    paddingTop || height === undefined
+      ? { height: 0, paddingTop: paddingTop ?? '56.25%' }
+      : { height };
+
+  return {
+    position: 'relative',
+    width: toCssSize(config.width) ?? '100%',
+    ...sizing,
+    backgroundColor: '#000',
+    backgroundImage: poster ? `url("${poster}")` : undefined,
+    backgroundPosition: 'center',
+    backgroundRepeat: 'no-repeat',
+    backgroundSize: 'cover',
+  };
+}
+
+export interface PlaceholderProps {
+  config: Config;
+  children?: React.ReactNode;
+}
+
+// Server-rendered stand-in sized like the player, replaced by the player once it is set up
+export function Placeholder({ config, children }: PlaceholderProps) {
+  return (
+    <div
+      className="jwplayer-react-placeholder"
+      style={getPlaceholderStyle(config)}
+    >
+      {children}
+    </div>
+  );
+}
+
+const playButtonStyle: React.CSSProperties = {
+  position: 'absolute',
+  top: '50%',
+  left: '50%',
+  width: 64,
+  height: 64,
+  marginTop: -32,
+  marginLeft: -32,
+  padding: 0,
+  border: 0,
+  borderRadius: '50%',
+  background: 'rgba(0, 0, 0, 0.6)',
+  cursor: 'pointer',
+};
+
+export interface FacadeProps {
+  config: Config;
+  onPlay: () => void;
+}
+
+// Lightweight stand-in for a lazy player: the placeholder with a play button
+export function Facade({ config, onPlay }: FacadeProps) {
+  return (
+    <Placeholder config={config}>
+      <button
+        type="button"
+        className="jwplayer-react-play"
+        aria-label={config.title ? `Play ${config.title}` : 'Play'}
+        style={playButtonStyle}
+        onClick={onPlay}
+      >
+        <svg viewBox="0 0 64 64" width="64" height="64" aria-hidden="true">
+          <path d="M26 20v24l18-12z" fill="#fff" />
+        </svg>
+      </button>
+    </Placeholder>
+  );
+}
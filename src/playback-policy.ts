@@ -0,0 +1,172 @@
+import type { EventData, JWPlayerInstance } from './jwplayer';
+import { subscribeToPlayerEvents } from './player-store';
+import type { PlayerRegistry, RegisteredPlayer } from './registry';
+
+// How players under a provider share playback:
+// - exclusive: a player starting pauses the others
+// - exclusive-audio: a player starting mutes the others, which keep playing, and gets back
+//   its audio if the policy muted it
+// - single-autostart: of the players with `autostart: 'viewable'`, only the most visible one
+//   may autostart
+export type PlaybackPolicy =
+  | 'exclusive'
+  | 'exclusive-audio'
+  | 'single-autostart';
+
+const activeStates = new Set<string>(['playing', 'buffering']);
+const autostartReasons = new Set<unknown>(['autostart', 'viewable']);
+const visibilityThresholds = [0, 0.25, 0.5, 0.75, 1];
+
+const isActive = (player: JWPlayerInstance): boolean =>
+  activeStates.has(player.getState());
+
+const isViewableAutostart = (player: JWPlayerInstance): boolean =>
+  player.getConfig().autostart === 'viewable';
+
+// Tracks how much of each player's container is in the viewport. Without
+// IntersectionObserver every player counts as fully visible.
+function createVisibilityTracker() {
+  const ratios = new Map<Element, number>();
+  const observer =
+    typeof IntersectionObserver === 'undefined'
+      ? null
+      : new IntersectionObserver(
+          (entries) => {
+            entries.forEach((entry) => {
+              ratios.set(entry.target, entry.intersectionRatio);
+            });
+          },
+          { threshold: visibilityThresholds },
+        );
+
+  return {
+    observe(player: JWPlayerInstance): Element {
+      const container = player.getContainer();
+      observer?.observe(container);
+      return container;
+    },
+    // Takes the observed container, as a removed player may no longer return it
+    unobserve(container: Element): void {
+      observer?.unobserve(container);
+      ratios.delete(container);
+    },
+    getRatio(player: JWPlayerInstance): number {
+      return observer ? (ratios.get(player.getContainer()) ?? 0) : 1;
+    },
+    disconnect(): void {
+      observer?.disconnect();
+    },
+  };
+}
+
+// Applies `policy` to the players in `registry` as they are added and removed. Returns a
+// function that stops it.
+export function observePlaybackPolicy(
+  registry: PlayerRegistry,
+  policy: PlaybackPolicy,
+): () => void {
+  const visibility =
+    policy === 'single-autostart' ? createVisibilityTracker() : null;
+  const subscriptions = new Map<
+    string,
+    { player: JWPlayerInstance; container?: Element; unsubscribe: () => void }
+  >();
+
+  // Players the exclusive-audio policy muted, which are unmuted when they play again
+  const mutedByPolicy = new Set<string>();
+
+  const getOthers = (id: string): RegisteredPlayer[] =>
+    registry.getSnapshot().filter((entry) => entry.id !== id);
+
+  // Lets only the most visible viewable-autostart player start, and pauses the others that
+  // autostarted before it
+  const arbitrateAutostart = (
+    id: string,
+    player: JWPlayerInstance,
+    data: EventData,
+  ): void => {
+    if (!visibility || !autostartReasons.has(data.playReason)) return;
+
+    const candidates = registry
+      .getSnapshot()
+      .filter((entry) => entry.id === id || isViewableAutostart(entry.player));
+    // Ties go to the player that was set up first
+    const mostVisible = candidates.reduce((best, entry) =>
+      visibility.getRatio(entry.player) > visibility.getRatio(best.player)
+        ? entry
+        : best,
+    );
+
+    if (mostVisible.id !== id) {
+      player.pause();
+      return;
+    }
+    candidates.forEach((entry) => {
+      if (entry.id !== id && isActive(entry.player)) entry.player.pause();
+    });
+  };
+
+  const onBeforePlay = (id: string, data: EventData = {}): void => {
+    const player = registry.get(id);
+    if (!player) return;
+
+    if (policy === 'single-autostart') {
+      arbitrateAutostart(id, player, data);
+      return;
+    }
+
+    if (mutedByPolicy.delete(id) && player.getMute()) player.setMute(false);
+
+    getOthers(id).forEach(({ id: otherId, player: other }) => {
+      if (!isActive(other)) return;
+
+      if (policy === 'exclusive') {
+        other.pause();
+      } else if (!other.getMute()) {
+        other.setMute(true);
+        mutedByPolicy.add(otherId);
+      }
+    });
+  };
+
+  const onEvent = (id: string, name: string, data: EventData = {}): void => {
+    if (name === 'beforePlay') onBeforePlay(id, data);
+    // The viewer unmuting it takes it back from the policy
+    if (name === 'mute' && !data.mute) mutedByPolicy.delete(id);
+  };
+
+  const sync = (): void => {
+    const entries = registry.getSnapshot();
+
+    subscriptions.forEach(({ player, container, unsubscribe }, id) => {
+      if (entries.some((entry) => entry.id === id && entry.player === player)) {
+        return;
+      }
+      unsubscribe();
+      if (container) visibility?.unobserve(container);
+      subscriptions.delete(id);
+      mutedByPolicy.delete(id);
+    });
+
+    entries.forEach(({ id, player }) => {
+      if (subscriptions.has(id)) return;
+
+      const unsubscribe = subscribeToPlayerEvents(id, (name, data) =>
+        onEvent(id, name, data),
+      );
+      const container = visibility?.observe(player);
+      subscriptions.set(id, { player, container, unsubscribe });
+    });
+  };
+
+  sync();
+  const unsubscribeRegistry = registry.subscribe(sync);
+
+  return () => {
+    unsubscribeRegistry();
+    subscriptions.forEach(({ unsubscribe }) => unsubscribe());
+    subscriptions.clear();
+    mutedByPolicy.clear();
+    visibility?.disconnect();
+  };
+}
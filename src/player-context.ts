@@ -0,0 +1,9 @@
+import { createContext } from 'react';
+
+export interface PlayerContextValue {
+  id: string;
+}
+
+// Provided by JWPlayer to its children and overlay, so hooks and controls rendered inside the
+// player can find it without an id or ref
+export const PlayerContext = createContext<PlayerContextValue | null>(null);
@@ -0,0 +1,72 @@
+import type { AllEventCallback, EventData, JWPlayerInstance } from './jwplayer';
+
+// Module-level registry of the players set up by mounted JWPlayer components, keyed by id.
+// Every event a player's all handler receives is republished here for hooks to subscribe to.
+const players = new Map<string, JWPlayerInstance>();
+// Players that have fired `ready`
+const readyPlayers = new WeakSet<JWPlayerInstance>();
+const playerListeners = new Set<() => void>();
+const eventListeners = new Map<string, Set<AllEventCallback>>();
+
+const notifyPlayerListeners = (): void => {
+  playerListeners.forEach((listener) => listener());
+};
+
+export function registerPlayer(id: string, player: JWPlayerInstance): void {
+  players.set(id, player);
+  notifyPlayerListeners();
+}
+
+// Only removes the entry if it still belongs to `player`, so a re-setup under the same id is kept
+export function unregisterPlayer(id: string, player: JWPlayerInstance): void {
+  if (players.get(id) !== player) return;
+
+  players.delete(id);
+  notifyPlayerListeners();
+}
+
+export function getRegisteredPlayer(id?: string): JWPlayerInstance | null {
+  return (id && players.get(id)) || null;
+}
+
+export function markPlayerReady(player: JWPlayerInstance): void {
+  readyPlayers.add(player);
+  notifyPlayerListeners();
+}
+
+// The registered player, once it has fired `ready`
+export function getReadyPlayer(id?: string): JWPlayerInstance | null {
+  const player = getRegisteredPlayer(id);
+  return player && readyPlayers.has(player) ? player : null;
+}
+
+export function subscribeToPlayers(listener: () => void): () => void {
+  playerListeners.add(listener);
+  return () => {
+    playerListeners.delete(listener);
+  };
+}
+
+export function emitPlayerEvent(
+  id: string,
+  name: string,
+  data?: EventData,
+): void {
+  eventListeners.get(id)?.forEach((listener) => listener(name, data));
+}
+
+export function subscribeToPlayerEvents(
+  id: string,
+  listener: AllEventCallback,
+): () => void {
+  const listeners = eventListeners.get(id) || new Set<AllEventCallback>();
+  listeners.add(listener);
+  eventListeners.set(id, listeners);
+
+  return () => {
+    listeners.delete(listener);
+    if (!listeners.size && eventListeners.get(id) === listeners) {
+      eventListeners.delete(id);
+    }
+  };
+}
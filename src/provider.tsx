@@ -0,0 +1,107 @@
+import React, {
+  createContext,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+  useSyncExternalStore,
+} from 'react';
+import type { JWPlayerConfig, JWPlayerInstance } from './jwplayer';
+import { observePlaybackPolicy, PlaybackPolicy } from './playback-policy';
+import {
+  createPlayerRegistry,
+  PlayerRegistry,
+  RegisteredPlayer,
+} from './registry';
+import type { LibraryLoadOptions } from './util';
+
+export interface JWPlayerProviderProps {
+  // Library URL for descendant players that don't pass their own `library`
+  library?: string;
+  libraryOptions?: LibraryLoadOptions;
+  // Config applied to every descendant player at setup, below the player's own props
+  defaults?: Partial<JWPlayerConfig>;
+  // Coordinates playback between the players under this provider, including nested ones
+  playbackPolicy?: PlaybackPolicy;
+  children?: React.ReactNode;
+}
+
+export interface JWPlayerContextValue {
+  library?: string;
+  libraryOptions?: LibraryLoadOptions;
+  defaults: Partial<JWPlayerConfig>;
+  registry: PlayerRegistry;
+}
+
+export const JWPlayerContext = createContext<JWPlayerContextValue | null>(null);
+
+// Nested providers merge into their parent: the innermost library wins and defaults and
+// library options are merged from the outside in
+export function JWPlayerProvider({
+  library,
+  libraryOptions,
+  defaults,
+  playbackPolicy,
+  children,
+}: JWPlayerProviderProps) {
+  const parent = useContext(JWPlayerContext);
+  const [registry] = useState(() => createPlayerRegistry(parent?.registry));
+
+  useEffect(() => {
+    if (!playbackPolicy) return;
+    return observePlaybackPolicy(registry, playbackPolicy);
+  }, [registry, playbackPolicy]);
+
+  const value = useMemo<JWPlayerContextValue>(
+    () => ({
+      library: library ?? parent?.library,
+      libraryOptions: { ...parent?.libraryOptions, ...libraryOptions },
+      defaults: { ...parent?.defaults, ...defaults },
+      registry,
+    }),
+    [parent, library, libraryOptions, defaults, registry],
+  );
+
+  return (
+    <JWPlayerContext.Provider value={value}>
+      {children}
+    </JWPlayerContext.Provider>
+  );
+}
+
+export interface PlayerRegistryApi {
+  // Players set up under the nearest provider, including nested providers
+  players: RegisteredPlayer[];
+  get(id: string): JWPlayerInstance | null;
+  forEach(action: (player: JWPlayerInstance, id: string) => void): void;
+}
+
+const noPlayers: RegisteredPlayer[] = [];
+const getServerSnapshot = () => noPlayers;
+
+export function usePlayerRegistry(): PlayerRegistryApi {
+  const context = useContext(JWPlayerContext);
+  if (!context) {
+    throw new Error(
+      'jwplayer-react: usePlayerRegistry must be used within a JWPlayerProvider',
+    );
+  }
+
+  const { registry } = context;
+  const players = useSyncExternalStore(
+    registry.subscribe,
+    registry.getSnapshot,
+    getServerSnapshot,
+  );
+
+  return useMemo(
+    () => ({
+      players,
+      get: registry.get,
+      forEach: (action) => {
+        registry.getSnapshot().forEach(({ id, player }) => action(player, id));
+      },
+    }),
+    [players, registry],
+  );
+}
@@ -0,0 +1,337 @@
+import { useSyncExternalStore } from 'react';
+import { isErrorEvent } from './errors';
+import type { JWPlayerFeature } from './feature';
+import { PlayerTarget, useTargetId } from './hooks';
+import type { EventData, JWPlayerPlaylistItem, QualityLevel } from './jwplayer';
+
+export interface QoEMetrics {
+  // Milliseconds from the first play attempt to the first frame, or null without a first frame.
+  // For the session this is the first item's.
+  timeToFirstFrame: number | null;
+  // Play attempts made before the first frame
+  playAttempts: number;
+  // Play attempts that ended in an error before the first frame
+  joinFailures: number;
+  // Play attempts abandoned before the first frame, by a pause, a new item or unmounting
+  droppedAttempts: number;
+  // Buffering after the first frame, other than while seeking
+  rebufferCount: number;
+  // Milliseconds spent rebuffering and playing
+  rebufferDuration: number;
+  playDuration: number;
+  // Share of the time since the first frame spent rebuffering, from 0 to 1
+  rebufferRatio: number;
+  // Bitrates in bits per second, weighted by the time played at each, or null if unknown
+  averageBitrate: number | null;
+  peakBitrate: number | null;
+  bitrateSwitches: number;
+  errors: number;
+}
+
+export interface QoEItemMetrics extends QoEMetrics {
+  index?: number;
+  mediaid?: string;
+}
+
+export interface QoESessionMetrics extends QoEMetrics {
+  // Playlist items reported in the session
+  items: number;
+}
+
+export interface QoEReport {
+  // What ended the item: it completed, another item was loaded, or the player was removed
+  reason: 'complete' | 'playlistItem' | 'unmount';
+  item: QoEItemMetrics;
+  // Totals for every item reported since the player was set up, including this one
+  session: QoESessionMetrics;
+}
+
+// Running totals, which hold the sums that averages and ratios are computed from
+interface Totals {
+  timeToFirstFrame: number | null;
+  playAttempts: number;
+  joinFailures: number;
+  droppedAttempts: number;
+  rebufferCount: number;
+  rebufferDuration: number;
+  playDuration: number;
+  // Sum of bitrate times milliseconds played, over the milliseconds played at a known bitrate
+  bitrateTime: number;
+  bitrateDuration: number;
+  peakBitrate: number | null;
+  bitrateSwitches: number;
+  errors: number;
+}
+
+const createTotals = (): Totals => ({
+  timeToFirstFrame: null,
+  playAttempts: 0,
+  joinFailures: 0,
+  droppedAttempts: 0,
+  rebufferCount: 0,
+  rebufferDuration: 0,
+  playDuration: 0,
+  bitrateTime: 0,
+  bitrateDuration: 0,
+  peakBitrate: null,
+  bitrateSwitches: 0,
+  errors: 0,
+});
+
+const maxOf = (a: number | null, b: number | null): number | null =>
+  a === null ? b : Math.max(a, b ?? a);
+
+function addTotals(a: Totals, b: Totals): Totals {
+  return {
+    timeToFirstFrame: a.timeToFirstFrame ?? b.timeToFirstFrame,
+    playAttempts: a.playAttempts + b.playAttempts,
+    joinFailures: a.joinFailures + b.joinFailures,
+    droppedAttempts: a.droppedAttempts + b.droppedAttempts,
+    rebufferCount: a.rebufferCount + b.rebufferCount,
+    rebufferDuration: a.rebufferDuration + b.rebufferDuration,
+    playDuration: a.playDuration + b.playDuration,
+    bitrateTime: a.bitrateTime + b.bitrateTime,
+    bitrateDuration: a.bitrateDuration + b.bitrateDuration,
+    peakBitrate: maxOf(a.peakBitrate, b.peakBitrate),
+    bitrateSwitches: a.bitrateSwitches + b.bitrateSwitches,
+    errors: a.errors + b.errors,
+  };
+}
+
+function toMetrics({
+  bitrateTime,
+  bitrateDuration,
+  ...totals
+}: Totals): QoEMetrics {
+  const watched = totals.playDuration + totals.rebufferDuration;
+
+  return {
+    ...totals,
+    rebufferRatio: watched ? totals.rebufferDuration / watched : 0,
+    averageBitrate: bitrateDuration ? bitrateTime / bitrateDuration : null,
+  };
+}
+
+const getBitrate = (level: unknown): number | null => {
+  const bitrate = (level as QualityLevel | undefined)?.bitrate;
+  return typeof bitrate === 'number' && bitrate > 0 ? bitrate : null;
+};
+
+// The latest report of each player, by id, for useQoEMetrics
+const reports = new Map<string, QoEReport>();
+const reportListeners = new Set<() => void>();
+
+function setReport(id: string, report: QoEReport): void {
+  reports.set(id, report);
+  reportListeners.forEach((listener) => listener());
+}
+
+function subscribeToReports(listener: () => void): () => void {
+  reportListeners.add(listener);
+  return () => {
+    reportListeners.delete(listener);
+  };
+}
+
+const getServerSnapshot = () => null;
+
+// Returns the latest QoE report of the target player, which is kept after the player is
+// removed. Without a target it follows the JWPlayer it is rendered in.
+export function useQoEMetrics(target?: PlayerTarget): QoEReport | null {
+  const id = useTargetId(target);
+  return useSyncExternalStore(
+    subscribeToReports,
+    () => (id && reports.get(id)) || null,
+    getServerSnapshot,
+  );
+}
+
+export interface QoECollector {
+  handleEvent(name: string, data?: EventData): void;
+  // Reports the current item as the player is removed, and starts a new session
+  reset(): void;
+}
+
+type PlaybackState = 'idle' | 'playing' | 'buffering' | 'rebuffering';
+
+// Computes QoE metrics from player events, and reports each item as it ends to `onReport`
+// and useQoEMetrics
+export function createQoECollector(
+  id: string,
+  onReport: (report: QoEReport) => void,
+): QoECollector {
+  let session = createTotals();
+  let itemCount = 0;
+  let item: { totals: Totals; index?: number; mediaid?: string } | null = null;
+  let state: PlaybackState = 'idle';
+  let stateSince = 0;
+  let bitrate: number | null = null;
+  let firstFrame = false;
+  let seeking = false;
+  // When the pending play attempt started, until it reaches the first frame or fails
+  let attemptStart: number | null = null;
+
+  const getItem = () => {
+    if (!item) item = { totals: createTotals() };
+    return item;
+  };
+
+  // Adds the time spent in the current state to the item's totals
+  const accumulate = (): void => {
+    const now = Date.now();
+    const elapsed = now - stateSince;
+    stateSince = now;
+    if (!item) return;
+
+    const { totals } = item;
+    if (state === 'rebuffering') {
+      totals.rebufferDuration += elapsed;
+    } else if (state === 'playing') {
+      totals.playDuration += elapsed;
+      if (bitrate !== null) {
+        totals.bitrateTime += bitrate * elapsed;
+        totals.bitrateDuration += elapsed;
+      }
+    }
+  };
+
+  const setState = (next: PlaybackState): void => {
+    accumulate();
+    state = next;
+  };
+
+  const setBitrate = (next: number | null): void => {
+    if (next === null || next === bitrate) return;
+
+    accumulate();
+    const { totals } = getItem();
+    if (bitrate !== null) totals.bitrateSwitches += 1;
+    totals.peakBitrate = maxOf(totals.peakBitrate, next);
+    bitrate = next;
+  };
+
+  const dropAttempt = (): void => {
+    if (attemptStart === null) return;
+
+    getItem().totals.droppedAttempts += 1;
+    attemptStart = null;
+  };
+
+  const report = (reason: QoEReport['reason']): void => {
+    if (!item) return;
+
+    dropAttempt();
+    accumulate();
+    const { totals, index, mediaid } = item;
+    session = addTotals(session, totals);
+    itemCount += 1;
+    item = null;
+    firstFrame = false;
+    // The next item reports its own bitrate
+    bitrate = null;
+
+    const itemReport: QoEReport = {
+      reason,
+      item: { ...toMetrics(totals), index, mediaid },
+      session: { ...toMetrics(session), items: itemCount },
+    };
+    setReport(id, itemReport);
+    onReport(itemReport);
+  };
+
+  return {
+    handleEvent(name, data = {}) {
+      if (isErrorEvent(name)) {
+        const { totals } = getItem();
+        totals.errors += 1;
+        if (attemptStart !== null) {
+          totals.joinFailures += 1;
+          attemptStart = null;
+        }
+        setState('idle');
+        return;
+      }
+
+      switch (name) {
+        case 'playlistItem': {
+          report('playlistItem');
+          const current = getItem();
+          current.index =
+            typeof data.index === 'number' ? data.index : undefined;
+          current.mediaid = (
+            data.item as JWPlayerPlaylistItem | undefined
+          )?.mediaid;
+          break;
+        }
+        case 'beforePlay':
+          if (firstFrame) break;
+          getItem().totals.playAttempts += 1;
+          attemptStart ??= Date.now();
+          break;
+        case 'firstFrame': {
+          const { totals } = getItem();
+          if (typeof data.loadTime === 'number') {
+            totals.timeToFirstFrame = data.loadTime;
+          } else if (attemptStart !== null) {
+            totals.timeToFirstFrame = Date.now() - attemptStart;
+          }
+          firstFrame = true;
+          attemptStart = null;
+          setState('playing');
+          break;
+        }
+        case 'play':
+          setState('playing');
+          break;
+        case 'buffer':
+          if (firstFrame && !seeking) {
+            getItem().totals.rebufferCount += 1;
+            setState('rebuffering');
+          } else {
+            setState('buffering');
+          }
+          break;
+        case 'pause':
+        case 'idle':
+          dropAttempt();
+          setState('idle');
+          break;
+        case 'seek':
+          seeking = true;
+          break;
+        case 'seeked':
+          seeking = false;
+          break;
+        case 'levels': {
+          const levels = data.levels as QualityLevel[] | undefined;
+          setBitrate(getBitrate(levels?.[data.currentQuality as number]));
+          break;
+        }
+        case 'visualQuality':
+          setBitrate(getBitrate(data.level));
+          break;
+        case 'complete':
+          setState('idle');
+          report('complete');
+          break;
+        default:
+      }
+    },
+    reset() {
+      report('unmount');
+      session = createTotals();
+      itemCount = 0;
+      state = 'idle';
+      seeking = false;
+      attemptStart = null;
+    },
+  };
+}
+
+// Reports QoE metrics to `onMetrics` and useQoEMetrics
+export const qoeFeature: JWPlayerFeature = (host) => {
+  const collector = createQoECollector(host.id, (report) =>
+    host.getProps().onMetrics?.(report),
+  );
+  return { handleEvent: collector.handleEvent, reset: collector.reset };
+};
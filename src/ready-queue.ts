@@ -0,0 +1,43 @@
+import type { JWPlayerInstance } from './jwplayer';
+
+type PlayerCall = (player: JWPlayerInstance) => void;
+
+export interface ReadyQueue {
+  // Runs `call` now if the player is ready, otherwise once it is
+  run(call: PlayerCall): void;
+  whenReady(): Promise<JWPlayerInstance>;
+  // Marks the player ready and flushes the queued calls
+  ready(player: JWPlayerInstance): void;
+  // Forgets the player once it is removed, so later calls wait for the next one
+  reset(): void;
+}
+
+export function createReadyQueue(): ReadyQueue {
+  let readyPlayer: JWPlayerInstance | null = null;
+  let calls: PlayerCall[] = [];
+  let waiting: PlayerCall[] = [];
+
+  return {
+    run(call) {
+      if (readyPlayer) {
+        call(readyPlayer);
+      } else {
+        calls.push(call);
+      }
+    },
+    whenReady() {
+      if (readyPlayer) return Promise.resolve(readyPlayer);
+      return new Promise((resolve) => waiting.push(resolve));
+    },
+    ready(player) {
+      readyPlayer = player;
+      const queued = [...calls, ...waiting];
+      calls = [];
+      waiting = [];
+      queued.forEach((call) => call(player));
+    },
+    reset() {
+      readyPlayer = null;
+    },
+  };
+}
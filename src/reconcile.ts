@@ -0,0 +1,166 @@
+import type { JWPlayerConfig, JWPlayerInstance } from './jwplayer';
+
+type Config = Partial<JWPlayerConfig>;
+
+export type ConfigUpdate = (player: JWPlayerInstance, config: Config) => void;
+
+// Keys describing the loaded content. Any change among the source keys is applied with a single
+// `load` call, which takes the metadata keys along
+const sourceKeys = new Set<string>(['file', 'playlist', 'sources', 'mediaid']);
+
+// Metadata the player has no live API for. Reloading for them would restart playback, so a
+// change to them alone is left for the next load
+const metadataKeys = new Set<string>([
+  'image',
+  'title',
+  'description',
+  'tracks',
+]);
+
+const loadContent: ConfigUpdate = (player, config) => {
+  if (config.playlist) {
+    player.load(config.playlist);
+    return;
+  }
+
+  const item: Record<string, unknown> = {};
+  [...sourceKeys, ...metadataKeys].forEach((key) => {
+    if (key !== 'playlist' && config[key] !== undefined) {
+      item[key] = config[key];
+    }
+  });
+  player.load([item]);
+};
+
+const resize: ConfigUpdate = (player, config) => {
+  player.resize(
+    config.width ?? player.getWidth(),
+    config.height ?? player.getHeight(),
+  );
+};
+
+// Config keys that can be applied to a live player, mapped to the API call that applies them.
+// Changing any other key requires the player to be set up again.
+const liveUpdates: Record<string, ConfigUpdate> = {
+  playlistIndex: (player, config) => {
+    player.playlistItem(Number(config.playlistIndex ?? 0));
+  },
+  mute: (player, config) => player.setMute(!!config.mute),
+  volume: (player, config) => {
+    if (typeof config.volume === 'number') player.setVolume(config.volume);
+  },
+  width: resize,
+  height: resize,
+  controls: (player, config) => player.setControls(config.controls !== false),
+  captions: (player, config) => {
+    if (config.captions) player.setCaptions(config.captions);
+  },
+  playbackRate: (player, config) => {
+    if (typeof config.playbackRate === 'number') {
+      player.setPlaybackRate(config.playbackRate);
+    }
+  },
+};
+
+// Functions count as equal, as the player calls them through forwardFunctions
+export function isEqual(a: unknown, b: unknown): boolean {
+  if (a === b) return true;
+  if (typeof a === 'function' && typeof b === 'function') return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const aRecord = a as Record<string, unknown>;
+  const bRecord = b as Record<string, unknown>;
+  const aKeys = Object.keys(aRecord);
+  const bKeys = Object.keys(bRecord);
+
+  return (
+    aKeys.length === bKeys.length &&
+    aKeys.every((key) => isEqual(aRecord[key], bRecord[key]))
+  );
+}
+
+export function getChangedKeys(
+  prevConfig: Config,
+  nextConfig: Config,
+): string[] {
+  const keys = new Set([
+    ...Object.keys(prevConfig),
+    ...Object.keys(nextConfig),
+  ]);
+
+  return Array.from(keys).filter(
+    (key) => !isEqual(prevConfig[key], nextConfig[key]),
+  );
+}
+
+// Maps the difference between two generated configs to the player calls that apply it.
+// `setup` is true when at least one changed key can't be applied to a live player, and
+// `content` when the loaded content changed.
+// Keys in `ignoredKeys` are applied elsewhere and never cause an update.
+export function getConfigUpdates(
+  prevConfig: Config,
+  nextConfig: Config,
+  ignoredKeys: Set<string> = new Set(),
+): { setup: boolean; content: boolean; updates: ConfigUpdate[] } {
+  const updates = new Set<ConfigUpdate>();
+  let setup = false;
+  let content = false;
+
+  getChangedKeys(prevConfig, nextConfig).forEach((key) => {
+    if (ignoredKeys.has(key)) return;
+
+    if (sourceKeys.has(key)) {
+      content = true;
+      updates.add(loadContent);
+    } else if (metadataKeys.has(key)) {
+      return;
+    } else if (liveUpdates[key]) {
+      updates.add(liveUpdates[key]);
+    } else {
+      setup = true;
+    }
+  });
+
+  return { setup, content, updates: setup ? [] : Array.from(updates) };
+}
+
+const isPlainObject = (value: unknown): value is Record<string, unknown> => {
+  if (!value || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+// Swaps the functions in a setup config, such as `events` callbacks, for ones that call the
+// function at the same place in the latest config. An inline callback then changes without
+// the player being set up again. A function the latest config no longer has is still called
+export function forwardFunctions<T>(value: T, getLatest: () => unknown): T {
+  if (typeof value === 'function') {
+    const original = value as unknown as (...args: unknown[]) => unknown;
+    return function forwarded(this: unknown, ...args: unknown[]) {
+      const latest = getLatest();
+      const target = typeof latest === 'function' ? latest : original;
+      return (target as (...args: unknown[]) => unknown).apply(this, args);
+    } as unknown as T;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) =>
+      forwardFunctions(item, () => {
+        const latest = getLatest();
+        return Array.isArray(latest) ? latest[index] : undefined;
+      }),
+    ) as unknown as T;
+  }
+  if (!isPlainObject(value)) return value;
+
+  const forwarded: Record<string, unknown> = {};
+  Object.keys(value).forEach((key) => {
+    forwarded[key] = forwardFunctions(value[key], () => {
+      const latest = getLatest();
+      return isPlainObject(latest) ? latest[key] : undefined;
+    });
+  });
+  return forwarded as T;
+}
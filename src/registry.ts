@@ -0,0 +1,56 @@
+import type { JWPlayerInstance } from './jwplayer';
+
+export interface RegisteredPlayer {
+  id: string;
+  player: JWPlayerInstance;
+}
+
+// Players set up under a JWPlayerProvider, keyed by id. Registrations are forwarded to the
+// parent provider's registry so an outer provider sees every player beneath it.
+export interface PlayerRegistry {
+  register(id: string, player: JWPlayerInstance): void;
+  unregister(id: string, player: JWPlayerInstance): void;
+  get(id: string): JWPlayerInstance | null;
+  // Registered players in the order they were set up. A new array after every change
+  getSnapshot(): RegisteredPlayer[];
+  subscribe(listener: () => void): () => void;
+}
+
+export function createPlayerRegistry(parent?: PlayerRegistry): PlayerRegistry {
+  const players = new Map<string, JWPlayerInstance>();
+  const listeners = new Set<() => void>();
+  let snapshot: RegisteredPlayer[] = [];
+
+  const update = (): void => {
+    snapshot = Array.from(players, ([id, player]) => ({ id, player }));
+    listeners.forEach((listener) => listener());
+  };
+
+  return {
+    register(id, player) {
+      players.set(id, player);
+      update();
+      parent?.register(id, player);
+    },
+    // Only removes the entry if it still belongs to `player`, as in the player store
+    unregister(id, player) {
+      if (players.get(id) === player) {
+        players.delete(id);
+        update();
+      }
+      parent?.unregister(id, player);
+    },
+    get(id) {
+      return players.get(id) || null;
+    },
+    getSnapshot() {
+      return snapshot;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+}
@@ -0,0 +1,17 @@
+// Entry point for tests: a scriptable mock of the JW Player library, and the component's
+// lifecycle internals for tests that drive it directly
+export { getInternals } from './internals';
+export type { JWPlayerInternals } from './internals';
+export {
+  createMockLibrary,
+  createMockPlayer,
+  installMockLibrary,
+  uninstallMockLibrary,
+} from './mock-player';
+export type {
+  MockLibrary,
+  MockPlayer,
+  MockPlayerOptions,
+  SimulateAdOptions,
+  SimulatePlaybackOptions,
+} from './mock-player';
@@ -0,0 +1,87 @@
+import type { JWPlayerFeature } from './feature';
+
+// Milliseconds between calls to an event's handlers, or 'frame' to call them at most once per
+// animation frame. Either way the last event held back is delivered at the end of the window.
+export type EventThrottle = Record<string, number | 'frame'>;
+
+interface ThrottleState {
+  last: number;
+  timer?: ReturnType<typeof setTimeout>;
+  frame?: number;
+  pending?: () => void;
+}
+
+export interface EventThrottler {
+  // Holds back an event whose handlers were called less than its interval ago, to deliver the
+  // last one held back at the end of the interval. Returns whether it held it back
+  hold(name: string, deliver: () => void): boolean;
+  // Drops held back events
+  reset(): void;
+}
+
+export function createEventThrottler(
+  getThrottle: () => EventThrottle | undefined,
+): EventThrottler {
+  let throttles = new Map<string, ThrottleState>();
+
+  const flush = (state: ThrottleState): void => {
+    const { pending } = state;
+    state.timer = undefined;
+    state.frame = undefined;
+    state.pending = undefined;
+    if (!pending) return;
+
+    state.last = Date.now();
+    pending();
+  };
+
+  return {
+    hold(name, deliver) {
+      const wait = getThrottle()?.[name];
+      if (wait === undefined) return false;
+
+      let state = throttles.get(name);
+      if (!state) {
+        state = { last: -Infinity };
+        throttles.set(name, state);
+      }
+      const current = state;
+
+      if (wait === 'frame') {
+        current.pending = deliver;
+        if (current.frame === undefined) {
+          current.frame = requestAnimationFrame(() => flush(current));
+        }
+        return true;
+      }
+
+      const elapsed = Date.now() - current.last;
+      if (elapsed >= wait && current.timer === undefined) {
+        current.last = Date.now();
+        return false;
+      }
+
+      current.pending = deliver;
+      if (current.timer === undefined) {
+        current.timer = setTimeout(
+          () => flush(current),
+          Math.max(wait - elapsed, 0),
+        );
+      }
+      return true;
+    },
+    reset() {
+      throttles.forEach(({ timer, frame }) => {
+        clearTimeout(timer);
+        if (frame !== undefined) cancelAnimationFrame(frame);
+      });
+      throttles = new Map();
+    },
+  };
+}
+
+// Limits how often the handlers of the events in `eventThrottle` are called
+export const eventThrottleFeature: JWPlayerFeature = (host) => {
+  const throttler = createEventThrottler(() => host.getProps().eventThrottle);
+  return { holdEvent: throttler.hold, reset: throttler.reset };
+};
@@ -0,0 +1,288 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { PlayerTarget, useJWPlayer, useTargetId } from './hooks';
+import type { EventData, JWPlayerInstance, JWPlayerTrack } from './jwplayer';
+import { subscribeToPlayerEvents } from './player-store';
+import { parseVTT, VTTCue } from './vtt';
+
+export interface TranscriptOptions {
+  // Fetches a captions file. Defaults to `fetch`
+  loadTrack?: (url: string) => Promise<string>;
+}
+
+export interface TranscriptState {
+  cues: VTTCue[];
+  // Index in `cues` of the cue containing the playback position, or -1
+  activeIndex: number;
+  // The captions track the cues were parsed from
+  track: JWPlayerTrack | null;
+  loading: boolean;
+  error: Error | null;
+  // Seeks the player to the start of `cue`
+  seek: (cue: VTTCue) => void;
+}
+
+const fetchTrack = async (url: string): Promise<string> => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(
+      `jwplayer-react failed to load captions from ${url} with ${response.status}`,
+    );
+  }
+  return response.text();
+};
+
+// Tracks without a kind are captions, as they are to the player
+const isCaptionsTrack = ({ kind = 'captions' }: JWPlayerTrack): boolean =>
+  kind === 'captions';
+
+// The captions track of the current item to show: the one selected in the player, otherwise
+// the one shown before if the item still has it, otherwise the default or first one
+export function getTranscriptTrack(
+  player: JWPlayerInstance,
+  previous: JWPlayerTrack | null = null,
+): JWPlayerTrack | null {
+  const tracks = (player.getPlaylistItem()?.tracks || []).filter(
+    isCaptionsTrack,
+  );
+  const selected = player.getCaptionsList()[player.getCurrentCaptions()];
+  // The first entry in the captions list is "Off"
+  const current =
+    player.getCurrentCaptions() > 0 && selected
+      ? tracks.find(
+          ({ file, label }) => file === selected.id || label === selected.label,
+        )
+      : undefined;
+
+  return (
+    current ||
+    tracks.find(({ file }) => file === previous?.file) ||
+    tracks.find((track) => track.default) ||
+    tracks[0] ||
+    null
+  );
+}
+
+// Index of the last cue that contains `position`, or -1
+export function getActiveCueIndex(cues: VTTCue[], position: number): number {
+  for (let index = cues.length - 1; index >= 0; index--) {
+    const { start, end } = cues[index];
+    if (start <= position && position < end) return index;
+  }
+  return -1;
+}
+
+const trackEvents = [
+  'ready',
+  'playlistItem',
+  'captionsList',
+  'captionsChanged',
+];
+
+const getPosition = (name: string, data?: EventData): number | undefined => {
+  const position = name === 'seek' ? data?.offset : data?.position;
+  return typeof position === 'number' ? position : undefined;
+};
+
+// Loads and parses the captions track shown in the target player, and follows the playback
+// position and caption language switches
+export function useTranscript(
+  target?: PlayerTarget,
+  { loadTrack = fetchTrack }: TranscriptOptions = {},
+): TranscriptState {
+  const id = useTargetId(target);
+  const player = useJWPlayer(id);
+  const [track, setTrack] = useState<JWPlayerTrack | null>(null);
+  const [cues, setCues] = useState<VTTCue[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const loadTrackRef = useRef(loadTrack);
+  loadTrackRef.current = loadTrack;
+
+  useEffect(() => {
+    if (!id || !player) {
+      setTrack(null);
+      return;
+    }
+
+    const update = () =>
+      setTrack((previous) => {
+        const next = getTranscriptTrack(player, previous);
+        return next?.file === previous?.file ? previous : next;
+      });
+    update();
+
+    return subscribeToPlayerEvents(id, (name) => {
+      if (trackEvents.includes(name)) update();
+    });
+  }, [id, player]);
+
+  const file = track?.file;
+  useEffect(() => {
+    setCues([]);
+    setError(null);
+    setLoading(!!file);
+    if (!file) return;
+
+    let cancelled = false;
+    loadTrackRef
+      .current(file)
+      .then(parseVTT)
+      .then(
+        (parsed) => {
+          if (cancelled) return;
+          setCues(parsed);
+          setLoading(false);
+        },
+        (loadError) => {
+          if (cancelled) return;
+          setError(loadError);
+          setLoading(false);
+        },
+      );
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  // Read by the event listener, so events between a render and its effects see the new cues
+  const cuesRef = useRef(cues);
+  cuesRef.current = cues;
+
+  useEffect(() => {
+    setActiveIndex(player ? getActiveCueIndex(cues, player.getPosition()) : -1);
+  }, [player, cues]);
+
+  useEffect(() => {
+    if (!id) return;
+
+    return subscribeToPlayerEvents(id, (name, data) => {
+      if (name === 'playlistItem') {
+        setActiveIndex(-1);
+        return;
+      }
+      const position = getPosition(name, data);
+      // Only a change of cue re-renders, not every time event
+      if (position !== undefined) {
+        setActiveIndex(getActiveCueIndex(cuesRef.current, position));
+      }
+    });
+  }, [id]);
+
+  const seek = useCallback(
+    (cue: VTTCue) => {
+      player?.seek(cue.start);
+    },
+    [player],
+  );
+
+  return { cues, activeIndex, track, loading, error, seek };
+}
+
+export interface TranscriptProps extends TranscriptOptions {
+  // Defaults to the JWPlayer the transcript is rendered in
+  target?: PlayerTarget;
+  // Shows a search box that narrows the cues to those containing the query. Defaults to true
+  searchable?: boolean;
+  // Keeps the active cue scrolled into view. Defaults to true
+  autoScroll?: boolean;
+  className?: string;
+  // Accessible name of the transcript region
+  label?: string;
+}
+
+const pad = (value: number): string => (value < 10 ? `0${value}` : `${value}`);
+
+// m:ss, or h:mm:ss for an hour or more
+const formatTime = (seconds: number): string => {
+  const whole = Math.floor(seconds);
+  const hours = Math.floor(whole / 3600);
+  const minutes = Math.floor((whole % 3600) / 60);
+
+  return hours
+    ? `${hours}:${pad(minutes)}:${pad(whole % 60)}`
+    : `${minutes}:${pad(whole % 60)}`;
+};
+
+// Wraps each occurrence of `query` in a <mark>
+function highlight(text: string, query: string): React.ReactNode {
+  if (!query) return text;
+
+  const lower = text.toLowerCase();
+  const parts: React.ReactNode[] = [];
+  let from = 0;
+  for (
+    let index = lower.indexOf(query);
+    index >= 0;
+    index = lower.indexOf(query, from)
+  ) {
+    parts.push(text.slice(from, index));
+    parts.push(
+      <mark key={index}>{text.slice(index, index + query.length)}</mark>,
+    );
+    from = index + query.length;
+  }
+  parts.push(text.slice(from));
+
+  return parts;
+}
+
+// A scrollable, searchable transcript of the captions shown in a player. Clicking a cue seeks
+// to it, and the cue being played is marked with aria-current.
+export function Transcript({
+  target,
+  searchable = true,
+  autoScroll = true,
+  className = 'jwplayer-react-transcript',
+  label = 'Transcript',
+  ...options
+}: TranscriptProps) {
+  const { cues, activeIndex, loading, error, seek } = useTranscript(
+    target,
+    options,
+  );
+  const [query, setQuery] = useState('');
+  const activeRef = useRef<HTMLLIElement>(null);
+  const search = query.trim().toLowerCase();
+  const visible = cues
+    .map((cue, index) => ({ cue, index }))
+    .filter(({ cue }) => !search || cue.text.toLowerCase().includes(search));
+
+  useEffect(() => {
+    if (autoScroll && !search) {
+      activeRef.current?.scrollIntoView?.({ block: 'nearest' });
+    }
+  }, [activeIndex, autoScroll, search]);
+
+  return (
+    <section className={className} aria-label={label}>
+      {searchable && (
+        <input
+          type="search"
+          aria-label={`Search ${label.toLowerCase()}`}
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+        />
+      )}
+      {error && <p role="alert">{error.message}</p>}
+      {!error && loading && <p>Loading...</p>}
+      {search && !visible.length && <p>No matches</p>}
+      <ol>
+        {visible.map(({ cue, index }) => (
+          <li
+            key={index}
+            ref={index === activeIndex ? activeRef : undefined}
+            aria-current={index === activeIndex ? 'true' : undefined}
+          >
+            <button type="button" onClick={() => seek(cue)}>
+              <time>{formatTime(cue.start)}</time>{' '}
+              {cue.voice && <strong>{cue.voice}: </strong>}
+              {highlight(cue.text, search)}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
@@ -1,37 +1,214 @@
 import configProps from './config-props';
-import type { JWPlayerConfig } from './jwplayer';
+import type { JWPlayerConfig, JWPlayerFunction } from './jwplayer';
 
-let idIndex = -1;
+// Server rendering and imports must not touch window or document
+export const isBrowser = (): boolean =>
+  typeof window !== 'undefined' && typeof document !== 'undefined';
 
-export function generateUniqueId(): string {
-  idIndex++;
-  const id = `jwplayer-${idIndex}`;
-  return id;
+// Builds a player id from a React.useId value, which matches between server and client
+// but may contain characters that aren't valid in a jwplayer() selector
+export function generateUniqueId(reactId: string): string {
+  return `jwplayer-${reactId.replace(/[^\w-]/g, '')}`;
 }
 
-export function createPlayerLoadPromise(url: string): Promise<void> {
+export interface LibraryLoadOptions {
+  // Milliseconds to wait for each attempt before giving up on it
+  timeout?: number;
+  // Attempts made after the first one fails
+  retries?: number;
+  // Delay before the first retry, doubled for each retry after it
+  retryDelay?: number;
+  nonce?: string;
+  integrity?: string;
+  crossOrigin?: '' | 'anonymous' | 'use-credentials';
+}
+
+const rejectOnServer = (): Promise<void> =>
+  Promise.reject(
+    new Error('jwplayer-react can only load a library in the browser'),
+  );
+
+export type LibraryLoadState = 'loading' | 'loaded' | 'error';
+
+const defaultLoadOptions = {
+  timeout: 30000,
+  retries: 2,
+  retryDelay: 1000,
+};
+
+// Library loads by URL, so every player waiting on the same library shares one script tag.
+// Each library's `jwplayer` function is kept with it, as the next library loaded replaces
+// `window.jwplayer`.
+const libraries = new Map<
+  string,
+  {
+    state: LibraryLoadState;
+    promise: Promise<void>;
+    jwplayer?: JWPlayerFunction;
+  }
+>();
+
+export function createPlayerLoadPromise(
+  url: string,
+  options: LibraryLoadOptions = {},
+): Promise<void> {
   return new Promise((res, rej) => {
     const script = document.createElement('script');
-    script.onload = () => res();
-    script.onerror = rej;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+
+    // A failed script tag is removed so a retry starts from a clean document
+    const fail = (error: unknown) => {
+      clearTimeout(timer);
+      script.remove();
+      rej(error);
+    };
+
+    script.onload = () => {
+      clearTimeout(timer);
+      res();
+    };
+    script.onerror = fail;
+    if (options.nonce) script.nonce = options.nonce;
+    if (options.integrity) script.integrity = options.integrity;
+    if (options.crossOrigin !== undefined) {
+      script.crossOrigin = options.crossOrigin;
+    }
     script.src = url;
 
+    if (options.timeout) {
+      timer = setTimeout(
+        () => fail(new Error(`jwplayer-react timed out loading ${url}`)),
+        options.timeout,
+      );
+    }
+
     document.body.append(script);
   });
 }
 
-export function loadPlayer(url?: string): Promise<void> {
+const wait = (ms: number) =>
+  new Promise<void>((res) => {
+    setTimeout(res, ms);
+  });
+
+async function loadWithRetries(
+  url: string,
+  options: LibraryLoadOptions,
+): Promise<void> {
+  const { timeout, retries, retryDelay } = {
+    ...defaultLoadOptions,
+    ...options,
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await createPlayerLoadPromise(url, { ...options, timeout });
+      return;
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error instanceof Error
+          ? error
+          : new Error(`jwplayer-react failed to load ${url}`);
+      }
+      await wait(retryDelay * 2 ** attempt);
+    }
+  }
+}
+
+const isLoadedLibrary = (jwplayer: JWPlayerFunction): boolean =>
+  Array.from(libraries.values()).some((entry) => entry.jwplayer === jwplayer);
+
+export function getLibraryLoadState(url: string): LibraryLoadState | undefined {
+  return libraries.get(url)?.state;
+}
+
+export function loadLibrary(
+  url: string,
+  options: LibraryLoadOptions = {},
+): Promise<void> {
+  if (!isBrowser()) {
+    return rejectOnServer();
+  }
+
+  const existing = libraries.get(url);
+  if (existing && existing.state !== 'error') return existing.promise;
+
+  // A library the page added itself stays the global for the page's own players
+  const pageLibrary =
+    window.jwplayer && !isLoadedLibrary(window.jwplayer)
+      ? window.jwplayer
+      : undefined;
+
+  const entry: {
+    state: LibraryLoadState;
+    promise: Promise<void>;
+    jwplayer?: JWPlayerFunction;
+  } = {
+    state: 'loading',
+    promise: loadWithRetries(url, options).then(
+      () => {
+        // This runs in the microtasks straight after the script's load event, before any other
+        // script can run and replace the global
+        entry.state = 'loaded';
+        entry.jwplayer = window.jwplayer;
+        if (pageLibrary) window.jwplayer = pageLibrary;
+      },
+      (error) => {
+        entry.state = 'error';
+        throw error;
+      },
+    ),
+  };
+  libraries.set(url, entry);
+
+  return entry.promise;
+}
+
+// Forgets every library load; the script tags already on the page are left in place
+export function clearLibraryCache(): void {
+  libraries.clear();
+}
+
+export function loadPlayer(
+  url?: string,
+  options?: LibraryLoadOptions,
+): Promise<void> {
+  if (!isBrowser()) {
+    return rejectOnServer();
+  }
+
   if (!window.jwplayer && !url) {
     throw new Error(
       'jwplayer-react requires either a library prop, or a library script',
     );
   }
 
-  if (window.jwplayer) {
+  if (!url) {
+    return Promise.resolve();
+  }
+
+  // A library the page added itself from the same URL is used as it is. One from another
+  // URL is kept as the global while the component loads its own
+  if (
+    window.jwplayer &&
+    !isLoadedLibrary(window.jwplayer) &&
+    !libraries.has(url) &&
+    hasPageScript(url)
+  ) {
     return Promise.resolve();
   }
 
-  return createPlayerLoadPromise(url);
+  return loadLibrary(url, options);
+}
+
+const hasPageScript = (url: string): boolean =>
+  Array.from(document.getElementsByTagName('script')).some(
+    (script) => script.src === url,
+  );
+
+// The `jwplayer` function to set up a player with: the one loaded for `url`, or the global
+export function getPlayerLibrary(url?: string): JWPlayerFunction | undefined {
+  return (url && libraries.get(url)?.jwplayer) || window.jwplayer;
 }
 
 export function generateConfig(
@@ -56,3 +233,8 @@ export function getHandlerName(prop: string, regex: string): string {
   // lowercase the first letter of the match and return
   return match[1].charAt(0).toLowerCase() + match[1].slice(1);
 }
+
+// Reads a prop whose name is only known at runtime, such as an on<Event> handler
+export function getProp(props: object, name: string): unknown {
+  return (props as Record<string, unknown>)[name];
+}
@@ -0,0 +1,365 @@
+import configProps, { CONFIG_PROPS, ConfigPropName } from './config-props';
+import { ALL, COMPONENT_HANDLERS, ON_REGEX, ONCE_REGEX } from './const';
+import type { JWPlayerEventName, JWPlayerEventProps } from './events';
+import type { JWPlayerFeature } from './feature';
+import type { JWPlayerConfig, JWPlayerProps } from './jwplayer';
+import { getHandlerName, getPlayerLibrary, isBrowser } from './util';
+
+// Development-only checks of the props and setup config. Callers guard each call with
+// `process.env.NODE_ENV !== 'production'`, so bundlers drop them from production builds.
+
+type ComponentPropName = Exclude<
+  keyof JWPlayerProps,
+  ConfigPropName | keyof JWPlayerEventProps | `on${string}`
+>;
+
+// Props the component uses itself. Typed as a record so a new prop can't be left out
+const componentProps: Record<ComponentPropName, true> = {
+  id: true,
+  library: true,
+  config: true,
+  libraryOptions: true,
+  fallback: true,
+  renderError: true,
+  fallbackOnPlaybackError: true,
+  placeholder: true,
+  lazy: true,
+  preconnect: true,
+  prefetch: true,
+  features: true,
+  cuePoints: true,
+  persist: true,
+  mediaSession: true,
+  float: true,
+  analyticsAdapters: true,
+  analyticsOptions: true,
+  children: true,
+  overlay: true,
+  didMountCallback: true,
+  willUnmountCallback: true,
+  eventThrottle: true,
+  playing: true,
+  defaultPlaying: true,
+  muted: true,
+  defaultMuted: true,
+  defaultVolume: true,
+  currentTime: true,
+  defaultCurrentTime: true,
+  fullscreen: true,
+  defaultFullscreen: true,
+};
+
+// Every event in JWPlayerEventMap, as the handler names the props can use
+const playerEvents: Record<JWPlayerEventName, true> = {
+  ready: true,
+  remove: true,
+  setupError: true,
+  error: true,
+  warning: true,
+  play: true,
+  pause: true,
+  buffer: true,
+  idle: true,
+  complete: true,
+  beforePlay: true,
+  beforeComplete: true,
+  autostartNotAllowed: true,
+  firstFrame: true,
+  time: true,
+  seek: true,
+  seeked: true,
+  meta: true,
+  playlist: true,
+  playlistItem: true,
+  playlistComplete: true,
+  nextClick: true,
+  levels: true,
+  levelsChanged: true,
+  visualQuality: true,
+  audioTracks: true,
+  audioTrackChanged: true,
+  captionsList: true,
+  captionsChanged: true,
+  mute: true,
+  volume: true,
+  fullscreen: true,
+  resize: true,
+  playbackRateChanged: true,
+  controls: true,
+  displayClick: true,
+  userActive: true,
+  userInactive: true,
+  viewable: true,
+  adRequest: true,
+  adBreakStart: true,
+  adBreakEnd: true,
+  adImpression: true,
+  adPlay: true,
+  adPause: true,
+  adTime: true,
+  adClick: true,
+  adSkipped: true,
+  adComplete: true,
+  adError: true,
+  adWarning: true,
+  adBidRequest: true,
+  adBidResponse: true,
+  adBlock: true,
+  adBreakIgnored: true,
+  adCompanions: true,
+  adItem: true,
+  adLoaded: true,
+  adManager: true,
+  adMeta: true,
+  adPlaylist: true,
+  adSchedule: true,
+  adsManager: true,
+  adStarted: true,
+  adViewableImpression: true,
+  breakpoint: true,
+  bufferChange: true,
+  cast: true,
+  float: true,
+  pipEnter: true,
+  pipLeave: true,
+  playAttemptFailed: true,
+  providerFirstFrame: true,
+  relatedClose: true,
+  relatedOpen: true,
+  relatedPlay: true,
+  relatedReady: true,
+  sharingClick: true,
+  sharingClose: true,
+  sharingOpen: true,
+};
+
+const eventNames = new Set([ALL, ...Object.keys(playerEvents)]);
+
+type ValueType = 'string' | 'number' | 'boolean' | 'array' | 'object';
+
+// The types common config options take. Options left out accept anything
+const configTypes: Partial<Record<ConfigPropName, ValueType[]>> = {
+  file: ['string', 'array'],
+  playlist: ['string', 'array'],
+  sources: ['array'],
+  tracks: ['array'],
+  title: ['string'],
+  description: ['string'],
+  image: ['string'],
+  mediaid: ['string'],
+  key: ['string'],
+  aspectratio: ['string'],
+  width: ['string', 'number'],
+  height: ['string', 'number'],
+  playlistIndex: ['number'],
+  volume: ['number'],
+  duration: ['number'],
+  liveSyncDuration: ['number'],
+  liveTimeout: ['number'],
+  defaultBandwidthEstimate: ['number'],
+  nextupoffset: ['string', 'number'],
+  playbackRates: ['array'],
+  mute: ['boolean'],
+  repeat: ['boolean'],
+  controls: ['boolean'],
+  displaytitle: ['boolean'],
+  displaydescription: ['boolean'],
+  allowFullscreen: ['boolean'],
+  playbackRateControls: ['boolean'],
+  renderCaptionsNatively: ['boolean'],
+  enableDefaultCaptions: ['boolean'],
+  advertising: ['object'],
+  captions: ['object'],
+  skin: ['object'],
+  logo: ['object'],
+};
+
+// Options limited to a few values
+const configValues: Partial<Record<ConfigPropName, readonly unknown[]>> = {
+  autostart: [true, false, 'viewable'],
+  stretching: ['uniform', 'exactfit', 'fill', 'none'],
+  preload: ['auto', 'metadata', 'none'],
+  pipIcon: ['enabled', 'disabled'],
+};
+
+// Cloud-hosted libraries carry their licence key; self-hosted ones need `key`
+const CLOUD_LIBRARY_REGEX =
+  /^(https?:)?\/\/(cdn\.jwplayer\.com|content\.jwplatform\.com)\/libraries\//;
+
+// Each warning is logged once, however many players or renders run into it
+const warned = new Set<string>();
+
+function warn(message: string): void {
+  if (warned.has(message)) return;
+
+  warned.add(message);
+  console.warn(`jwplayer-react: ${message}`);
+}
+
+// Lets tests see the same warning again
+export function resetWarnings(): void {
+  warned.clear();
+}
+
+function getDistance(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// The closest candidate: a case-insensitive match, or one a couple of edits away
+function getSuggestion(
+  name: string,
+  candidates: Iterable<string>,
+): string | undefined {
+  let suggestion: string | undefined;
+  let best = 3;
+
+  for (const candidate of candidates) {
+    const distance =
+      candidate.toLowerCase() === name.toLowerCase()
+        ? 0
+        : getDistance(name, candidate);
+    if (distance < best) {
+      best = distance;
+      suggestion = candidate;
+    }
+  }
+
+  return suggestion;
+}
+
+const didYouMean = (suggestion?: string): string =>
+  suggestion ? ` Did you mean \`${suggestion}\`?` : '';
+
+function getValueType(value: unknown): ValueType | 'null' | 'function' {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+
+  return typeof value as ValueType | 'function';
+}
+
+const describeValue = (value: unknown): string =>
+  typeof value === 'string'
+    ? `the string "${value}"`
+    : `${getValueType(value)} ${JSON.stringify(value) ?? String(value)}`;
+
+const capitalize = (name: string): string =>
+  name.charAt(0).toUpperCase() + name.slice(1);
+
+function checkHandler(prop: string, event: string, prefix: string): void {
+  if (eventNames.has(event)) return;
+
+  const suggestion = getSuggestion(event, eventNames);
+  warn(
+    `\`${prop}\` listens for \`${event}\`, which isn't a player event.${didYouMean(
+      suggestion && `${prefix}${capitalize(suggestion)}`,
+    )}`,
+  );
+}
+
+// Warns about props the component ignores: unknown names and handlers for unknown events
+export function validateProps(props: JWPlayerProps): void {
+  const knownProps = [
+    ...CONFIG_PROPS,
+    ...Object.keys(componentProps),
+    ...COMPONENT_HANDLERS,
+  ];
+
+  Object.keys(props).forEach((prop) => {
+    if (configProps.has(prop) || prop in componentProps) return;
+    if (COMPONENT_HANDLERS.has(prop)) return;
+
+    // once* props also match ON_REGEX, so they are checked first
+    const onceEvent = getHandlerName(prop, ONCE_REGEX);
+    if (onceEvent) {
+      checkHandler(prop, onceEvent, 'once');
+      return;
+    }
+    const onEvent = getHandlerName(prop, ON_REGEX);
+    if (onEvent) {
+      checkHandler(prop, onEvent, 'on');
+      return;
+    }
+
+    warn(
+      `Unknown prop \`${prop}\` isn't passed to the player.${didYouMean(
+        getSuggestion(prop, knownProps),
+      )}`,
+    );
+  });
+}
+
+// Warns about config the player would reject or silently ignore
+export function validateConfig(
+  config: Partial<JWPlayerConfig>,
+  library?: string,
+): void {
+  Object.keys(configTypes).forEach((name) => {
+    const value = config[name];
+    const types = configTypes[name as ConfigPropName]!;
+    if (value === undefined || types.includes(getValueType(value) as ValueType))
+      return;
+
+    warn(
+      `\`${name}\` should be a ${types.join(' or ')}, but got ${describeValue(value)}.`,
+    );
+  });
+
+  Object.keys(configValues).forEach((name) => {
+    const value = config[name];
+    const values = configValues[name as ConfigPropName]!;
+    if (value === undefined || values.includes(value)) return;
+
+    warn(
+      `\`${name}\` should be one of ${values
+        .map((option) => JSON.stringify(option))
+        .join(', ')}, but got ${describeValue(value)}.`,
+    );
+  });
+
+  if (config.file !== undefined && config.playlist !== undefined) {
+    warn(
+      'Both `file` and `playlist` are set. The player plays `playlist` and ignores `file`.',
+    );
+  }
+
+  if (
+    config.file === undefined &&
+    config.playlist === undefined &&
+    config.sources === undefined &&
+    // Outstream ads play without content
+    !config.advertising?.outstream
+  ) {
+    warn(
+      'There is no `file`, `playlist` or `sources` to play. Pass one as a prop or in `config`.',
+    );
+  }
+
+  const jwplayer = isBrowser() ? getPlayerLibrary(library) : undefined;
+  const defaults = jwplayer?.defaults as Partial<JWPlayerConfig> | undefined;
+  const hasKey = !!(config.key || jwplayer?.key || defaults?.key);
+  if (!hasKey && library && !CLOUD_LIBRARY_REGEX.test(library)) {
+    warn(
+      `The self-hosted library ${library} needs a licence \`key\`. Pass one as a prop or in \`config\`.`,
+    );
+  }
+}
+
+// Warns about props and config the player won't take, in development builds
+export const validationFeature: JWPlayerFeature = () => ({
+  validateProps,
+  validateConfig,
+});
@@ -0,0 +1,80 @@
+export interface VTTCue {
+  // The cue identifier, or the cue's position in the file when it has none
+  id: string;
+  // Start and end times in seconds
+  start: number;
+  end: number;
+  // Cue text with markup removed. Lines are kept
+  text: string;
+  // The speaker named by a <v> voice tag, if any
+  voice?: string;
+}
+
+const TIMING_REGEX =
+  /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})/;
+
+const ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0',
+  lrm: '\u200e',
+  rlm: '\u200f',
+};
+
+// Seconds from a `hh:mm:ss.ttt` or `mm:ss.ttt` timestamp
+export function parseTimestamp(timestamp: string): number {
+  return timestamp
+    .split(':')
+    .reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+}
+
+const decodeEntities = (text: string): string =>
+  text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name: string) => {
+    if (name[0] !== '#') return ENTITIES[name.toLowerCase()] ?? entity;
+
+    const code =
+      name[1] === 'x' || name[1] === 'X'
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+    return String.fromCodePoint(code);
+  });
+
+// Drops the styling tags (<c>, <b>, <i>, <u>, <ruby>, <lang>) and inline timestamps
+const stripTags = (text: string): string => text.replace(/<[^>]*>/g, '');
+
+// Parses the cues of a WebVTT file. NOTE, STYLE and REGION blocks, cue settings and styling
+// are skipped, so only what a transcript shows is kept.
+export function parseVTT(vtt: string): VTTCue[] {
+  const blocks = vtt
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+  if (!/^WEBVTT(?:[ \t]|$)/.test(blocks[0] || '')) {
+    throw new Error('jwplayer-react: captions file is not WebVTT');
+  }
+
+  const cues: VTTCue[] = [];
+  blocks.slice(1).forEach((block) => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex((line) => TIMING_REGEX.test(line));
+    // Header continuation lines, and NOTE, STYLE and REGION blocks have no timing line
+    if (timingIndex < 0 || timingIndex > 1) return;
+
+    const [, start, end] = lines[timingIndex].match(TIMING_REGEX)!;
+    const raw = lines.slice(timingIndex + 1).join('\n');
+    const voice = raw.match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/)?.[1].trim();
+
+    cues.push({
+      id: timingIndex ? lines[0].trim() : String(cues.length + 1),
+      start: parseTimestamp(start),
+      end: parseTimestamp(end),
+      text: decodeEntities(stripTags(raw)).trim(),
+      ...(voice ? { voice } : {}),
+    });
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+}
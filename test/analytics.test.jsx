@@ -0,0 +1,262 @@
+import { cleanup, waitFor } from '@testing-library/react';
+import { createServer } from 'node:http';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createConsoleAdapter, createHttpAdapter } from '../src/analytics';
+import { mockLibrary, mountPlayer } from './util';
+
+const endpoint = 'https://analytics.example.com/collect';
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  cleanup();
+});
+
+const createMemoryAdapter = () => {
+  const batches = [];
+  return {
+    batches,
+    records: () => batches.flatMap(({ records }) => records),
+    send: vi.fn((records, options) => {
+      batches.push({ records, options });
+    }),
+  };
+};
+
+describe('analytics records', () => {
+  it('normalizes plays, pauses, seeks, quartiles, ads and errors', async () => {
+    const adapter = createMemoryAdapter();
+    const { id, emit, unmount } = await mountPlayer({
+      analyticsAdapters: [adapter],
+      analyticsOptions: { batchSize: 100 },
+    });
+
+    emit('playlistItem', { index: 0, item: { mediaid: 'abc' } });
+    emit('adImpression', { client: 'vast', adposition: 'pre', id: 'ad-1' });
+    emit('adComplete', { client: 'vast', adposition: 'pre', id: 'ad-1' });
+    emit('play', { oldstate: 'buffering', playReason: 'interaction' });
+    emit('buffer');
+    emit('play', { oldstate: 'buffering' });
+    emit('time', { position: 30, duration: 100 });
+    emit('pause', { pauseReason: 'interaction' });
+    emit('seek', { position: 30, offset: 80 });
+    emit('time', { position: 80, duration: 100 });
+    emit('complete');
+    emit('error', { code: 232011, message: 'Network error' });
+    unmount();
+
+    const records = adapter.records();
+    expect(records.map(({ type, data }) => [type, data])).toEqual([
+      ['adStart', { client: 'vast', adposition: 'pre', id: 'ad-1' }],
+      ['adComplete', { client: 'vast', adposition: 'pre', id: 'ad-1' }],
+      ['play', { reason: 'interaction' }],
+      ['quartile', { quartile: 25 }],
+      ['pause', { reason: 'interaction' }],
+      ['seek', { from: 30, to: 80 }],
+      ['quartile', { quartile: 50 }],
+      ['quartile', { quartile: 75 }],
+      ['quartile', { quartile: 100 }],
+      ['error', { event: 'error', code: 232011, message: 'Network error' }],
+    ]);
+    expect(records[0]).toMatchObject({
+      playerId: id,
+      mediaid: 'abc',
+      playlistIndex: 0,
+      position: 0,
+    });
+    expect(records[4].position).toBe(30);
+  });
+
+  it('leaves out quartiles for live streams', async () => {
+    const adapter = createMemoryAdapter();
+    const { emit, unmount } = await mountPlayer({
+      analyticsAdapters: [adapter],
+    });
+
+    emit('time', { position: 3600, duration: Infinity });
+    emit('pause');
+    unmount();
+    expect(adapter.records().map(({ type }) => type)).toEqual(['pause']);
+  });
+
+  it('passes records through the adapter map', async () => {
+    const adapter = createMemoryAdapter();
+    adapter.map = (record) =>
+      record.type === 'play' ? { event: 'video_play' } : null;
+    const { emit, unmount } = await mountPlayer({
+      analyticsAdapters: [adapter],
+    });
+
+    emit('play');
+    emit('pause');
+    unmount();
+    expect(adapter.records()).toEqual([{ event: 'video_play' }]);
+  });
+});
+
+describe('analytics batching', () => {
+  it('sends full batches, then partial ones after the flush interval', async () => {
+    const adapter = createMemoryAdapter();
+    const { emit } = await mountPlayer({
+      analyticsAdapters: [adapter],
+      analyticsOptions: { batchSize: 2, flushInterval: 1000 },
+    });
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+    emit('play');
+    expect(adapter.send).not.toHaveBeenCalled();
+    emit('pause');
+    expect(adapter.batches).toHaveLength(1);
+    expect(adapter.batches[0].options).toEqual({ beacon: false });
+
+    emit('play');
+    vi.advanceTimersByTime(1000);
+    expect(adapter.batches).toHaveLength(2);
+    expect(adapter.batches[1].records).toHaveLength(1);
+  });
+
+  it('sends the queued records with a beacon on pagehide and unmount', async () => {
+    const adapter = createMemoryAdapter();
+    const { emit, unmount } = await mountPlayer({
+      analyticsAdapters: [adapter],
+    });
+
+    emit('play');
+    window.dispatchEvent(new Event('pagehide'));
+    expect(adapter.batches[0].options).toEqual({ beacon: true });
+
+    emit('pause');
+    unmount();
+    expect(adapter.batches).toHaveLength(2);
+    expect(adapter.batches[1].options).toEqual({ beacon: true });
+  });
+
+  it('reports adapter failures to onError without stopping other adapters', async () => {
+    const onError = vi.fn();
+    const failing = { send: vi.fn(() => Promise.reject(new Error('down'))) };
+    const adapter = createMemoryAdapter();
+    const { emit, unmount } = await mountPlayer({
+      analyticsAdapters: [failing, adapter],
+      analyticsOptions: { onError },
+    });
+
+    emit('play');
+    unmount();
+    await waitFor(() => expect(onError).toHaveBeenCalled());
+    expect(onError.mock.calls[0][0].message).toBe('down');
+    expect(adapter.batches).toHaveLength(1);
+  });
+});
+
+describe('createHttpAdapter', () => {
+  const records = [{ type: 'play', playerId: 'player', timestamp: 1 }];
+
+  it('POSTs batches as JSON to a stand-in endpoint', async () => {
+    const fetch = vi.fn(() => Promise.resolve({ ok: true, status: 204 }));
+    vi.stubGlobal('fetch', fetch);
+
+    await createHttpAdapter({
+      url: endpoint,
+      headers: { Authorization: 'Bearer token' },
+    }).send(records, { beacon: false });
+
+    expect(fetch).toHaveBeenCalledWith(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer token',
+      },
+      body: JSON.stringify({ records }),
+      keepalive: false,
+    });
+  });
+
+  it('POSTs batches to a real endpoint', async () => {
+    const requests = [];
+    const server = createServer((request, response) => {
+      let body = '';
+      request.on('data', (chunk) => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        requests.push({
+          method: request.method,
+          contentType: request.headers['content-type'],
+          body: JSON.parse(body),
+        });
+        response.writeHead(204).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    try {
+      await createHttpAdapter({
+        url: `http://127.0.0.1:${port}/collect`,
+      }).send(records, { beacon: false });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    expect(requests).toEqual([
+      {
+        method: 'POST',
+        contentType: 'application/json',
+        body: { records },
+      },
+    ]);
+  });
+
+  it('sends with a beacon when the page is going away', async () => {
+    const fetch = vi.fn();
+    const sendBeacon = vi.fn(() => true);
+    vi.stubGlobal('fetch', fetch);
+    vi.stubGlobal('navigator', { sendBeacon });
+
+    await createHttpAdapter({
+      url: endpoint,
+      serialize: (batch) => batch,
+    }).send(records, { beacon: true });
+
+    expect(sendBeacon).toHaveBeenCalledWith(endpoint, JSON.stringify(records));
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('falls back to a keepalive request when the beacon is refused', async () => {
+    const fetch = vi.fn(() => Promise.resolve({ ok: true, status: 204 }));
+    vi.stubGlobal('fetch', fetch);
+    vi.stubGlobal('navigator', { sendBeacon: () => false });
+
+    await createHttpAdapter({ url: endpoint }).send(records, { beacon: true });
+    expect(fetch.mock.calls[0][1].keepalive).toBe(true);
+  });
+
+  it('rejects when the endpoint responds with an error', async () => {
+    vi.stubGlobal(
+      'fetch',
+      vi.fn(() => Promise.resolve({ ok: false, status: 500 })),
+    );
+
+    await expect(
+      createHttpAdapter({ url: endpoint }).send(records, { beacon: false }),
+    ).rejects.toThrow('failed with 500');
+  });
+});
+
+describe('createConsoleAdapter', () => {
+  it('logs each batch', () => {
+    const logger = { log: vi.fn() };
+    const records = [{ type: 'pause' }];
+
+    createConsoleAdapter({ logger }).send(records, { beacon: true });
+    expect(logger.log).toHaveBeenCalledWith(
+      '[jwplayer-react analytics] (beacon)',
+      records,
+    );
+  });
+});
@@ -0,0 +1,259 @@
+import { act, cleanup, render, waitFor } from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  applyControlledProps,
+  getControlledConfig,
+  handleControlledEvent,
+} from '../src/controlled';
+import JWPlayer from '../src/jwplayer';
+import { installMockLibrary, uninstallMockLibrary } from '../src/testing';
+import { mockLibrary, mountPlayer } from './util';
+
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  cleanup();
+});
+
+describe('getControlledConfig', () => {
+  it('maps controlled and default values to setup config', () => {
+    expect(
+      getControlledConfig({ playing: true, muted: true, volume: 20 }),
+    ).toEqual({
+      autostart: true,
+      mute: true,
+      volume: 20,
+    });
+    expect(
+      getControlledConfig({
+        defaultPlaying: false,
+        defaultMuted: false,
+        defaultVolume: 50,
+      }),
+    ).toEqual({ autostart: false, mute: false, volume: 50 });
+  });
+
+  it('prefers controlled values over defaults', () => {
+    expect(getControlledConfig({ muted: false, defaultMuted: true })).toEqual({
+      mute: false,
+    });
+  });
+});
+
+describe('applyControlledProps', () => {
+  it('skips values the player already has', () => {
+    const player = mockLibrary('controlled-skip');
+    const pending = {};
+    applyControlledProps(player, {}, { muted: false, volume: 100 }, pending);
+    expect(player.setMute).not.toHaveBeenCalled();
+    expect(player.setVolume).not.toHaveBeenCalled();
+    expect(pending).toEqual({});
+  });
+
+  it('does not seek within the seek tolerance', () => {
+    const player = mockLibrary('controlled-seek');
+    player.getPosition.mockReturnValueOnce(10.2);
+    applyControlledProps(player, {}, { currentTime: 10 }, {});
+    expect(player.seek).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleControlledEvent', () => {
+  it('suppresses only the echo of an applied value', () => {
+    const onMutedChange = vi.fn();
+    const pending = { muted: true };
+    handleControlledEvent({ onMutedChange }, pending, 'mute', { mute: true });
+    expect(onMutedChange).not.toHaveBeenCalled();
+    expect(pending).toEqual({});
+
+    handleControlledEvent({ onMutedChange }, pending, 'mute', { mute: false });
+    expect(onMutedChange).toHaveBeenCalledWith(false);
+  });
+});
+
+describe('controlled props', () => {
+  it('sets up with controlled values', async () => {
+    const { player } = await mountPlayer({
+      playing: true,
+      muted: true,
+      volume: 10,
+    });
+    expect(player.setup.mock.calls[0][0]).toEqual({
+      playlist,
+      autostart: true,
+      mute: true,
+      volume: 10,
+      isReactComponent: true,
+    });
+  });
+
+  it('applies prop changes and suppresses their echo events', async () => {
+    const onPlayingChange = vi.fn();
+    const onMutedChange = vi.fn();
+    const onVolumeChange = vi.fn();
+    const onFullscreenChange = vi.fn();
+    const callbacks = {
+      onPlayingChange,
+      onMutedChange,
+      onVolumeChange,
+      onFullscreenChange,
+    };
+    const { player, emit, rerender } = await mountPlayer({
+      playing: false,
+      muted: false,
+      volume: 100,
+      fullscreen: false,
+      ...callbacks,
+    });
+
+    rerender({
+      playing: true,
+      muted: true,
+      volume: 50,
+      fullscreen: true,
+      ...callbacks,
+    });
+    expect(player.play).toHaveBeenCalled();
+    expect(player.setMute).toHaveBeenCalledWith(true);
+    expect(player.setVolume).toHaveBeenCalledWith(50);
+    expect(player.setFullscreen).toHaveBeenCalledWith(true);
+    // Volume is owned by the controlled props, not config reconciliation
+    expect(player.setVolume).toHaveBeenCalledTimes(1);
+
+    emit('play', {});
+    emit('mute', { mute: true });
+    emit('volume', { volume: 50 });
+    emit('fullscreen', { fullscreen: true });
+    expect(onPlayingChange).not.toHaveBeenCalled();
+    expect(onMutedChange).not.toHaveBeenCalled();
+    expect(onVolumeChange).not.toHaveBeenCalled();
+    expect(onFullscreenChange).not.toHaveBeenCalled();
+  });
+
+  it('reports changes made in the player', async () => {
+    const onPlayingChange = vi.fn();
+    const onVolumeChange = vi.fn();
+    const onSeekRequest = vi.fn();
+    const { emit } = await mountPlayer({
+      playing: true,
+      volume: 100,
+      onPlayingChange,
+      onVolumeChange,
+      onSeekRequest,
+    });
+
+    emit('pause', {});
+    emit('volume', { volume: 30 });
+    emit('seek', { position: 0, offset: 42 });
+    expect(onPlayingChange).toHaveBeenCalledWith(false);
+    expect(onVolumeChange).toHaveBeenCalledWith(30);
+    expect(onSeekRequest).toHaveBeenCalledWith(42);
+  });
+
+  it('seeks to a changed currentTime and suppresses the echo', async () => {
+    const onSeekRequest = vi.fn();
+    const { player, emit, rerender } = await mountPlayer({
+      currentTime: 0,
+      onSeekRequest,
+    });
+
+    rerender({ currentTime: 30, onSeekRequest });
+    expect(player.seek).toHaveBeenCalledWith(30);
+
+    emit('seek', { position: 0, offset: 30 });
+    expect(onSeekRequest).not.toHaveBeenCalled();
+  });
+
+  it('applies the initial position and fullscreen once ready', async () => {
+    const { player, emit } = await mountPlayer({
+      defaultCurrentTime: 12,
+      defaultFullscreen: true,
+    });
+    expect(player.seek).not.toHaveBeenCalled();
+
+    emit('ready', {});
+    expect(player.seek).toHaveBeenCalledWith(12);
+    expect(player.setFullscreen).toHaveBeenCalledWith(true);
+  });
+
+  it('puts back changes the parent does not accept', async () => {
+    const library = installMockLibrary({ autoReady: false });
+    const onPlayingChange = vi.fn();
+    const Parent = ({ accept }) => {
+      const [playing, setPlaying] = React.useState(true);
+      return (
+        <JWPlayer
+          id={accept ? 'controlled-accept' : 'controlled-reject'}
+          playlist={playlist}
+          playing={playing}
+          onPlayingChange={(value) => {
+            onPlayingChange(value);
+            if (accept) setPlaying(value);
+          }}
+        />
+      );
+    };
+    render(
+      <>
+        <Parent />
+        <Parent accept />
+      </>,
+    );
+    await waitFor(() =>
+      expect(library.getPlayer('controlled-accept')).toBeTruthy(),
+    );
+    const rejected = library.getPlayer('controlled-reject');
+    const accepted = library.getPlayer('controlled-accept');
+    act(() => rejected.simulateReady());
+    act(() => accepted.simulateReady());
+    // The autostart applied the prop's value, so it isn't a change
+    expect(onPlayingChange).not.toHaveBeenCalled();
+
+    act(() => rejected.pause());
+    expect(onPlayingChange).toHaveBeenCalledWith(false);
+    expect(rejected.getState()).toBe('playing');
+
+    act(() => accepted.pause());
+    expect(accepted.getState()).toBe('paused');
+    // Putting the value back is not reported as another change
+    expect(onPlayingChange).toHaveBeenCalledTimes(2);
+    uninstallMockLibrary();
+  });
+
+  it('leaves the player stopped once playback completes', async () => {
+    const library = installMockLibrary({ autoReady: false });
+    const onPlayingChange = vi.fn();
+    render(
+      <JWPlayer
+        id="controlled-complete"
+        playlist={[{ file: 'https://path-to-my.mp4', duration: 3 }]}
+        playing
+        onPlayingChange={onPlayingChange}
+      />,
+    );
+    await waitFor(() =>
+      expect(library.getPlayer('controlled-complete')).toBeTruthy(),
+    );
+    const player = library.getPlayer('controlled-complete');
+    act(() => player.simulateReady());
+
+    act(() => player.simulatePlayback());
+    await act(async () => {});
+    expect(onPlayingChange.mock.calls).toEqual([[false]]);
+    expect(player.getState()).toBe('complete');
+    uninstallMockLibrary();
+  });
+
+  it('leaves uncontrolled values to the player after setup', async () => {
+    const { player, rerender } = await mountPlayer({ defaultMuted: true });
+    rerender({ defaultMuted: false });
+    expect(player.setMute).not.toHaveBeenCalled();
+    expect(player.setup).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,150 @@
+import { cleanup, renderHook, screen } from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  createChaptersTrack,
+  getActiveCues,
+  useCuePoints,
+} from '../src/cue-points';
+import { mockLibrary, mountPlayer } from './util';
+
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+
+const cuePoints = [
+  { id: 'intro', time: 0, end: 10, data: { title: 'Intro' } },
+  { id: 'quiz', time: 30 },
+  { id: 'product', time: 45, end: 50 },
+  { id: 'credits', time: 60 },
+];
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  cleanup();
+});
+
+const ids = (cues) => cues.map(({ id }) => id);
+
+describe('getActiveCues', () => {
+  it('contains ranges up to their end and point cues until the next cue', () => {
+    expect(ids(getActiveCues(cuePoints, 5))).toEqual(['intro']);
+    expect(ids(getActiveCues(cuePoints, 10))).toEqual([]);
+    expect(ids(getActiveCues(cuePoints, 44))).toEqual(['quiz']);
+    expect(ids(getActiveCues(cuePoints, 47))).toEqual(['product']);
+    expect(ids(getActiveCues(cuePoints, 3600))).toEqual(['credits']);
+  });
+});
+
+describe('cuePoints', () => {
+  it('calls onCueEnter and onCueExit as playback moves', async () => {
+    const onCueEnter = vi.fn();
+    const onCueExit = vi.fn();
+    const { emit } = await mountPlayer({ cuePoints, onCueEnter, onCueExit });
+
+    emit('time', { position: 0.2 });
+    emit('time', { position: 0.4 });
+    expect(onCueEnter).toHaveBeenCalledTimes(1);
+    expect(onCueEnter).toHaveBeenCalledWith(cuePoints[0]);
+
+    emit('time', { position: 10.1 });
+    expect(onCueExit).toHaveBeenCalledWith(cuePoints[0]);
+
+    // A fast playback rate moves further between time events
+    emit('time', { position: 31.5 });
+    expect(onCueEnter).toHaveBeenLastCalledWith(cuePoints[1]);
+  });
+
+  it('enters the cue at the seek target and skips the ones in between', async () => {
+    const onCueEnter = vi.fn();
+    const onCueExit = vi.fn();
+    const { emit } = await mountPlayer({ cuePoints, onCueEnter, onCueExit });
+
+    emit('time', { position: 1 });
+    emit('seek', { position: 1, offset: 47 });
+
+    expect(onCueExit).toHaveBeenCalledWith(cuePoints[0]);
+    expect(ids(onCueEnter.mock.calls.map(([cue]) => cue))).toEqual([
+      'intro',
+      'product',
+    ]);
+  });
+
+  it('exits every cue on a new playlist item', async () => {
+    const onCueExit = vi.fn();
+    const { emit } = await mountPlayer({ cuePoints, onCueExit });
+
+    emit('time', { position: 5 });
+    emit('playlistItem', { index: 1 });
+    expect(onCueExit).toHaveBeenCalledWith(cuePoints[0]);
+  });
+
+  it('does not treat the cue callbacks as player event handlers', async () => {
+    const onCueEnter = vi.fn();
+    const { emit } = await mountPlayer({ cuePoints, onCueEnter });
+    emit('cueEnter', {});
+    expect(onCueEnter).not.toHaveBeenCalled();
+  });
+});
+
+describe('useCuePoints', () => {
+  it('returns the active cues of the target player', async () => {
+    const { id, emit } = await mountPlayer();
+    const onEnter = vi.fn();
+    const { result } = renderHook(() =>
+      useCuePoints(id, cuePoints, { onEnter }),
+    );
+    expect(result.current).toEqual([]);
+
+    emit('time', { position: 46 });
+    expect(ids(result.current)).toEqual(['product']);
+    expect(onEnter).toHaveBeenCalledWith(cuePoints[2]);
+
+    emit('complete');
+    expect(result.current).toEqual([]);
+  });
+
+  it('follows the player it is rendered in', async () => {
+    const Cue = () => {
+      const [cue] = useCuePoints(undefined, cuePoints);
+      return cue ? <p>{cue.id}</p> : null;
+    };
+    const { emit } = await mountPlayer({ children: <Cue /> });
+
+    emit('time', { position: 30 });
+    expect(screen.getByText('quiz')).toBeTruthy();
+  });
+});
+
+describe('createChaptersTrack', () => {
+  it('builds a chapters track from the cues', () => {
+    const track = createChaptersTrack(cuePoints, { duration: 3723.5 });
+    expect(track.kind).toBe('chapters');
+    expect(track.label).toBe('Chapters');
+
+    const [type, vtt] = track.file.split(',');
+    expect(type).toBe('data:text/vtt;charset=utf-8');
+    expect(decodeURIComponent(vtt)).toBe(
+      [
+        'WEBVTT',
+        '00:00:00.000 --> 00:00:10.000\nIntro',
+        '00:00:30.000 --> 00:00:45.000\nquiz',
+        '00:00:45.000 --> 00:00:50.000\nproduct',
+        '00:01:00.000 --> 01:02:03.500\ncredits',
+      ].join('\n\n'),
+    );
+  });
+
+  it('uses a custom title', () => {
+    const track = createChaptersTrack([{ id: 'a', time: 1.25 }], {
+      label: 'Scenes',
+      getTitle: (cue) => `Scene\n${cue.id}`,
+    });
+    expect(track.label).toBe('Scenes');
+    expect(decodeURIComponent(track.file.split(',')[1])).toBe(
+      'WEBVTT\n\n00:00:01.250 --> 99:59:59.999\nScene a',
+    );
+  });
+});
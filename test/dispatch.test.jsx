@@ -0,0 +1,172 @@
+import { act, cleanup } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { compileEventHandlers } from '../src/handlers';
+import { mockLibrary, mountPlayer } from './util';
+
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  vi.useRealTimers();
+  cleanup();
+});
+
+describe('compileEventHandlers', () => {
+  it('maps on* and once* props to their events', () => {
+    const onPlay = () => {};
+    const oncePlay = () => {};
+    const onAll = () => {};
+    const handlers = compileEventHandlers({
+      onPlay,
+      oncePlay,
+      onAll,
+      onPlayingChange: () => {},
+      onTime: 'not a function',
+      playlist,
+    });
+
+    expect([...handlers.keys()]).toEqual(['play', 'all']);
+    expect(handlers.get('play')).toEqual([
+      { prop: 'onPlay', handler: onPlay, once: false },
+      { prop: 'oncePlay', handler: oncePlay, once: true },
+    ]);
+  });
+});
+
+describe('event dispatch', () => {
+  it('calls on*, once* and onAll handlers', async () => {
+    const onPause = vi.fn();
+    const oncePause = vi.fn();
+    const onAll = vi.fn();
+    const { emit } = await mountPlayer({ onPause, oncePause, onAll });
+
+    emit('pause', { pauseReason: 'interaction' });
+    emit('pause', { pauseReason: 'external' });
+
+    expect(onPause).toHaveBeenCalledTimes(2);
+    expect(oncePause).toHaveBeenCalledTimes(1);
+    expect(oncePause).toHaveBeenCalledWith({ pauseReason: 'interaction' });
+    expect(onAll).toHaveBeenCalledWith('pause', { pauseReason: 'external' });
+  });
+
+  it('reconciles once* handlers when the props change', async () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    const onceSeek = vi.fn();
+    const { emit, rerender } = await mountPlayer({ onceReady: first });
+
+    rerender({ onceReady: second, onceSeek });
+    emit('ready');
+    emit('ready');
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledTimes(1);
+
+    // A once* handler that already fired doesn't fire again when it is replaced
+    const third = vi.fn();
+    rerender({ onceReady: third });
+    emit('ready');
+    emit('seek');
+    expect(third).not.toHaveBeenCalled();
+    expect(onceSeek).not.toHaveBeenCalled();
+  });
+
+  it('uses the latest handlers after a rerender', async () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    const { emit, rerender } = await mountPlayer({ onTime: first });
+
+    rerender({ onTime: second });
+    emit('time', { position: 1 });
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledWith({ position: 1 });
+  });
+});
+
+describe('eventThrottle', () => {
+  it('calls handlers at most once per interval, then with the last event', async () => {
+    const onTime = vi.fn();
+    const onAll = vi.fn();
+    const onPause = vi.fn();
+    const { emit } = await mountPlayer({
+      onTime,
+      onAll,
+      onPause,
+      eventThrottle: { time: 250 },
+    });
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+
+    emit('time', { position: 0 });
+    emit('time', { position: 0.1 });
+    emit('time', { position: 0.2 });
+    emit('pause');
+    expect(onTime.mock.calls).toEqual([[{ position: 0 }]]);
+    expect(onPause).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(250);
+    expect(onTime.mock.calls).toEqual([[{ position: 0 }], [{ position: 0.2 }]]);
+    expect(onAll.mock.calls.filter(([name]) => name === 'time')).toHaveLength(
+      2,
+    );
+
+    vi.advanceTimersByTime(250);
+    emit('time', { position: 0.7 });
+    expect(onTime).toHaveBeenLastCalledWith({ position: 0.7 });
+  });
+
+  it('coalesces events to one call per animation frame', async () => {
+    const onBufferChange = vi.fn();
+    const { emit } = await mountPlayer({
+      onBufferChange,
+      eventThrottle: { bufferChange: 'frame' },
+    });
+    vi.useFakeTimers({
+      toFake: ['requestAnimationFrame', 'cancelAnimationFrame'],
+    });
+
+    emit('bufferChange', { bufferPercent: 10 });
+    emit('bufferChange', { bufferPercent: 20 });
+    expect(onBufferChange).not.toHaveBeenCalled();
+
+    vi.advanceTimersToNextFrame();
+    expect(onBufferChange.mock.calls).toEqual([[{ bufferPercent: 20 }]]);
+  });
+
+  it('keeps internal handling and hooks up to date', async () => {
+    const onPlayingChange = vi.fn();
+    const onPlay = vi.fn();
+    const { emit } = await mountPlayer({
+      playing: false,
+      onPlay,
+      onPlayingChange,
+      eventThrottle: { play: 1000 },
+    });
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+
+    act(() => {
+      emit('play');
+      emit('pause');
+      emit('play');
+    });
+    expect(onPlay).toHaveBeenCalledTimes(1);
+    expect(onPlayingChange).toHaveBeenCalledTimes(3);
+  });
+
+  it('drops held back events when the player is removed', async () => {
+    const onTime = vi.fn();
+    const { emit, unmount } = await mountPlayer({
+      onTime,
+      eventThrottle: { time: 250 },
+    });
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+
+    emit('time', { position: 0 });
+    emit('time', { position: 0.1 });
+    unmount();
+    vi.advanceTimersByTime(250);
+    expect(onTime).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,61 @@
+// @vitest-environment node
+import { build } from 'esbuild';
+import { describe, expect, it } from 'vitest';
+import * as core from '../src/entries/core';
+import * as hooks from '../src/entries/hooks';
+import * as plugins from '../src/entries/plugins';
+import * as main from '../src/index';
+import * as testing from '../src/testing';
+
+describe('entry points', () => {
+  it('splits the main exports between core, hooks and plugins', () => {
+    const names = [core, hooks, plugins].flatMap(Object.keys);
+
+    expect(new Set(names).size).toBe(names.length);
+    expect(names.sort()).toEqual(Object.keys(main).sort());
+  });
+
+  it('exports the component by default from the main and core entry points', () => {
+    expect(main.default).toBe(main.JWPlayer);
+    expect(core.default).toBe(core.JWPlayer);
+  });
+
+  it('gives the main entry point a component with every feature', () => {
+    expect(main.JWPlayer).not.toBe(core.JWPlayer);
+    expect(plugins.defaultFeatures).toEqual([
+      plugins.cuePointsFeature,
+      plugins.qoeFeature,
+      plugins.analyticsFeature,
+      plugins.persistFeature,
+      plugins.mediaSessionFeature,
+      plugins.floatFeature,
+      plugins.eventThrottleFeature,
+      plugins.validationFeature,
+    ]);
+  });
+
+  it('leaves the features out of the core entry point', async () => {
+    const { metafile } = await build({
+      entryPoints: ['src/entries/core.ts'],
+      bundle: true,
+      write: false,
+      metafile: true,
+      format: 'esm',
+      external: ['react', 'react-dom'],
+      logLevel: 'silent',
+    });
+    const modules = Object.keys(metafile.inputs);
+    const features =
+      /^src\/(analytics|cue-points|float|media-session|persist|qoe|throttle|validate)\./;
+
+    expect(modules).toContain('src/jwplayer.tsx');
+    expect(modules.filter((module) => features.test(module))).toEqual([]);
+  });
+
+  it('keeps the testing kit out of the main entry point', () => {
+    expect(Object.keys(testing)).toEqual(
+      expect.arrayContaining(['createMockPlayer', 'installMockLibrary']),
+    );
+    expect(main).not.toHaveProperty('createMockPlayer');
+  });
+});
@@ -0,0 +1,188 @@
+import { act, cleanup, render, screen, waitFor } from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  createEventError,
+  LIBRARY_LOAD_FAILED,
+  LIBRARY_MISSING,
+  PLAYBACK_FAILED,
+} from '../src/errors';
+import JWPlayer from '../src/jwplayer';
+import { clearLibraryCache } from '../src/util';
+import { finishLibraryLoad, mockLibrary, mountPlayer, players } from './util';
+
+const library = 'https://cdn.jwplayer.com/libraries/errors.js';
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+let playerCount = 0;
+const nextId = () => `errors-player-${playerCount++}`;
+
+const renderError = (error) => (
+  <div>
+    <p>{`${error.phase} ${error.code}: ${error.message}`}</p>
+    <button onClick={error.retry}>Retry</button>
+  </div>
+);
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+  clearLibraryCache();
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  cleanup();
+  document.querySelectorAll('script').forEach((script) => script.remove());
+});
+
+describe('createEventError', () => {
+  it('uses the code and message from the event', () => {
+    const retry = () => {};
+    expect(
+      createEventError('setupError', { code: 102630, message: 'Bad' }, retry),
+    ).toEqual({
+      phase: 'setup',
+      code: 102630,
+      message: 'Bad',
+      retry,
+      cause: { code: 102630, message: 'Bad' },
+    });
+  });
+
+  it('falls back to a code for the phase', () => {
+    expect(createEventError('error', {}, () => {}).code).toBe(PLAYBACK_FAILED);
+  });
+});
+
+describe('fallback', () => {
+  it('renders the fallback when the library is missing', async () => {
+    window.jwplayer = null;
+    const onSetupError = vi.fn();
+    render(
+      <JWPlayer
+        playlist={playlist}
+        fallback={<p>Video unavailable</p>}
+        onSetupError={onSetupError}
+      />,
+    );
+
+    await screen.findByText('Video unavailable');
+    expect(onSetupError).toHaveBeenCalledTimes(1);
+    expect(onSetupError.mock.calls[0][0]).toMatchObject({
+      phase: 'library',
+      code: LIBRARY_MISSING,
+      message:
+        'jwplayer-react requires either a library prop, or a library script',
+    });
+  });
+
+  it('renders the error and retries the library load', async () => {
+    window.jwplayer = null;
+    const id = nextId();
+    render(
+      <JWPlayer
+        id={id}
+        library={library}
+        libraryOptions={{ retries: 0 }}
+        playlist={playlist}
+        renderError={renderError}
+      />,
+    );
+
+    document.querySelector('script').onerror(new Event('error'));
+    await screen.findByText(
+      `library ${LIBRARY_LOAD_FAILED}: jwplayer-react failed to load ${library}`,
+    );
+
+    act(() => screen.getByText('Retry').click());
+    expect(screen.queryByText('Retry')).toBeNull();
+    await act(async () => finishLibraryLoad(library));
+
+    expect(players[id].setup).toHaveBeenCalledTimes(1);
+    expect(document.getElementById(id)).toBeTruthy();
+  });
+
+  it('replaces the player after a setup error and sets it up again on retry', async () => {
+    const onSetupError = vi.fn();
+    const onSetupErrorEvent = vi.fn();
+    const { id, player, emit } = await mountPlayer({
+      renderError,
+      onSetupError,
+      onAll: onSetupErrorEvent,
+    });
+
+    emit('setupError', { code: 102630, message: 'Invalid config' });
+
+    expect(screen.getByText('setup 102630: Invalid config')).toBeTruthy();
+    expect(player.remove).toHaveBeenCalledTimes(1);
+    // onSetupError receives the structured error, not the raw event
+    expect(onSetupError).toHaveBeenCalledTimes(1);
+    expect(onSetupError.mock.calls[0][0].code).toBe(102630);
+    expect(onSetupErrorEvent).toHaveBeenCalledWith('setupError', {
+      code: 102630,
+      message: 'Invalid config',
+    });
+
+    act(() => screen.getByText('Retry').click());
+    await waitFor(() => expect(player.setup).toHaveBeenCalledTimes(2));
+    expect(document.getElementById(id)).toBeTruthy();
+  });
+
+  it('renders the fallback after a playback error without calling onSetupError', async () => {
+    const onSetupError = vi.fn();
+    const onError = vi.fn();
+    const { emit } = await mountPlayer({
+      fallback: <p>Playback failed</p>,
+      fallbackOnPlaybackError: true,
+      onSetupError,
+      onError,
+    });
+
+    emit('error', { code: 232011, message: 'Network error' });
+
+    expect(screen.getByText('Playback failed')).toBeTruthy();
+    expect(onError).toHaveBeenCalled();
+    expect(onSetupError).not.toHaveBeenCalled();
+  });
+
+  it('keeps the player after a playback error unless fallbackOnPlaybackError is set', async () => {
+    const onError = vi.fn();
+    const { id, player, emit } = await mountPlayer({
+      fallback: <p>Playback failed</p>,
+      onError,
+    });
+    emit('error', { code: 232011, message: 'Network error' });
+
+    expect(onError).toHaveBeenCalled();
+    expect(screen.queryByText('Playback failed')).toBe(null);
+    expect(player.remove).not.toHaveBeenCalled();
+    expect(document.getElementById(id)).toBeTruthy();
+  });
+
+  it('keeps the player in place when there is no fallback', async () => {
+    const { id, player, emit } = await mountPlayer({});
+    emit('error', { code: 232011, message: 'Network error' });
+
+    expect(player.remove).not.toHaveBeenCalled();
+    expect(document.getElementById(id)).toBeTruthy();
+  });
+
+  it('reports a player that throws during setup', async () => {
+    const onSetupError = vi.fn();
+    window.jwplayer = () => {
+      throw new Error('Setup exploded');
+    };
+    render(
+      <JWPlayer
+        playlist={playlist}
+        fallback={<p>Setup failed</p>}
+        onSetupError={onSetupError}
+      />,
+    );
+
+    await screen.findByText('Setup failed');
+    expect(onSetupError.mock.calls[0][0]).toMatchObject({
+      phase: 'setup',
+      message: 'Setup exploded',
+    });
+  });
+});
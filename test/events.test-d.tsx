@@ -0,0 +1,24 @@
+import React from 'react';
+import { expectTypeOf, test } from 'vitest';
+import type { PlayerEvent, TimeEvent } from '../src/events';
+import JWPlayer, { JWPlayerProps } from '../src/jwplayer';
+
+test('types the data of each event handler', () => {
+  expectTypeOf<JWPlayerProps['onTime']>().toEqualTypeOf<
+    ((event: TimeEvent) => void) | undefined
+  >();
+  expectTypeOf<
+    Parameters<NonNullable<JWPlayerProps['onBufferChange']>>[0]
+  >().toEqualTypeOf<PlayerEvent>();
+});
+
+test('rejects unknown event handlers', () => {
+  <JWPlayer
+    library="https://path-to-my-jwplayer-library.js"
+    onTime={(event) => expectTypeOf(event.position).toBeNumber()}
+    onAdStarted={() => {}}
+    oncePlayAttemptFailed={() => {}}
+    // @ts-expect-error misspelled event name
+    onPlayy={() => {}}
+  />;
+});
@@ -0,0 +1,205 @@
+import {
+  act,
+  cleanup,
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+} from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { JWPlayerDock } from '../src/float';
+import { getRegisteredPlayer } from '../src/player-store';
+import { installMockLibrary, uninstallMockLibrary } from '../src/testing';
+import { MockIntersectionObserver, mountPlayer, observers } from './util';
+
+const playlist = [{ file: 'https://path-to-my.mp4', duration: 60 }];
+let playerCount = 0;
+let library;
+
+beforeEach(() => {
+  observers.length = 0;
+  window.IntersectionObserver = MockIntersectionObserver;
+  library = installMockLibrary();
+});
+
+afterEach(() => {
+  cleanup();
+  uninstallMockLibrary();
+  delete window.IntersectionObserver;
+  document.body.innerHTML = '';
+});
+
+const getMiniPlayer = () =>
+  screen.queryByRole('region', { name: 'Mini player' });
+
+const renderPlayer = async (
+  props = {},
+  id = `float-player-${playerCount++}`,
+) => {
+  const onFloatChange = vi.fn();
+  // A player taken back from the mini-player is ready already
+  const existing = library.getPlayer(id);
+  const rendered = await mountPlayer({
+    id,
+    playlist,
+    float: true,
+    onFloatChange,
+    ...props,
+  });
+  if (!existing) act(() => rendered.player.simulateReady());
+  await waitFor(() => expect(observers.length).toBeGreaterThan(0));
+
+  return {
+    ...rendered,
+    onFloatChange,
+    observer: observers[observers.length - 1],
+    slot: document.querySelector('.jwplayer-react-float-slot'),
+  };
+};
+
+describe('float', () => {
+  it('floats a playing player scrolled out of view and puts it back', async () => {
+    const { id, player, observer, slot, onFloatChange } = await renderPlayer();
+    const setup = vi.spyOn(player, 'setup');
+    expect(observer.options).toEqual({ threshold: 0.5 });
+
+    act(() => player.simulatePlayback({ to: 12 }));
+    observer.scroll(0.2);
+
+    const miniPlayer = getMiniPlayer();
+    expect(miniPlayer.contains(player.getContainer())).toBe(true);
+    expect(miniPlayer.className).toBe(
+      'jwplayer-react-float jwplayer-react-float-bottom-right',
+    );
+    expect(miniPlayer.style.position).toBe('fixed');
+    expect(miniPlayer.style.width).toBe('320px');
+    expect(onFloatChange).toHaveBeenLastCalledWith(true, 'scroll');
+
+    observer.scroll(1);
+    expect(getMiniPlayer()).toBe(null);
+    expect(slot.firstChild.id).toBe(id);
+    expect(onFloatChange).toHaveBeenLastCalledWith(false, 'scroll');
+    expect(player.getState()).toBe('playing');
+    expect(player.getPosition()).toBe(12);
+    expect(setup).not.toHaveBeenCalled();
+  });
+
+  it('waits for playback to float a player out of view', async () => {
+    const { player, observer } = await renderPlayer();
+
+    observer.scroll(0);
+    expect(getMiniPlayer()).toBe(null);
+
+    act(() => player.play());
+    expect(getMiniPlayer()).toBeTruthy();
+  });
+
+  it('pauses and stays in place once the mini-player is closed', async () => {
+    const { player, observer, onFloatChange } = await renderPlayer();
+    act(() => player.play());
+    observer.scroll(0);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Close player' }));
+    expect(getMiniPlayer()).toBe(null);
+    expect(player.getState()).toBe('paused');
+    expect(onFloatChange).toHaveBeenLastCalledWith(false, 'close');
+
+    act(() => player.play());
+    expect(getMiniPlayer()).toBe(null);
+
+    observer.scroll(1);
+    observer.scroll(0);
+    expect(getMiniPlayer()).toBeTruthy();
+  });
+
+  it('floats and expands from the ref', async () => {
+    const { ref, player, slot, onFloatChange } = await renderPlayer();
+
+    act(() => ref.current.float());
+    expect(getMiniPlayer().contains(player.getContainer())).toBe(true);
+    expect(onFloatChange).toHaveBeenLastCalledWith(true, 'api');
+
+    act(() => ref.current.expandFloat());
+    expect(slot.contains(player.getContainer())).toBe(true);
+    expect(onFloatChange).toHaveBeenLastCalledWith(false, 'expand');
+  });
+
+  it('docks in a JWPlayerDock and falls back to a corner without it', async () => {
+    const dock = render(<JWPlayerDock name="rail" />);
+    const { ref } = await renderPlayer({
+      float: { dock: 'rail', width: 240 },
+    });
+
+    act(() => ref.current.float());
+    const miniPlayer = getMiniPlayer();
+    expect(miniPlayer.parentElement.dataset.dock).toBe('rail');
+    expect(miniPlayer.className).toBe(
+      'jwplayer-react-float jwplayer-react-float-docked',
+    );
+
+    dock.unmount();
+    expect(miniPlayer.parentElement).toBe(document.body);
+    expect(miniPlayer.style.bottom).toBe('16px');
+    expect(miniPlayer.style.right).toBe('16px');
+    expect(miniPlayer.style.width).toBe('240px');
+  });
+
+  it('keeps playing after unmount and goes back to the next player with its id', async () => {
+    const first = await renderPlayer();
+    const { id, player } = first;
+    const setup = vi.spyOn(player, 'setup');
+    act(() => player.simulatePlayback({ to: 5 }));
+
+    first.unmount();
+    expect(first.onFloatChange).toHaveBeenLastCalledWith(true, 'navigation');
+    expect(getMiniPlayer().contains(player.getContainer())).toBe(true);
+    // There is nowhere to expand it to
+    expect(
+      getMiniPlayer().querySelector('[aria-label="Expand player"]').hidden,
+    ).toBe(true);
+    expect(player.removed).toBe(false);
+    expect(player.getState()).toBe('playing');
+    expect(getRegisteredPlayer(id)).toBe(player);
+
+    const onTime = vi.fn();
+    const second = await renderPlayer({ onTime }, id);
+    expect(second.player).toBe(player);
+    expect(getMiniPlayer()).toBe(null);
+    expect(second.slot.firstChild).toBe(player.getContainer());
+    expect(second.ref.current.getPlayer()).toBe(player);
+    await expect(second.ref.current.whenReady()).resolves.toBe(player);
+    expect(second.onFloatChange).toHaveBeenLastCalledWith(false, 'navigation');
+    expect(setup).not.toHaveBeenCalled();
+
+    act(() => player.simulatePlayback({ to: 6 }));
+    expect(onTime).toHaveBeenLastCalledWith(
+      expect.objectContaining({ position: 6 }),
+    );
+  });
+
+  it('removes a player left in the mini-player when it is closed', async () => {
+    const { id, player, unmount } = await renderPlayer();
+    act(() => player.play());
+    unmount();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Close player' }));
+    expect(getMiniPlayer()).toBe(null);
+    expect(player.removed).toBe(true);
+    expect(getRegisteredPlayer(id)).toBe(null);
+  });
+
+  it('removes the player on unmount without navigation or playback', async () => {
+    const paused = await renderPlayer();
+    paused.unmount();
+    expect(paused.player.removed).toBe(true);
+
+    const { player, unmount } = await renderPlayer({
+      float: { navigation: false },
+    });
+    act(() => player.play());
+    unmount();
+    expect(player.removed).toBe(true);
+    expect(getMiniPlayer()).toBe(null);
+  });
+});
@@ -0,0 +1,161 @@
+import {
+  act,
+  cleanup,
+  render,
+  renderHook,
+  waitFor,
+} from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  useCaptionsList,
+  useJWPlayer,
+  usePlayerPosition,
+  usePlayerState,
+  usePlaylistItem,
+  useQualityLevels,
+} from '../src/hooks';
+import JWPlayer from '../src/jwplayer';
+import { getInternals } from '../src/testing';
+import { mockLibrary, mountPlayer } from './util';
+
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  cleanup();
+  vi.useRealTimers();
+});
+
+describe('useJWPlayer', () => {
+  it('returns null until the player is set up', async () => {
+    const { result } = renderHook(() => useJWPlayer('hooks-player-pending'));
+    expect(result.current).toBeNull();
+  });
+
+  it('returns the player by id once it is ready', async () => {
+    const id = 'hooks-player-by-id';
+    const { result } = renderHook(() => useJWPlayer(id));
+    const { player, emit } = await mountPlayer({ id });
+    expect(result.current).toBeNull();
+
+    emit('ready');
+    expect(result.current).toBe(player);
+  });
+
+  it('returns the player by component ref', async () => {
+    const { ref, player, emit } = await mountPlayer();
+    const { result } = renderHook(() => useJWPlayer(ref));
+    emit('ready');
+    expect(result.current).toBe(player);
+  });
+
+  it('follows a ref attached by the same component', async () => {
+    const id = 'hooks-player-same-ref';
+    const seen = [];
+    const ref = React.createRef();
+
+    function Page() {
+      const player = useJWPlayer(ref);
+      seen.push(player);
+      return <JWPlayer id={id} playlist={playlist} ref={ref} />;
+    }
+
+    render(<Page />);
+    await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+    expect(seen[seen.length - 1]).toBeNull();
+
+    act(() => getInternals(ref.current).onHandler('ready', {}));
+    expect(seen[seen.length - 1]).toBe(ref.current.getPlayer());
+  });
+
+  it('returns null after the player unmounts', async () => {
+    const { id, unmount, emit } = await mountPlayer();
+    emit('ready');
+    const { result } = renderHook(() => useJWPlayer(id));
+    expect(result.current).toBeTruthy();
+    act(() => unmount());
+    expect(result.current).toBeNull();
+  });
+});
+
+describe('selector hooks', () => {
+  it('usePlayerState follows state events', async () => {
+    const { id, player, emit } = await mountPlayer();
+    const { result } = renderHook(() => usePlayerState(id));
+    expect(result.current).toBe('idle');
+
+    player.getState.mockReturnValue('playing');
+    emit('play');
+    expect(result.current).toBe('playing');
+  });
+
+  it('only re-renders when the selected value changes', async () => {
+    const { id, player, emit } = await mountPlayer();
+    let renders = 0;
+    renderHook(() => {
+      renders++;
+      return usePlayerState(id);
+    });
+    const initialRenders = renders;
+
+    emit('pause');
+    emit('time');
+    expect(renders).toBe(initialRenders);
+
+    player.getState.mockReturnValue('paused');
+    emit('pause');
+    expect(renders).toBe(initialRenders + 1);
+  });
+
+  it('usePlayerPosition throttles time updates', async () => {
+    const { id, player, emit } = await mountPlayer();
+    vi.useFakeTimers();
+    const { result } = renderHook(() =>
+      usePlayerPosition(id, { throttleMs: 250 }),
+    );
+
+    player.getPosition.mockReturnValue(1);
+    emit('time');
+    expect(result.current).toBe(1);
+
+    player.getPosition.mockReturnValue(2);
+    emit('time');
+    player.getPosition.mockReturnValue(3);
+    emit('time');
+    expect(result.current).toBe(1);
+
+    act(() => vi.advanceTimersByTime(250));
+    expect(result.current).toBe(3);
+  });
+
+  it('usePlaylistItem, useQualityLevels and useCaptionsList select from the player', async () => {
+    const { id, player, emit } = await mountPlayer();
+    const item = { file: 'a.mp4', title: 'A' };
+    const levels = [{ label: 'Auto', width: 0, height: 0, bitrate: 0 }];
+    const captions = [{ id: 'off', label: 'Off' }];
+    player.getPlaylistItem = vi.fn(() => ({ ...item }));
+    player.getQualityLevels = vi.fn(() => [...levels]);
+    player.getCaptionsList = vi.fn(() => [...captions]);
+
+    const { result } = renderHook(() => ({
+      item: usePlaylistItem(id),
+      levels: useQualityLevels(id),
+      captions: useCaptionsList(id),
+    }));
+    const first = result.current;
+    expect(first).toEqual({ item, levels, captions });
+
+    // Equal values keep their identity across events
+    emit('playlistItem');
+    emit('levels');
+    emit('captionsList');
+    expect(result.current.item).toBe(first.item);
+    expect(result.current.levels).toBe(first.levels);
+    expect(result.current.captions).toBe(first.captions);
+  });
+});
@@ -0,0 +1,48 @@
+import { act } from '@testing-library/react';
+import React from 'react';
+import { hydrateRoot } from 'react-dom/client';
+import { renderToString } from 'react-dom/server';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import JWPlayer from '../src/jwplayer';
+import { mockLibrary, players } from './util';
+
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+
+afterEach(() => {
+  window.jwplayer = null;
+  vi.restoreAllMocks();
+});
+
+describe('hydration', () => {
+  it('hydrates server markup without mismatches and sets up on the same id', async () => {
+    const app = (
+      <main>
+        <JWPlayer playlist={playlist} aspectratio="16:9" placeholder />
+        <JWPlayer playlist={playlist} />
+      </main>
+    );
+    const container = document.createElement('div');
+    container.innerHTML = renderToString(app);
+    document.body.append(container);
+    const serverIds = Array.from(container.querySelectorAll('main > div')).map(
+      (div) => div.id,
+    );
+
+    const errorSpy = vi.spyOn(console, 'error');
+    const recoverableErrors = [];
+    window.jwplayer = mockLibrary;
+    let root;
+    await act(async () => {
+      root = hydrateRoot(container, app, {
+        onRecoverableError: (error) => recoverableErrors.push(error),
+      });
+    });
+
+    expect(recoverableErrors).toEqual([]);
+    expect(errorSpy).not.toHaveBeenCalled();
+    serverIds.forEach((id) => expect(players[id].setup).toHaveBeenCalled());
+
+    act(() => root.unmount());
+    container.remove();
+  });
+});
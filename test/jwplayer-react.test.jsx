@@ -2,13 +2,14 @@ import { cleanup, render, waitFor } from '@testing-library/react';
 import React from 'react';
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import JWPlayer from '../src/jwplayer';
+import { getInternals } from '../src/testing';
+import { clearLibraryCache } from '../src/util';
 import { mockLibrary, players } from './util';
 
 const noop = () => {};
 
 const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
 const library = 'https://cdn.jwplayer.com/libraries/lqsWlr4Z.js';
-let expectedInstance = -1;
 
 // Helper function to mount component and get instance
 const mount = async (component) => {
@@ -26,7 +27,7 @@ const mount = async (component) => {
 
   return {
     ...renderResult,
-    instance: () => ref.current,
+    instance: () => getInternals(ref.current),
     unmount: () => {
       renderResult.unmount();
       cleanup();
@@ -36,11 +37,17 @@ const mount = async (component) => {
 
 beforeEach(() => {
   window.jwplayer = mockLibrary;
+  // The page loaded the library itself, so players with the same library URL use it
+  const script = document.createElement('script');
+  script.src = library;
+  document.head.append(script);
 });
 
 afterEach(() => {
   window.jwplayer = null;
   cleanup();
+  document.querySelectorAll('script').forEach((script) => script.remove());
+  clearLibraryCache();
 });
 
 describe('setup', () => {
@@ -50,7 +57,6 @@ describe('setup', () => {
     component = <JWPlayer {...props} />;
     mounted = await mount(component);
     instance = mounted.instance();
-    expectedInstance++;
   };
 
   const checkTests = () => {
@@ -61,8 +67,8 @@ describe('setup', () => {
     // Doesn't set didMount/WillUnmount callbacks if they aren't passed in props
     expect(instance.didMountCallback).toEqual(undefined);
     expect(instance.willUnmountCallback).toEqual(undefined);
-    // Increments ID Properly
-    expect(instance.id).toEqual(`jwplayer-${expectedInstance}`);
+    // Generates a selector-safe ID
+    expect(instance.id).toMatch(/^jwplayer-[\w-]+$/);
     // Invokes player setup with correct config
     expect(window.jwplayer(instance.id).setup.mock.calls.length).toBe(1);
     expect(window.jwplayer(instance.id).setup.mock.calls[0][0]).toEqual({
@@ -83,36 +89,32 @@ describe('setup', () => {
 
   it('Errors with no library and falsey window.jwplayer', async () => {
     window.jwplayer = null;
+    const rejections = [];
+    const onRejection = (reason) => rejections.push(reason);
+    process.on('unhandledRejection', onRejection);
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(noop);
 
-    // This should cause an error in componentDidMount
-    const component = <JWPlayer />;
     const ref = React.createRef();
+    render(<JWPlayer ref={ref} didMountCallback={noop} />);
 
-    // Add a callback to catch the error
-    const errorComponent = React.cloneElement(component, {
-      ref,
-      didMountCallback: () => {
-        // This won't be called because mount will fail
-      },
-    });
-
-    // Render will trigger componentDidMount which will throw
-    render(errorComponent);
+    // The error is logged instead of rejecting the mount effect's promise
+    await waitFor(() => expect(consoleError).toHaveBeenCalledTimes(1));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    process.off('unhandledRejection', onRejection);
+    const [[loggedError]] = consoleError.mock.calls;
+    consoleError.mockRestore();
 
-    // Wait for any async operations
-    await waitFor(() => {
-      if (ref.current) {
-        expect(ref.current.player).toBeNull();
-      }
-    }, { timeout: 100 });
-
-    expectedInstance++; // Account for the created instance
+    expect(loggedError.message).toMatch(
+      'jwplayer-react requires either a library prop',
+    );
+    expect(rejections).toEqual([]);
+    expect(ref.current.getPlayer()).toBeNull();
   });
 
   it('creates a script tag when mounted if window.jwplayer is not defined', async () => {
     window.jwplayer = null;
     const testPromise = setupTest({ library, playlist });
-    const script = document.getElementsByTagName('script')[0];
+    const script = document.body.getElementsByTagName('script')[0];
     expect(script instanceof HTMLScriptElement).toEqual(true);
     await testPromise; // Wait for setup to complete
   });
@@ -128,18 +130,25 @@ describe('methods', () => {
   };
 
   describe('generateId', () => {
-    it('increments index when generating unique ID', async () => {
+    it('generates a unique ID for each player', async () => {
       const component = await createMountedComponent();
-      expectedInstance++;
-      expect(component.instance().id).toEqual(`jwplayer-${expectedInstance}`);
       const component2 = await createMountedComponent();
-      expect(component2.instance().id).toEqual(
-        `jwplayer-${++expectedInstance}`,
-      );
       const component3 = await createMountedComponent();
-      expect(component3.instance().id).toEqual(
-        `jwplayer-${++expectedInstance}`,
+      const ids = [component, component2, component3].map(
+        (mounted) => mounted.instance().id,
+      );
+
+      ids.forEach((id) => expect(id).toMatch(/^jwplayer-[\w-]+$/));
+      expect(new Set(ids).size).toBe(3);
+    });
+
+    it('keeps its ID across rerenders', async () => {
+      const component = await createMountedComponent();
+      const id = component.instance().id;
+      component.rerender(
+        <JWPlayer library={library} playlist={playlist} width={100} />,
       );
+      expect(document.getElementById(id)).toBeTruthy();
     });
   });
 
@@ -209,7 +218,8 @@ describe('methods', () => {
       oncePause: noop,
     });
     const id = component.instance().id;
-    expect(window.jwplayer(id).once.mock.calls.length).toBe(1);
+    // once* handlers are dispatched from the all listener too
+    expect(window.jwplayer(id).once.mock.calls.length).toBe(0);
     expect(window.jwplayer(id).on.mock.calls.length).toBe(1);
     expect(window.jwplayer(id).on.mock.calls).toContainEqual([
       'all',
@@ -411,15 +421,14 @@ describe('methods', () => {
       expect(result).toBe('');
     });
 
-    it('generateUniqueId creates unique IDs', async () => {
+    it('generateUniqueId sanitises React IDs for jwplayer selectors', async () => {
       const { generateUniqueId } = await import('../src/util');
       
-      const id1 = generateUniqueId();
-      const id2 = generateUniqueId();
+      const id1 = generateUniqueId('«r1»');
+      const id2 = generateUniqueId(':r2:');
       
-      expect(id1).toMatch(/^jwplayer-\d+$/);
-      expect(id2).toMatch(/^jwplayer-\d+$/);
-      expect(id1).not.toBe(id2);
+      expect(id1).toBe('jwplayer-r1');
+      expect(id2).toBe('jwplayer-r2');
     });
 
     it('generateConfig filters unsupported props', async () => {
@@ -570,7 +579,6 @@ describe('methods', () => {
       expect(component2.instance().player).toBe(players[id2]);
       expect(component3.instance().player).toBe(players[id3]);
 
-      expectedInstance += 3;
     });
 
     it('handles rapid mount and unmount cycles', async () => {
@@ -596,7 +604,6 @@ describe('methods', () => {
         }
       }
 
-      expectedInstance += 5;
     });
 
     it('handles onAll event with multiple events', async () => {
@@ -748,7 +755,7 @@ describe('methods', () => {
         expect(ref.current).toBeTruthy();
       });
 
-      const player = ref.current.player;
+      const player = ref.current.getPlayer();
       const allHandler = player.on.mock.calls.find(call => call[0] === 'all')[1];
 
       // Trigger with empty event name
@@ -758,7 +765,6 @@ describe('methods', () => {
       expect(playSpy).not.toHaveBeenCalled();
       expect(pauseSpy).not.toHaveBeenCalled();
       
-      expectedInstance++;
     });
 
     it('handles shouldComponentUpdate with identical props', async () => {
@@ -786,7 +792,7 @@ describe('methods', () => {
         expect(ref.current).toBeTruthy();
       });
 
-      const player = ref.current.player;
+      const player = ref.current.getPlayer();
       expect(player).toBeTruthy();
 
       // Rerender with different width (non-event prop change)
@@ -801,13 +807,114 @@ describe('methods', () => {
 
       // Wait for rerender to complete and effect to run
       await waitFor(() => {
-        expect(ref.current.player).toBeTruthy();
+        expect(ref.current.getPlayer()).toBeTruthy();
       }, { timeout: 100 });
 
       // Verify player still exists after prop update
-      expect(ref.current.player).toBeTruthy();
+      expect(ref.current.getPlayer()).toBeTruthy();
+
+    });
+
+    it('applies live config changes to the player on rerender', async () => {
+      const ref = React.createRef();
+      const { rerender } = render(
+        <JWPlayer library={library} playlist={playlist} ref={ref} />,
+      );
+      await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+      const player = ref.current.getPlayer();
+
+      const nextPlaylist = [{ file: 'next.mp4' }];
+      rerender(
+        <JWPlayer
+          library={library}
+          playlist={nextPlaylist}
+          mute
+          volume={30}
+          ref={ref}
+        />,
+      );
+
+      expect(player.load).toHaveBeenCalledWith(nextPlaylist);
+      expect(player.setMute).toHaveBeenCalledWith(true);
+      expect(player.setVolume).toHaveBeenCalledWith(30);
+      expect(player.setup).toHaveBeenCalledTimes(1);
+
+      // An equal playlist passed inline does not load again
+      rerender(
+        <JWPlayer
+          library={library}
+          playlist={[{ file: 'next.mp4' }]}
+          mute
+          volume={30}
+          ref={ref}
+        />,
+      );
+      expect(player.load).toHaveBeenCalledTimes(1);
+
+    });
+
+    it('sets the player up again when a config change can not be applied live', async () => {
+      const ref = React.createRef();
+      const mountSpy = vi.fn();
+      const unmountSpy = vi.fn();
+      const { rerender } = render(
+        <JWPlayer
+          library={library}
+          playlist={playlist}
+          didMountCallback={mountSpy}
+          willUnmountCallback={unmountSpy}
+          ref={ref}
+        />,
+      );
+      await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+      const player = ref.current.getPlayer();
+
+      rerender(
+        <JWPlayer
+          library={library}
+          playlist={playlist}
+          skin={{ name: 'seven' }}
+          didMountCallback={mountSpy}
+          willUnmountCallback={unmountSpy}
+          ref={ref}
+        />,
+      );
+
+      expect(player.remove).toHaveBeenCalledTimes(1);
+      expect(player.setup).toHaveBeenCalledTimes(2);
+      expect(player.setup.mock.calls[1][0]).toEqual({
+        playlist,
+        skin: { name: 'seven' },
+        isReactComponent: true,
+      });
+      expect(unmountSpy).toHaveBeenCalledTimes(1);
+      expect(mountSpy).toHaveBeenCalledTimes(2);
+
+    });
+
+    it('rebinds event handlers and applies config changes in the same update', async () => {
+      const ref = React.createRef();
+      const { rerender } = render(
+        <JWPlayer library={library} playlist={playlist} ref={ref} />,
+      );
+      await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+      const player = ref.current.getPlayer();
+
+      const playSpy = vi.fn();
+      rerender(
+        <JWPlayer
+          library={library}
+          playlist={playlist}
+          onPlay={playSpy}
+          mute
+          ref={ref}
+        />,
+      );
+
+      expect(player.setMute).toHaveBeenCalledWith(true);
+      getInternals(ref.current).onHandler('play', { reason: 'interaction' });
+      expect(playSpy).toHaveBeenCalledWith({ reason: 'interaction' });
 
-      expectedInstance++;
     });
 
     it('accesses onHandler through ref getter', async () => {
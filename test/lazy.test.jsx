@@ -0,0 +1,134 @@
+import { act, cleanup, render, screen } from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import JWPlayer from '../src/jwplayer';
+import { addLibraryHints } from '../src/lazy';
+import { clearLibraryCache } from '../src/util';
+import {
+  finishLibraryLoad,
+  MockIntersectionObserver,
+  mockLibrary,
+  observers,
+  players,
+} from './util';
+
+const library = 'https://cdn.jwplayer.com/libraries/lazy.js';
+const playlist = [{ file: 'a.mp4', image: 'https://test.com/poster.jpg' }];
+let playerCount = 0;
+const nextId = () => `lazy-player-${playerCount++}`;
+
+beforeEach(() => {
+  observers.length = 0;
+  window.IntersectionObserver = MockIntersectionObserver;
+  window.jwplayer = mockLibrary;
+  clearLibraryCache();
+});
+
+afterEach(() => {
+  delete window.IntersectionObserver;
+  window.jwplayer = null;
+  cleanup();
+  document.head.querySelectorAll('link').forEach((link) => link.remove());
+  document.querySelectorAll('script').forEach((script) => script.remove());
+});
+
+describe('lazy', () => {
+  it('renders a facade and defers setup until the player nears the viewport', async () => {
+    const id = nextId();
+    render(<JWPlayer id={id} playlist={playlist} title="Intro" lazy />);
+
+    const button = screen.getByRole('button', { name: 'Play Intro' });
+    expect(button).toBeTruthy();
+    expect(document.getElementById(id).firstChild.style.backgroundImage).toBe(
+      'url("https://test.com/poster.jpg")',
+    );
+    expect(players[id]).toBeUndefined();
+    expect(observers[0].options).toEqual({ rootMargin: '200px' });
+
+    observers[0].scroll(0);
+    expect(players[id]).toBeUndefined();
+
+    observers[0].scroll(1);
+    await act(async () => {});
+    expect(players[id].setup).toHaveBeenCalledTimes(1);
+    expect(players[id].play).not.toHaveBeenCalled();
+    expect(observers[0].disconnect).toHaveBeenCalled();
+  });
+
+  it('does not load the library before activation', async () => {
+    window.jwplayer = null;
+    render(<JWPlayer library={library} playlist={playlist} lazy />);
+    expect(document.querySelectorAll('script')).toHaveLength(0);
+
+    observers[0].scroll(1);
+    expect(document.querySelectorAll('script')).toHaveLength(1);
+  });
+
+  it('uses a custom rootMargin', () => {
+    render(
+      <JWPlayer playlist={playlist} lazy={{ rootMargin: '0px 0px 600px' }} />,
+    );
+    expect(observers[0].options).toEqual({ rootMargin: '0px 0px 600px' });
+  });
+
+  it('sets up and plays when the facade is clicked', async () => {
+    window.jwplayer = null;
+    const id = nextId();
+    render(<JWPlayer id={id} library={library} playlist={playlist} lazy />);
+
+    act(() => screen.getByRole('button').click());
+    await act(async () => finishLibraryLoad(library));
+
+    expect(players[id].setup).toHaveBeenCalledTimes(1);
+    expect(players[id].play).toHaveBeenCalledTimes(1);
+    expect(observers[0].disconnect).toHaveBeenCalled();
+  });
+
+  it('sets up straight away without IntersectionObserver', async () => {
+    delete window.IntersectionObserver;
+    const id = nextId();
+    render(<JWPlayer id={id} playlist={playlist} lazy />);
+    await act(async () => {});
+    expect(players[id].setup).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('library hints', () => {
+  const findLinks = (rel) =>
+    Array.from(document.head.querySelectorAll(`link[rel="${rel}"]`));
+
+  it('adds preconnect and prefetch links once', () => {
+    render(
+      <>
+        <JWPlayer
+          library={library}
+          playlist={playlist}
+          preconnect
+          prefetch
+          lazy
+        />
+        <JWPlayer
+          library={library}
+          playlist={playlist}
+          preconnect
+          prefetch
+          lazy
+        />
+      </>,
+    );
+
+    const preconnect = findLinks('preconnect');
+    const prefetch = findLinks('prefetch');
+    expect(preconnect).toHaveLength(1);
+    expect(preconnect[0].getAttribute('href')).toBe('https://cdn.jwplayer.com');
+    expect(prefetch).toHaveLength(1);
+    expect(prefetch[0].getAttribute('href')).toBe(library);
+    expect(prefetch[0].getAttribute('as')).toBe('script');
+  });
+
+  it('adds only the hints that are asked for', () => {
+    addLibraryHints(library, { preconnect: true });
+    expect(findLinks('preconnect')).toHaveLength(1);
+    expect(findLinks('prefetch')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,161 @@
+import { act, cleanup, render, waitFor } from '@testing-library/react';
+import React, { StrictMode } from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import JWPlayer from '../src/jwplayer';
+import { getInternals } from '../src/testing';
+import { clearLibraryCache } from '../src/util';
+import { finishLibraryLoad, mockLibrary, players } from './util';
+
+const library = 'https://cdn.jwplayer.com/libraries/slow.js';
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+let playerCount = 0;
+const nextId = () => `lifecycle-player-${playerCount++}`;
+
+beforeEach(() => {
+  window.jwplayer = null;
+  clearLibraryCache();
+});
+
+afterEach(() => {
+  cleanup();
+  document.querySelectorAll('script').forEach((script) => script.remove());
+});
+
+describe('unmount during library load', () => {
+  it('does not set up a player once the component has unmounted', async () => {
+    const id = nextId();
+    const didMountCallback = vi.fn();
+    const onLibraryLoad = vi.fn();
+    const { unmount } = render(
+      <JWPlayer
+        id={id}
+        library={library}
+        playlist={playlist}
+        didMountCallback={didMountCallback}
+        onLibraryLoad={onLibraryLoad}
+      />,
+    );
+
+    unmount();
+    await act(async () => finishLibraryLoad(library));
+
+    expect(players[id]).toBeUndefined();
+    expect(didMountCallback).not.toHaveBeenCalled();
+    expect(onLibraryLoad).not.toHaveBeenCalled();
+  });
+
+  it('ignores library errors once the component has unmounted', async () => {
+    const onLibraryError = vi.fn();
+    const { unmount } = render(
+      <JWPlayer
+        library={library}
+        libraryOptions={{ retries: 0 }}
+        playlist={playlist}
+        onLibraryError={onLibraryError}
+      />,
+    );
+
+    unmount();
+    await act(async () => {
+      document.querySelector('script').onerror(new Event('error'));
+    });
+
+    expect(onLibraryError).not.toHaveBeenCalled();
+  });
+
+  it('sets up a still mounted player once a slow load finishes', async () => {
+    const id = nextId();
+    const didMountCallback = vi.fn();
+    render(
+      <JWPlayer
+        id={id}
+        library={library}
+        playlist={playlist}
+        didMountCallback={didMountCallback}
+      />,
+    );
+    expect(didMountCallback).not.toHaveBeenCalled();
+
+    await act(async () => finishLibraryLoad(library));
+
+    expect(players[id].setup).toHaveBeenCalledTimes(1);
+    expect(didMountCallback).toHaveBeenCalledWith({ player: players[id], id });
+  });
+
+  it('sets up with props that changed while the library was loading', async () => {
+    const id = nextId();
+    const { rerender } = render(
+      <JWPlayer id={id} library={library} playlist={playlist} width={320} />,
+    );
+    rerender(
+      <JWPlayer id={id} library={library} playlist={playlist} width={640} />,
+    );
+
+    await act(async () => finishLibraryLoad(library));
+
+    expect(players[id].setup.mock.calls[0][0].width).toBe(640);
+    expect(players[id].resize).not.toHaveBeenCalled();
+  });
+});
+
+describe('StrictMode', () => {
+  it('sets up a single player across the double mount', async () => {
+    window.jwplayer = mockLibrary;
+    const id = nextId();
+    const didMountCallback = vi.fn();
+    const willUnmountCallback = vi.fn();
+    const { unmount } = render(
+      <StrictMode>
+        <JWPlayer
+          id={id}
+          playlist={playlist}
+          didMountCallback={didMountCallback}
+          willUnmountCallback={willUnmountCallback}
+        />
+      </StrictMode>,
+    );
+
+    await waitFor(() => expect(didMountCallback).toHaveBeenCalled());
+    expect(players[id].setup).toHaveBeenCalledTimes(1);
+    expect(didMountCallback).toHaveBeenCalledTimes(1);
+    expect(willUnmountCallback).not.toHaveBeenCalled();
+
+    unmount();
+    expect(players[id].remove).toHaveBeenCalledTimes(1);
+    expect(willUnmountCallback).toHaveBeenCalledTimes(1);
+  });
+
+  it('sets up a single player when the library loads slowly', async () => {
+    const id = nextId();
+    render(
+      <StrictMode>
+        <JWPlayer id={id} library={library} playlist={playlist} />
+      </StrictMode>,
+    );
+
+    expect(document.querySelectorAll('script')).toHaveLength(1);
+    await act(async () => finishLibraryLoad(library));
+
+    expect(players[id].setup).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('teardown', () => {
+  it('removes the player only once', async () => {
+    window.jwplayer = mockLibrary;
+    const id = nextId();
+    const ref = React.createRef();
+    const { unmount } = render(
+      <JWPlayer id={id} playlist={playlist} ref={ref} />,
+    );
+    await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+
+    // A manual re-mount replaces the existing player rather than leaking it
+    await act(() => getInternals(ref.current).componentDidMount());
+    expect(players[id].remove).toHaveBeenCalledTimes(1);
+
+    unmount();
+    expect(players[id].remove).toHaveBeenCalledTimes(2);
+    expect(players[id].off).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,321 @@
+import { cleanup, render, waitFor } from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import JWPlayer from '../src/jwplayer';
+import { createMockLibrary } from '../src/testing';
+import {
+  clearLibraryCache,
+  createPlayerLoadPromise,
+  getLibraryLoadState,
+  getPlayerLibrary,
+  loadLibrary,
+} from '../src/util';
+import { mockLibrary } from './util';
+
+const findScripts = (url) =>
+  Array.from(document.getElementsByTagName('script')).filter(
+    (script) => script.src === url,
+  );
+
+beforeEach(() => {
+  window.jwplayer = null;
+  clearLibraryCache();
+});
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+  document.querySelectorAll('script').forEach((script) => script.remove());
+});
+
+describe('createPlayerLoadPromise', () => {
+  it('sets CSP attributes on the script tag', () => {
+    const url = 'https://test.com/csp.js';
+    createPlayerLoadPromise(url, {
+      nonce: 'abc123',
+      integrity: 'sha384-xyz',
+      crossOrigin: 'anonymous',
+    });
+    const [script] = findScripts(url);
+    expect(script.nonce).toBe('abc123');
+    expect(script.integrity).toBe('sha384-xyz');
+    expect(script.crossOrigin).toBe('anonymous');
+  });
+
+  it('removes the script tag when it fails', async () => {
+    const url = 'https://test.com/fail.js';
+    const promise = createPlayerLoadPromise(url);
+    findScripts(url)[0].onerror(new Event('error'));
+    await expect(promise).rejects.toBeInstanceOf(Event);
+    expect(findScripts(url)).toHaveLength(0);
+  });
+
+  it('times out and removes the script tag', async () => {
+    vi.useFakeTimers();
+    const url = 'https://test.com/slow.js';
+    const promise = createPlayerLoadPromise(url, { timeout: 100 });
+    vi.advanceTimersByTime(100);
+    await expect(promise).rejects.toThrow(
+      'jwplayer-react timed out loading https://test.com/slow.js',
+    );
+    expect(findScripts(url)).toHaveLength(0);
+  });
+});
+
+describe('loadLibrary', () => {
+  it('shares one script tag between concurrent loads', async () => {
+    const url = 'https://test.com/shared.js';
+    const loads = [loadLibrary(url), loadLibrary(url), loadLibrary(url)];
+    expect(findScripts(url)).toHaveLength(1);
+    expect(getLibraryLoadState(url)).toBe('loading');
+
+    findScripts(url)[0].onload();
+    await Promise.all(loads);
+    expect(getLibraryLoadState(url)).toBe('loaded');
+
+    await loadLibrary(url);
+    expect(findScripts(url)).toHaveLength(1);
+  });
+
+  it('retries with backoff before failing', async () => {
+    vi.useFakeTimers();
+    const url = 'https://test.com/flaky.js';
+    const promise = loadLibrary(url, { retries: 2, retryDelay: 100 });
+    promise.catch(() => {});
+
+    findScripts(url)[0].onerror(new Event('error'));
+    await vi.advanceTimersByTimeAsync(99);
+    expect(findScripts(url)).toHaveLength(0);
+    await vi.advanceTimersByTimeAsync(1);
+    findScripts(url)[0].onerror(new Event('error'));
+
+    // The second retry waits twice as long
+    await vi.advanceTimersByTimeAsync(199);
+    expect(findScripts(url)).toHaveLength(0);
+    await vi.advanceTimersByTimeAsync(1);
+    findScripts(url)[0].onerror(new Event('error'));
+
+    await expect(promise).rejects.toThrow(
+      'jwplayer-react failed to load https://test.com/flaky.js',
+    );
+    expect(getLibraryLoadState(url)).toBe('error');
+  });
+
+  it('starts a new load after a failed one', async () => {
+    const url = 'https://test.com/again.js';
+    const failed = loadLibrary(url, { retries: 0 });
+    findScripts(url)[0].onerror(new Event('error'));
+    await expect(failed).rejects.toThrow();
+
+    const retried = loadLibrary(url, { retries: 0 });
+    expect(getLibraryLoadState(url)).toBe('loading');
+    findScripts(url)[0].onload();
+    await expect(retried).resolves.toBeUndefined();
+  });
+});
+
+describe('library callbacks', () => {
+  const library = 'https://test.com/component.js';
+  const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+
+  it('loads the library once for several players and reports the load', async () => {
+    const onLibraryLoad = vi.fn();
+    render(
+      <>
+        <JWPlayer
+          library={library}
+          playlist={playlist}
+          onLibraryLoad={onLibraryLoad}
+        />
+        <JWPlayer
+          library={library}
+          playlist={playlist}
+          onLibraryLoad={onLibraryLoad}
+        />
+      </>,
+    );
+    const scripts = findScripts(library);
+    expect(scripts).toHaveLength(1);
+
+    window.jwplayer = mockLibrary;
+    scripts[0].onload();
+    await waitFor(() => expect(onLibraryLoad).toHaveBeenCalledTimes(2));
+  });
+
+  it('reports library errors', async () => {
+    const onLibraryError = vi.fn();
+    render(
+      <JWPlayer
+        library={library}
+        libraryOptions={{ retries: 0 }}
+        playlist={playlist}
+        onLibraryError={onLibraryError}
+      />,
+    );
+    findScripts(library)[0].onerror(new Event('error'));
+    await waitFor(() => expect(onLibraryError).toHaveBeenCalled());
+    expect(onLibraryError.mock.calls[0][0]).toBeInstanceOf(Error);
+  });
+
+  it('reports a missing library', async () => {
+    const onLibraryError = vi.fn();
+    render(<JWPlayer playlist={playlist} onLibraryError={onLibraryError} />);
+    await waitFor(() =>
+      expect(onLibraryError).toHaveBeenCalledWith(
+        new Error(
+          'jwplayer-react requires either a library prop, or a library script',
+        ),
+      ),
+    );
+  });
+});
+
+describe('multiple libraries', () => {
+  const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+  const first = 'https://test.com/first.js';
+  const second = 'https://test.com/second.js';
+
+  // Finishes loading `url` as if its script had defined `library` as the global
+  const finishLoad = (url, library) => {
+    window.jwplayer = library;
+    findScripts(url)[0].onload();
+  };
+
+  it('keeps the jwplayer function each library defined', async () => {
+    const firstLibrary = createMockLibrary();
+    const secondLibrary = createMockLibrary();
+
+    // Script load events are separate tasks, so each load settles before the next script runs
+    const loads = [loadLibrary(first), loadLibrary(second)];
+    finishLoad(first, firstLibrary);
+    await loads[0];
+    finishLoad(second, secondLibrary);
+    await loads[1];
+
+    expect(getPlayerLibrary(first)).toBe(firstLibrary);
+    expect(getPlayerLibrary(second)).toBe(secondLibrary);
+    expect(getPlayerLibrary()).toBe(secondLibrary);
+  });
+
+  it('sets each player up with its own library', async () => {
+    const firstLibrary = createMockLibrary();
+    const secondLibrary = createMockLibrary();
+    const firstRef = React.createRef();
+    const secondRef = React.createRef();
+
+    render(
+      <JWPlayer
+        id="first-library-player"
+        library={first}
+        playlist={playlist}
+        ref={firstRef}
+      />,
+    );
+    finishLoad(first, firstLibrary);
+    await waitFor(() => expect(firstRef.current.getPlayer()).toBeTruthy());
+
+    // The first library is now the global, but the second player still loads its own
+    render(
+      <JWPlayer
+        id="second-library-player"
+        library={second}
+        playlist={playlist}
+        ref={secondRef}
+      />,
+    );
+    expect(findScripts(second)).toHaveLength(1);
+    finishLoad(second, secondLibrary);
+    await waitFor(() => expect(secondRef.current.getPlayer()).toBeTruthy());
+
+    expect(firstRef.current.getPlayer()).toBe(
+      firstLibrary.getPlayer('first-library-player'),
+    );
+    expect(secondRef.current.getPlayer()).toBe(
+      secondLibrary.getPlayer('second-library-player'),
+    );
+  });
+
+  it('uses a library the page added itself from the same URL', async () => {
+    const pageLibrary = createMockLibrary();
+    window.jwplayer = pageLibrary;
+    const script = document.createElement('script');
+    script.src = first;
+    document.head.append(script);
+    const ref = React.createRef();
+
+    render(<JWPlayer library={first} playlist={playlist} ref={ref} />);
+    await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+    expect(findScripts(first)).toHaveLength(1);
+    expect(pageLibrary.getPlayers()).toHaveLength(1);
+  });
+
+  it('loads its own library over one the page added itself', async () => {
+    const pageLibrary = createMockLibrary();
+    const firstLibrary = createMockLibrary();
+    window.jwplayer = pageLibrary;
+    const ref = React.createRef();
+
+    render(<JWPlayer library={first} playlist={playlist} ref={ref} />);
+    await waitFor(() => expect(findScripts(first)).toHaveLength(1));
+    finishLoad(first, firstLibrary);
+    await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+
+    expect(firstLibrary.getPlayers()).toHaveLength(1);
+    expect(pageLibrary.getPlayers()).toHaveLength(0);
+    // The page's own players keep using its library
+    expect(window.jwplayer).toBe(pageLibrary);
+    expect(getPlayerLibrary(first)).toBe(firstLibrary);
+  });
+
+  it('sets the player up again when the library changes', async () => {
+    const firstLibrary = createMockLibrary();
+    const secondLibrary = createMockLibrary();
+    const willUnmountCallback = vi.fn();
+    const ref = React.createRef();
+    const props = { id: 'switching-player', playlist, willUnmountCallback };
+
+    const { rerender } = render(
+      <JWPlayer library={first} {...props} ref={ref} />,
+    );
+    finishLoad(first, firstLibrary);
+    await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+    const firstPlayer = ref.current.getPlayer();
+
+    rerender(<JWPlayer library={second} {...props} ref={ref} />);
+    await waitFor(() => expect(findScripts(second)).toHaveLength(1));
+    expect(willUnmountCallback).toHaveBeenCalledWith({
+      player: firstPlayer,
+      id: 'switching-player',
+    });
+    expect(firstPlayer.removed).toBe(true);
+
+    finishLoad(second, secondLibrary);
+    await waitFor(() =>
+      expect(ref.current.getPlayer()).toBe(
+        secondLibrary.getPlayer('switching-player'),
+      ),
+    );
+  });
+
+  it('loads the new library when it changes during the first load', async () => {
+    const firstLibrary = createMockLibrary();
+    const secondLibrary = createMockLibrary();
+    const ref = React.createRef();
+    const props = { id: 'pending-switch-player', playlist };
+
+    const { rerender } = render(
+      <JWPlayer library={first} {...props} ref={ref} />,
+    );
+    rerender(<JWPlayer library={second} {...props} ref={ref} />);
+    finishLoad(first, firstLibrary);
+
+    await waitFor(() => expect(findScripts(second)).toHaveLength(1));
+    finishLoad(second, secondLibrary);
+    await waitFor(() =>
+      expect(ref.current.getPlayer()).toBe(
+        secondLibrary.getPlayer('pending-switch-player'),
+      ),
+    );
+    expect(firstLibrary.getPlayers()).toHaveLength(0);
+  });
+});
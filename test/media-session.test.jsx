@@ -0,0 +1,208 @@
+import { act, cleanup } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { installMockLibrary, uninstallMockLibrary } from '../src/testing';
+import { mountPlayer } from './util';
+
+const playlist = [
+  {
+    file: 'https://path-to-my.mp4',
+    title: 'First',
+    description: 'The first video',
+    image: 'https://example.com/first.jpg',
+    duration: 30,
+  },
+  {
+    file: 'https://path-to-my-other.mp4',
+    title: 'Second',
+    image: 'https://example.com/second.jpg',
+    images: [{ src: 'https://example.com/second-320.jpg', type: 'image/jpeg' }],
+    duration: 20,
+  },
+];
+let session;
+
+// A stand-in for navigator.mediaSession that records what the component sets
+const createMediaSession = () => ({
+  metadata: null,
+  playbackState: 'none',
+  handlers: {},
+  positionState: null,
+  setActionHandler(action, handler) {
+    if (handler) {
+      this.handlers[action] = handler;
+    } else {
+      delete this.handlers[action];
+    }
+  },
+  setPositionState(state) {
+    this.positionState = state;
+  },
+});
+
+class MediaMetadata {
+  constructor(init) {
+    Object.assign(this, init);
+  }
+}
+
+beforeEach(() => {
+  installMockLibrary();
+  session = createMediaSession();
+  vi.stubGlobal('navigator', { ...navigator, mediaSession: session });
+  vi.stubGlobal('MediaMetadata', MediaMetadata);
+});
+
+afterEach(() => {
+  cleanup();
+  uninstallMockLibrary();
+  vi.unstubAllGlobals();
+});
+
+const renderPlayer = async (props = {}) => {
+  const rendered = await mountPlayer({
+    playlist,
+    mediaSession: true,
+    ...props,
+  });
+  act(() => rendered.player.simulateReady());
+
+  return rendered;
+};
+
+describe('mediaSession', () => {
+  it('shows the playing item and updates it on playlist changes', async () => {
+    const { player } = await renderPlayer();
+    expect(session.metadata).toBe(null);
+
+    act(() => player.play());
+    expect(session.playbackState).toBe('playing');
+    expect(session.metadata).toBeInstanceOf(MediaMetadata);
+    expect(session.metadata).toMatchObject({
+      title: 'First',
+      artist: 'The first video',
+      artwork: [{ src: 'https://example.com/first.jpg' }],
+    });
+
+    act(() => player.playlistNext());
+    expect(session.metadata).toMatchObject({
+      title: 'Second',
+      artist: '',
+      artwork: [
+        { src: 'https://example.com/second.jpg' },
+        { src: 'https://example.com/second-320.jpg', type: 'image/jpeg' },
+      ],
+    });
+
+    act(() => player.pause());
+    expect(session.playbackState).toBe('paused');
+  });
+
+  it('maps actions to the player', async () => {
+    const { player } = await renderPlayer({ mediaSession: { seekOffset: 5 } });
+    act(() => player.simulatePlayback({ to: 12 }));
+
+    act(() => session.handlers.pause());
+    expect(player.getState()).toBe('paused');
+    act(() => session.handlers.play());
+    expect(player.getState()).toBe('playing');
+
+    act(() => session.handlers.seekto({ action: 'seekto', seekTime: 20 }));
+    expect(player.getPosition()).toBe(20);
+    act(() => session.handlers.seekforward({ action: 'seekforward' }));
+    expect(player.getPosition()).toBe(25);
+    act(() =>
+      session.handlers.seekforward({ action: 'seekforward', seekOffset: 30 }),
+    );
+    expect(player.getPosition()).toBe(30);
+    act(() => session.handlers.seekbackward({ action: 'seekbackward' }));
+    expect(player.getPosition()).toBe(25);
+
+    act(() => session.handlers.nexttrack());
+    expect(player.getPlaylistIndex()).toBe(1);
+    act(() => session.handlers.previoustrack());
+    expect(player.getPlaylistIndex()).toBe(0);
+  });
+
+  it('leaves out the track actions for a single item', async () => {
+    const { player } = await renderPlayer({ playlist: [playlist[0]] });
+    act(() => player.play());
+
+    expect(session.handlers.play).toBeTruthy();
+    expect(session.handlers.nexttrack).toBeUndefined();
+    expect(session.handlers.previoustrack).toBeUndefined();
+  });
+
+  it('updates the position state from time events', async () => {
+    const { player, emit } = await renderPlayer();
+    act(() => player.simulatePlayback({ to: 4 }));
+    expect(session.positionState).toEqual({
+      duration: 30,
+      position: 4,
+      playbackRate: 1,
+    });
+
+    // Live streams have no duration to show
+    emit('time', { position: 8, duration: Infinity });
+    expect(session.positionState.position).toBe(4);
+  });
+
+  it('gives the session to the player that is playing', async () => {
+    const first = await renderPlayer();
+    const second = await renderPlayer({ playlist: [playlist[1]] });
+
+    act(() => first.player.play());
+    second.emit('time', { position: 1, duration: 20 });
+    expect(session.metadata.title).toBe('First');
+
+    act(() => second.player.play());
+    expect(session.metadata.title).toBe('Second');
+    expect(session.handlers.nexttrack).toBeUndefined();
+
+    // Pausing keeps the session until another player plays
+    act(() => second.player.pause());
+    first.emit('time', { position: 2, duration: 30 });
+    expect(session.metadata.title).toBe('First');
+    expect(session.playbackState).toBe('playing');
+  });
+
+  it('releases the session when the owner is removed', async () => {
+    const first = await renderPlayer();
+    const second = await renderPlayer();
+
+    act(() => second.player.play());
+    first.unmount();
+    expect(session.metadata.title).toBe('First');
+
+    second.unmount();
+    expect(session.metadata).toBe(null);
+    expect(session.playbackState).toBe('none');
+    expect(session.handlers).toEqual({});
+  });
+
+  it('is opt-in', async () => {
+    const { player, emit, rerender } = await renderPlayer({
+      mediaSession: false,
+    });
+    act(() => player.play());
+    expect(session.metadata).toBe(null);
+
+    rerender({ playlist, mediaSession: true });
+    emit('time', { position: 1, duration: 30 });
+    expect(session.metadata.title).toBe('First');
+
+    rerender({ playlist, mediaSession: false });
+    emit('time', { position: 2, duration: 30 });
+    expect(session.metadata).toBe(null);
+  });
+
+  it('uses getMetadata for the item metadata', async () => {
+    const { player } = await renderPlayer({
+      mediaSession: {
+        getMetadata: (item) => ({ title: item.title, album: 'Series' }),
+      },
+    });
+    act(() => player.play());
+
+    expect(session.metadata).toMatchObject({ title: 'First', album: 'Series' });
+  });
+});
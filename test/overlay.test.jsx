@@ -0,0 +1,156 @@
+import {
+  cleanup,
+  render,
+  renderHook,
+  screen,
+  waitFor,
+} from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ControlBarButton } from '../src/control-bar-button';
+import { usePlayerState } from '../src/hooks';
+import JWPlayer from '../src/jwplayer';
+import { mockLibrary, mountPlayer, players } from './util';
+
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  cleanup();
+});
+
+const getOverlayHost = (id) =>
+  document.getElementById(id).querySelector('.jwplayer-react-overlay');
+
+describe('children', () => {
+  it('are portalled into the player container once it is set up', async () => {
+    const { id } = await mountPlayer({ children: <p>Live</p> });
+
+    const host = getOverlayHost(id);
+    expect(host.style.position).toBe('absolute');
+    expect(host.style.pointerEvents).toBe('none');
+    expect(host.textContent).toBe('Live');
+  });
+
+  it('are not rendered before setup', () => {
+    window.jwplayer = null;
+    render(
+      <JWPlayer
+        library="https://cdn.jwplayer.com/libraries/overlay.js"
+        playlist={playlist}
+      >
+        <p>Live</p>
+      </JWPlayer>,
+    );
+    expect(screen.queryByText('Live')).toBeNull();
+  });
+
+  it('can use player hooks without a target', async () => {
+    const State = () => <p>{usePlayerState()}</p>;
+    const { player, emit } = await mountPlayer({ children: <State /> });
+    expect(screen.getByText('idle')).toBeTruthy();
+
+    player.getState.mockReturnValue('playing');
+    emit('play');
+    expect(screen.getByText('playing')).toBeTruthy();
+  });
+
+  it('removes the overlay when the player is removed', async () => {
+    const { id, unmount } = await mountPlayer({ children: <p>Live</p> });
+    const container = document.getElementById(id);
+    unmount();
+    expect(container.querySelector('.jwplayer-react-overlay')).toBeNull();
+  });
+});
+
+describe('overlay', () => {
+  it('renders with live player state', async () => {
+    const overlay = vi.fn(({ state, position, duration }) => (
+      <p>{`${state} ${position}/${duration}`}</p>
+    ));
+    const { player, emit } = await mountPlayer({ overlay });
+    expect(screen.getByText('idle 0/0')).toBeTruthy();
+    expect(overlay.mock.calls[0][0].player).toBe(player);
+
+    player.getState.mockReturnValue('playing');
+    player.getPosition.mockReturnValue(5);
+    player.getDuration.mockReturnValue(60);
+    emit('time');
+    emit('play');
+    expect(screen.getByText('playing 5/60')).toBeTruthy();
+  });
+});
+
+describe('ControlBarButton', () => {
+  it('adds a button with a React icon and calls the latest handler', async () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    const button = (onClick) => (
+      <ControlBarButton
+        id="chapters"
+        label="Chapters"
+        className="chapters-button"
+        onClick={onClick}
+        icon={<span>icon</span>}
+      />
+    );
+    const { id, player, rerender } = await mountPlayer({
+      children: button(first),
+    });
+
+    expect(player.addButton).toHaveBeenCalledWith(
+      expect.stringContaining('<svg'),
+      'Chapters',
+      expect.any(Function),
+      'chapters',
+      'chapters-button',
+    );
+    const element = document
+      .getElementById(id)
+      .querySelector('[button="chapters"]');
+    expect(element.textContent).toBe('icon');
+
+    rerender({ children: button(second) });
+    expect(player.addButton).toHaveBeenCalledTimes(1);
+    element.onclick();
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+
+  it('removes the button when it unmounts', async () => {
+    const children = (
+      <ControlBarButton id="cta" label="Buy" onClick={() => {}} />
+    );
+    const { player, rerender } = await mountPlayer({ children });
+
+    rerender({ children: null });
+    expect(player.removeButton).toHaveBeenCalledWith('cta');
+  });
+
+  it('adds the button again when the player is set up again', async () => {
+    const children = (
+      <ControlBarButton id="cta" label="Buy" onClick={() => {}} />
+    );
+    const { id, player, rerender } = await mountPlayer({ children });
+    // The library returns a new instance for a player that was removed
+    delete players[id];
+
+    // A config change that can't be applied live sets the player up again
+    rerender({ children, repeat: true });
+    await waitFor(() => expect(players[id].addButton).toHaveBeenCalled());
+    // The removed player's control bar is gone, so there's nothing to remove
+    expect(player.removeButton).not.toHaveBeenCalled();
+  });
+
+  it('throws outside a JWPlayer', () => {
+    expect(() =>
+      renderHook(() => ControlBarButton({ id: 'a', label: 'A' })),
+    ).toThrow(
+      'jwplayer-react: ControlBarButton must be rendered inside a JWPlayer',
+    );
+  });
+});
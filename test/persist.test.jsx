@@ -0,0 +1,155 @@
+import { act, cleanup, renderHook } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createMemoryStorage, useResumePrompt } from '../src/persist';
+import { mockLibrary, mountPlayer } from './util';
+
+const item = { mediaid: '1g8jjku3', file: 'https://path-to-my.mp4' };
+const tracks = [{ label: 'Off' }, { label: 'English' }, { label: 'Español' }];
+const levels = [{ label: 'Auto' }, { label: '1080p' }, { label: '720p' }];
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  vi.useRealTimers();
+  cleanup();
+});
+
+describe('persist preferences', () => {
+  it('saves preferences and restores them on the next setup', async () => {
+    const storage = createMemoryStorage();
+    const persist = { preferences: true, storage };
+    const first = await mountPlayer({ persist });
+
+    first.emit('mute', { mute: true });
+    first.emit('volume', { volume: 40 });
+    first.emit('playbackRateChanged', { playbackRate: 1.5 });
+    first.emit('captionsChanged', { tracks, track: 2 });
+    first.emit('levelsChanged', { levels, currentQuality: 2 });
+    first.unmount();
+
+    const { player, emit } = await mountPlayer({ persist });
+    expect(player.setup).toHaveBeenCalledWith(
+      expect.objectContaining({ mute: true, volume: 40 }),
+    );
+
+    emit('ready');
+    emit('captionsList', { tracks, track: 0 });
+    emit('levels', { levels, currentQuality: 0 });
+    expect(player.setPlaybackRate).toHaveBeenCalledWith(1.5);
+    expect(player.setCurrentCaptions).toHaveBeenCalledWith(2);
+    expect(player.setCurrentQuality).toHaveBeenCalledWith(2);
+  });
+
+  it('leaves tracks alone that the current item does not have', async () => {
+    const storage = createMemoryStorage();
+    const first = await mountPlayer({
+      persist: { preferences: true, storage },
+    });
+    first.emit('captionsChanged', { tracks, track: 2 });
+
+    const { player, emit } = await mountPlayer({
+      persist: { preferences: true, storage },
+    });
+    emit('captionsList', { tracks: tracks.slice(0, 2), track: 0 });
+    expect(player.setCurrentCaptions).not.toHaveBeenCalled();
+  });
+
+  it('forgets preferences older than the ttl', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const storage = createMemoryStorage();
+    const first = await mountPlayer({
+      persist: { preferences: true, storage },
+    });
+    first.emit('mute', { mute: true });
+
+    vi.setSystemTime(Date.now() + 2000);
+    const { player } = await mountPlayer({
+      persist: { preferences: true, storage, ttl: 1000 },
+    });
+    expect(player.setup.mock.calls[0][0].mute).toBeUndefined();
+  });
+
+  it('saves nothing without the preferences option', async () => {
+    const storage = createMemoryStorage();
+    const { emit } = await mountPlayer({ persist: { resume: true, storage } });
+    emit('mute', { mute: true });
+    expect(storage.getItem('jwplayer-react:preferences')).toBeNull();
+  });
+});
+
+describe('persist resume', () => {
+  it('seeks to the saved position when the item is played again', async () => {
+    const storage = createMemoryStorage();
+    const first = await mountPlayer({ persist: { resume: true, storage } });
+    first.emit('playlistItem', { index: 0, item });
+    first.emit('time', { position: 42, duration: 600 });
+    first.unmount();
+
+    const { player, emit } = await mountPlayer({
+      persist: { resume: true, storage },
+    });
+    emit('playlistItem', { index: 0, item });
+    expect(player.seek).not.toHaveBeenCalled();
+
+    emit('play');
+    emit('play');
+    expect(player.seek).toHaveBeenCalledTimes(1);
+    expect(player.seek).toHaveBeenCalledWith(42);
+  });
+
+  it('does not resume near the start or after the item completes', async () => {
+    const storage = createMemoryStorage();
+    const first = await mountPlayer({ persist: { resume: true, storage } });
+    first.emit('playlistItem', { index: 0, item });
+    first.emit('time', { position: 3, duration: 600 });
+    first.emit('pause');
+    expect(storage.getItem('jwplayer-react:position:1g8jjku3')).toBeNull();
+
+    first.emit('time', { position: 300, duration: 600 });
+    first.emit('complete');
+    first.unmount();
+    expect(storage.getItem('jwplayer-react:position:1g8jjku3')).toBeNull();
+  });
+
+  it('offers a resume prompt instead of seeking', async () => {
+    const storage = createMemoryStorage();
+    const persist = { resume: 'prompt', storage };
+    const first = await mountPlayer({ persist });
+    first.emit('playlistItem', { index: 0, item });
+    first.emit('time', { position: 90, duration: 600 });
+    first.unmount();
+
+    const { id, player, emit } = await mountPlayer({ persist });
+    const { result } = renderHook(() => useResumePrompt(id));
+    expect(result.current).toBeNull();
+
+    emit('playlistItem', { index: 0, item });
+    emit('play');
+    expect(player.seek).not.toHaveBeenCalled();
+    expect(result.current).toMatchObject({ mediaid: '1g8jjku3', position: 90 });
+
+    act(() => result.current.resume());
+    expect(player.seek).toHaveBeenCalledWith(90);
+    expect(result.current).toBeNull();
+  });
+
+  it('forgets the position when the prompt is dismissed', async () => {
+    const storage = createMemoryStorage();
+    const persist = { resume: 'prompt', storage };
+    storage.setItem(
+      'jwplayer-react:position:1g8jjku3',
+      JSON.stringify({ value: 90, savedAt: Date.now() }),
+    );
+
+    const { id, emit } = await mountPlayer({ persist });
+    const { result } = renderHook(() => useResumePrompt(id));
+    emit('playlistItem', { index: 0, item });
+
+    act(() => result.current.dismiss());
+    expect(result.current).toBeNull();
+    expect(storage.getItem('jwplayer-react:position:1g8jjku3')).toBeNull();
+  });
+});
@@ -0,0 +1,175 @@
+import { act, cleanup, render, waitFor } from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import JWPlayer from '../src/jwplayer';
+import { JWPlayerProvider } from '../src/provider';
+import { getInternals } from '../src/testing';
+import {
+  MockIntersectionObserver,
+  mockLibrary,
+  observers,
+  players,
+} from './util';
+
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+let playerCount = 0;
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+  window.IntersectionObserver = MockIntersectionObserver;
+  observers.length = 0;
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  delete window.IntersectionObserver;
+  cleanup();
+});
+
+// Renders `count` players under a provider with `policy` and resolves once they are all set up
+const renderPlayers = async (policy, count = 3) => {
+  const refs = Array.from({ length: count }, () => React.createRef());
+  const ids = refs.map(() => `policy-player-${playerCount++}`);
+  const result = render(
+    <JWPlayerProvider playbackPolicy={policy}>
+      {ids.map((id, index) => (
+        <JWPlayer key={id} id={id} playlist={playlist} ref={refs[index]} />
+      ))}
+    </JWPlayerProvider>,
+  );
+  await waitFor(() =>
+    refs.forEach((ref) => expect(ref.current.getPlayer()).toBeTruthy()),
+  );
+
+  return {
+    ...result,
+    ids,
+    refs,
+    players: ids.map((id) => players[id]),
+    beforePlay: (index, data = {}) =>
+      act(() =>
+        getInternals(refs[index].current).onHandler('beforePlay', data),
+      ),
+  };
+};
+
+describe('playbackPolicy', () => {
+  it('exclusive pauses the other active players', async () => {
+    const { players: list, beforePlay } = await renderPlayers('exclusive');
+    list[1].getState.mockReturnValue('playing');
+    list[2].getState.mockReturnValue('paused');
+
+    beforePlay(0, { playReason: 'interaction' });
+
+    expect(list[1].pause).toHaveBeenCalledTimes(1);
+    expect(list[2].pause).not.toHaveBeenCalled();
+    expect(list[0].pause).not.toHaveBeenCalled();
+  });
+
+  it('exclusive-audio mutes the other active players', async () => {
+    const { players: list, beforePlay } =
+      await renderPlayers('exclusive-audio');
+    list[1].getState.mockReturnValue('buffering');
+    list[2].getState.mockReturnValue('playing');
+    list[2].getMute.mockReturnValue(true);
+
+    beforePlay(0);
+
+    expect(list[1].setMute).toHaveBeenCalledWith(true);
+    expect(list[1].pause).not.toHaveBeenCalled();
+    expect(list[2].setMute).not.toHaveBeenCalled();
+  });
+
+  it('exclusive-audio unmutes the players it muted when they play again', async () => {
+    const {
+      players: list,
+      refs,
+      beforePlay,
+    } = await renderPlayers('exclusive-audio');
+    list[1].getState.mockReturnValue('playing');
+    list[2].getState.mockReturnValue('playing');
+    list[2].getMute.mockReturnValue(true);
+    beforePlay(0);
+    list[0].getState.mockReturnValue('playing');
+    list[1].getMute.mockReturnValue(true);
+
+    beforePlay(1);
+    expect(list[1].setMute).toHaveBeenLastCalledWith(false);
+    expect(list[0].setMute).toHaveBeenCalledWith(true);
+
+    // The policy didn't mute this one, so it stays muted
+    beforePlay(2);
+    expect(list[2].setMute).not.toHaveBeenCalledWith(false);
+
+    // Once the viewer unmutes it, the policy no longer restores it
+    act(() => getInternals(refs[0].current).onHandler('mute', { mute: false }));
+    list[0].getMute.mockReturnValue(true);
+    beforePlay(0);
+    expect(list[0].setMute).not.toHaveBeenCalledWith(false);
+  });
+
+  it('single-autostart only lets the most visible player autostart', async () => {
+    const {
+      ids,
+      players: list,
+      beforePlay,
+    } = await renderPlayers('single-autostart');
+    list.forEach((player) =>
+      player.getConfig.mockReturnValue({ autostart: 'viewable' }),
+    );
+    expect(observers[0].options.threshold).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    observers[0].setRatios({ [ids[0]]: 0.5, [ids[1]]: 1, [ids[2]]: 0.25 });
+
+    beforePlay(0, { playReason: 'viewable' });
+    expect(list[0].pause).toHaveBeenCalledTimes(1);
+
+    list[0].getState.mockReturnValue('playing');
+    beforePlay(1, { playReason: 'autostart' });
+    expect(list[1].pause).not.toHaveBeenCalled();
+    // Players that autostarted earlier are paused
+    expect(list[0].pause).toHaveBeenCalledTimes(2);
+
+    // Starts the viewer asked for are left alone
+    beforePlay(2, { playReason: 'interaction' });
+    expect(list[2].pause).not.toHaveBeenCalled();
+  });
+
+  it('single-autostart ignores players without viewable autostart', async () => {
+    const {
+      ids,
+      players: list,
+      beforePlay,
+    } = await renderPlayers('single-autostart', 2);
+    list[0].getConfig.mockReturnValue({ autostart: 'viewable' });
+    observers[0].setRatios({ [ids[0]]: 0.25, [ids[1]]: 1 });
+
+    beforePlay(0, { playReason: 'viewable' });
+    expect(list[0].pause).not.toHaveBeenCalled();
+  });
+
+  it('stops applying the policy to players that unmount', async () => {
+    const {
+      ids,
+      refs,
+      players: list,
+      beforePlay,
+      rerender,
+    } = await renderPlayers('exclusive');
+    list[1].getState.mockReturnValue('playing');
+
+    rerender(
+      <JWPlayerProvider playbackPolicy="exclusive">
+        {[
+          <JWPlayer
+            key={ids[0]}
+            id={ids[0]}
+            playlist={playlist}
+            ref={refs[0]}
+          />,
+        ]}
+      </JWPlayerProvider>,
+    );
+    beforePlay(0);
+    expect(list[1].pause).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,152 @@
+import {
+  act,
+  cleanup,
+  render,
+  renderHook,
+  waitFor,
+} from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import JWPlayer from '../src/jwplayer';
+import { JWPlayerProvider, usePlayerRegistry } from '../src/provider';
+import { clearLibraryCache } from '../src/util';
+import { finishLibraryLoad, mockLibrary, players } from './util';
+
+const library = 'https://cdn.jwplayer.com/libraries/provider.js';
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+let playerCount = 0;
+const nextId = () => `provider-player-${playerCount++}`;
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+  clearLibraryCache();
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  delete window.jwDefaults;
+  cleanup();
+  document.querySelectorAll('script').forEach((script) => script.remove());
+});
+
+const getSetupConfig = (id) => players[id].setup.mock.calls[0][0];
+
+// Renders the registry seen by `usePlayerRegistry` into `result.current`
+const RegistryProbe = ({ result }) => {
+  result.current = usePlayerRegistry();
+  return null;
+};
+
+describe('JWPlayerProvider', () => {
+  it('supplies the library to players without their own', async () => {
+    window.jwplayer = null;
+    const id = nextId();
+    render(
+      <JWPlayerProvider library={library} libraryOptions={{ nonce: 'abc' }}>
+        <JWPlayer id={id} playlist={playlist} />
+      </JWPlayerProvider>,
+    );
+
+    const script = document.querySelector('script');
+    expect(script.src).toBe(library);
+    expect(script.nonce).toBe('abc');
+
+    await act(async () => finishLibraryLoad(library));
+    expect(players[id].setup).toHaveBeenCalledTimes(1);
+  });
+
+  it('lets the player library override the provider', () => {
+    window.jwplayer = null;
+    const ownLibrary = 'https://cdn.jwplayer.com/libraries/own.js';
+    render(
+      <JWPlayerProvider library={library}>
+        <JWPlayer library={ownLibrary} playlist={playlist} />
+      </JWPlayerProvider>,
+    );
+
+    const scripts = document.querySelectorAll('script');
+    expect(scripts).toHaveLength(1);
+    expect(scripts[0].src).toBe(ownLibrary);
+  });
+
+  it('merges defaults from nested providers below the player props', async () => {
+    window.jwDefaults = { key: 'global', repeat: true, mute: true };
+    const id = nextId();
+    render(
+      <JWPlayerProvider defaults={{ key: 'outer', stretching: 'fill' }}>
+        <JWPlayerProvider defaults={{ stretching: 'none', controls: false }}>
+          <JWPlayer id={id} playlist={playlist} controls />
+        </JWPlayerProvider>
+      </JWPlayerProvider>,
+    );
+
+    await waitFor(() => expect(players[id].setup).toHaveBeenCalled());
+    expect(getSetupConfig(id)).toEqual({
+      key: 'outer',
+      repeat: true,
+      mute: true,
+      stretching: 'none',
+      controls: true,
+      playlist,
+      isReactComponent: true,
+    });
+  });
+});
+
+describe('usePlayerRegistry', () => {
+  it('enumerates, looks up and acts on the mounted players', async () => {
+    const [first, second] = [nextId(), nextId()];
+    const registry = {};
+    const Players = ({ showSecond }) => (
+      <JWPlayerProvider>
+        <RegistryProbe result={registry} />
+        <JWPlayer id={first} playlist={playlist} />
+        {showSecond && <JWPlayer id={second} playlist={playlist} />}
+      </JWPlayerProvider>
+    );
+    const { rerender } = render(<Players showSecond />);
+
+    await waitFor(() => expect(registry.current.players).toHaveLength(2));
+    expect(registry.current.players).toEqual([
+      { id: first, player: players[first] },
+      { id: second, player: players[second] },
+    ]);
+    expect(registry.current.get(second)).toBe(players[second]);
+    expect(registry.current.get('missing')).toBeNull();
+
+    registry.current.forEach((player) => player.pause());
+    expect(players[first].pause).toHaveBeenCalledTimes(1);
+    expect(players[second].pause).toHaveBeenCalledTimes(1);
+
+    rerender(<Players showSecond={false} />);
+    expect(registry.current.players).toEqual([
+      { id: first, player: players[first] },
+    ]);
+  });
+
+  it('forwards players in nested providers to the outer registry', async () => {
+    const [outerId, innerId] = [nextId(), nextId()];
+    const outer = {};
+    const inner = {};
+    render(
+      <JWPlayerProvider>
+        <RegistryProbe result={outer} />
+        <JWPlayer id={outerId} playlist={playlist} />
+        <JWPlayerProvider>
+          <RegistryProbe result={inner} />
+          <JWPlayer id={innerId} playlist={playlist} />
+        </JWPlayerProvider>
+      </JWPlayerProvider>,
+    );
+
+    await waitFor(() => expect(outer.current.players).toHaveLength(2));
+    expect(outer.current.get(innerId)).toBe(players[innerId]);
+    expect(inner.current.players.map(({ id }) => id)).toEqual([innerId]);
+  });
+
+  it('throws outside a provider', () => {
+    expect(() => renderHook(() => usePlayerRegistry())).toThrow(
+      'jwplayer-react: usePlayerRegistry must be used within a JWPlayerProvider',
+    );
+  });
+});
@@ -0,0 +1,144 @@
+import { cleanup, renderHook } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { useQoEMetrics } from '../src/qoe';
+import { mockLibrary, mountPlayer } from './util';
+
+const levels = [
+  { label: 'Auto' },
+  { label: '1080p', bitrate: 4000000 },
+  { label: '720p', bitrate: 2000000 },
+];
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+  vi.useFakeTimers({ toFake: ['Date'] });
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  vi.useRealTimers();
+  cleanup();
+});
+
+const advance = (ms) => vi.setSystemTime(Date.now() + ms);
+
+describe('onMetrics', () => {
+  it('reports startup, rebuffering and bitrate when an item completes', async () => {
+    const onMetrics = vi.fn();
+    const { emit } = await mountPlayer({ onMetrics });
+
+    emit('playlistItem', { index: 0, item: { mediaid: 'a' } });
+    emit('levels', { levels, currentQuality: 2 });
+    emit('beforePlay');
+    advance(300);
+    emit('firstFrame');
+    advance(6000);
+    emit('buffer');
+    advance(1000);
+    emit('play');
+    emit('visualQuality', { level: levels[1] });
+    advance(3000);
+    emit('complete');
+
+    expect(onMetrics).toHaveBeenCalledTimes(1);
+    const { reason, item, session } = onMetrics.mock.calls[0][0];
+    expect(reason).toBe('complete');
+    expect(item).toMatchObject({
+      index: 0,
+      mediaid: 'a',
+      timeToFirstFrame: 300,
+      playAttempts: 1,
+      rebufferCount: 1,
+      rebufferDuration: 1000,
+      playDuration: 9000,
+      rebufferRatio: 0.1,
+      averageBitrate: (2000000 * 6000 + 4000000 * 3000) / 9000,
+      peakBitrate: 4000000,
+      bitrateSwitches: 1,
+      errors: 0,
+    });
+    expect(session).toMatchObject({ items: 1, rebufferCount: 1 });
+  });
+
+  it('does not count buffering while seeking as rebuffering', async () => {
+    const onMetrics = vi.fn();
+    const { emit } = await mountPlayer({ onMetrics });
+
+    emit('playlistItem', { index: 0 });
+    emit('beforePlay');
+    emit('firstFrame', { loadTime: 120 });
+    emit('seek', { offset: 30 });
+    emit('buffer');
+    emit('seeked');
+    emit('play');
+    emit('complete');
+
+    expect(onMetrics.mock.calls[0][0].item).toMatchObject({
+      timeToFirstFrame: 120,
+      rebufferCount: 0,
+    });
+  });
+
+  it('reports join failures, dropped attempts and errors', async () => {
+    const onMetrics = vi.fn();
+    const { emit, unmount } = await mountPlayer({ onMetrics });
+
+    emit('playlistItem', { index: 0 });
+    emit('beforePlay');
+    emit('pause');
+    emit('beforePlay');
+    emit('error', { code: 232011 });
+    emit('playlistItem', { index: 1 });
+
+    const first = onMetrics.mock.calls[0][0];
+    expect(first.reason).toBe('playlistItem');
+    expect(first.item).toMatchObject({
+      timeToFirstFrame: null,
+      playAttempts: 2,
+      droppedAttempts: 1,
+      joinFailures: 1,
+      errors: 1,
+    });
+
+    emit('beforePlay');
+    unmount();
+
+    const last = onMetrics.mock.calls[1][0];
+    expect(last.reason).toBe('unmount');
+    expect(last.item).toMatchObject({ index: 1, droppedAttempts: 1 });
+    expect(last.session).toMatchObject({
+      items: 2,
+      playAttempts: 3,
+      droppedAttempts: 2,
+      joinFailures: 1,
+      errors: 1,
+    });
+  });
+
+  it('is not called for a metrics player event', async () => {
+    const onMetrics = vi.fn();
+    const { emit } = await mountPlayer({ onMetrics });
+    emit('metrics', {});
+    expect(onMetrics).not.toHaveBeenCalled();
+  });
+});
+
+describe('useQoEMetrics', () => {
+  it('returns the latest report of the target player', async () => {
+    const { id, emit, unmount } = await mountPlayer();
+    const { result } = renderHook(() => useQoEMetrics(id));
+    expect(result.current).toBeNull();
+
+    emit('playlistItem', { index: 0 });
+    emit('complete');
+    expect(result.current.reason).toBe('complete');
+
+    emit('playlistItem', { index: 1 });
+    unmount();
+    expect(result.current).toMatchObject({
+      reason: 'unmount',
+      item: { index: 1 },
+      session: { items: 2 },
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { cleanup } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  forwardFunctions,
+  getChangedKeys,
+  getConfigUpdates,
+  isEqual,
+} from '../src/reconcile';
+import { mockLibrary, mountPlayer } from './util';
+
+const base = {
+  playlist: 'https://cdn.jwplayer.com/v2/media/1g8jjku3',
+  isReactComponent: true,
+};
+
+const apply = (prevConfig, nextConfig) => {
+  const player = mockLibrary(`reconcile-${Math.random()}`);
+  const result = getConfigUpdates(prevConfig, nextConfig);
+  result.updates.forEach((update) => update(player, nextConfig));
+  return { player, ...result };
+};
+
+describe('isEqual', () => {
+  it('compares nested objects and arrays by value', () => {
+    expect(isEqual([{ file: 'a.mp4' }], [{ file: 'a.mp4' }])).toBe(true);
+    expect(isEqual({ a: { b: 1 } }, { a: { b: 2 } })).toBe(false);
+    expect(isEqual([1], { 0: 1 })).toBe(false);
+    expect(isEqual(null, {})).toBe(false);
+  });
+
+  it('treats any two functions as equal', () => {
+    expect(isEqual({ ready() {} }, { ready() {} })).toBe(true);
+    expect(isEqual({ ready() {} }, { ready: 1 })).toBe(false);
+  });
+});
+
+describe('getChangedKeys', () => {
+  it('returns added, removed and changed keys', () => {
+    expect(
+      getChangedKeys({ a: 1, b: 2, c: [1] }, { b: 3, c: [1], d: 4 }).sort(),
+    ).toEqual(['a', 'b', 'd']);
+  });
+});
+
+describe('getConfigUpdates', () => {
+  it('does nothing when configs are equal', () => {
+    const { setup, updates } = apply(base, { ...base });
+    expect(setup).toBe(false);
+    expect(updates).toHaveLength(0);
+  });
+
+  it('loads a changed playlist', () => {
+    const playlist = [{ file: 'a.mp4' }];
+    const { player } = apply(base, { ...base, playlist });
+    expect(player.load).toHaveBeenCalledWith(playlist);
+  });
+
+  it('loads a changed file as a single item with its metadata', () => {
+    const { player } = apply(
+      { file: 'a.mp4', title: 'A' },
+      { file: 'b.mp4', title: 'B', image: 'b.jpg' },
+    );
+    expect(player.load).toHaveBeenCalledTimes(1);
+    expect(player.load).toHaveBeenCalledWith([
+      { file: 'b.mp4', title: 'B', image: 'b.jpg' },
+    ]);
+  });
+
+  it('applies mute, volume, controls and playbackRate', () => {
+    const { player } = apply(base, {
+      ...base,
+      mute: true,
+      volume: 40,
+      controls: false,
+      playbackRate: 1.5,
+    });
+    expect(player.setMute).toHaveBeenCalledWith(true);
+    expect(player.setVolume).toHaveBeenCalledWith(40);
+    expect(player.setControls).toHaveBeenCalledWith(false);
+    expect(player.setPlaybackRate).toHaveBeenCalledWith(1.5);
+  });
+
+  it('resizes once when width and height change together', () => {
+    const { player } = apply(
+      { ...base, width: 320, height: 180 },
+      { ...base, width: 640, height: 360 },
+    );
+    expect(player.resize).toHaveBeenCalledTimes(1);
+    expect(player.resize).toHaveBeenCalledWith(640, 360);
+  });
+
+  it('falls back to the current size when only one dimension is set', () => {
+    const { player } = apply(base, { ...base, width: '100%' });
+    expect(player.resize).toHaveBeenCalledWith('100%', 360);
+  });
+
+  it('selects a new playlist index', () => {
+    const { player } = apply(base, { ...base, playlistIndex: '2' });
+    expect(player.playlistItem).toHaveBeenCalledWith(2);
+  });
+
+  it('requires setup for keys that can not be applied live', () => {
+    const { setup, updates } = apply(base, {
+      ...base,
+      mute: true,
+      skin: { name: 'seven' },
+    });
+    expect(setup).toBe(true);
+    expect(updates).toHaveLength(0);
+  });
+});
+
+describe('forwardFunctions', () => {
+  it('calls the function at the same place in the latest config', () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    let latest = { events: { ready: first } };
+    const config = forwardFunctions(latest, () => latest);
+
+    config.events.ready(1);
+    latest = { events: { ready: second } };
+    config.events.ready(2);
+    latest = { events: {} };
+    config.events.ready(3);
+
+    expect(first.mock.calls).toEqual([[1], [3]]);
+    expect(second.mock.calls).toEqual([[2]]);
+  });
+});
+
+describe('config updates on a mounted player', () => {
+  beforeEach(() => {
+    window.jwplayer = mockLibrary;
+  });
+
+  afterEach(() => {
+    window.jwplayer = null;
+    cleanup();
+  });
+
+  it('keeps the player when only an inline callback changes', async () => {
+    const didMountCallback = vi.fn();
+    const latest = vi.fn();
+    const { player, rerender } = await mountPlayer({
+      config: { events: { ready() {} } },
+      didMountCallback,
+    });
+
+    rerender({ config: { events: { ready() {} } }, didMountCallback });
+    rerender({ config: { events: { ready: latest } }, didMountCallback });
+    expect(didMountCallback).toHaveBeenCalledTimes(1);
+    expect(player.setup).toHaveBeenCalledTimes(1);
+
+    player.setup.mock.calls[0][0].events.ready({ setupTime: 1 });
+    expect(latest).toHaveBeenCalledWith({ setupTime: 1 });
+  });
+
+  it('leaves a metadata-only change for the next load', async () => {
+    const item = { playlist: undefined, file: 'first.mp4' };
+    const { player, rerender } = await mountPlayer({ ...item, title: 'First' });
+
+    rerender({ ...item, title: 'Second', image: 'second.jpg' });
+    expect(player.load).not.toHaveBeenCalled();
+    expect(player.setup).toHaveBeenCalledTimes(1);
+
+    rerender({ ...item, title: 'Second', image: 'second.jpg', file: 'b.mp4' });
+    expect(player.load).toHaveBeenCalledWith([
+      { file: 'b.mp4', image: 'second.jpg', title: 'Second' },
+    ]);
+  });
+
+  it('keeps the item, position and play state when the player is set up again', async () => {
+    const { player, rerender, emit } = await mountPlayer({});
+    player.getPlaylistIndex.mockReturnValue(1);
+    player.getPosition.mockReturnValue(42);
+    player.getState.mockReturnValue('playing');
+
+    rerender({ playbackRates: [1, 2] });
+    expect(player.setup).toHaveBeenCalledTimes(2);
+    expect(player.play).not.toHaveBeenCalled();
+
+    emit('ready');
+    expect(player.playlistItem).toHaveBeenCalledWith(1);
+    expect(player.seek).toHaveBeenCalledWith(42);
+    expect(player.play).toHaveBeenCalled();
+  });
+});
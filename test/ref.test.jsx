@@ -0,0 +1,125 @@
+import { act, cleanup, waitFor } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getInternals } from '../src/testing';
+import { mockLibrary, players, renderPlayer } from './util';
+
+beforeEach(() => {
+  window.jwplayer = mockLibrary;
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  delete window.IntersectionObserver;
+  cleanup();
+});
+
+describe('ref', () => {
+  it('only exposes the public API', () => {
+    const { ref, id } = renderPlayer();
+    expect(Object.keys(ref.current).sort()).toEqual([
+      'closeFloat',
+      'expandFloat',
+      'float',
+      'getContainer',
+      'getPlayer',
+      'id',
+      'load',
+      'pause',
+      'play',
+      'seek',
+      'whenReady',
+    ]);
+    expect(ref.current.id).toBe(id);
+  });
+
+  it('queues calls made before the player is ready', async () => {
+    const { ref, id, emit } = renderPlayer();
+    ref.current.play();
+    ref.current.seek(30);
+    ref.current.load([{ file: 'a.mp4' }]);
+    ref.current.pause();
+
+    await waitFor(() => expect(ref.current.getPlayer()).toBe(players[id]));
+    const player = players[id];
+    expect(player.play).not.toHaveBeenCalled();
+    expect(player.seek).not.toHaveBeenCalled();
+
+    emit('ready');
+    expect(player.play).toHaveBeenCalledTimes(1);
+    expect(player.seek).toHaveBeenCalledWith(30);
+    expect(player.load).toHaveBeenCalledWith([{ file: 'a.mp4' }]);
+    expect(player.pause).toHaveBeenCalledTimes(1);
+    expect(player.play.mock.invocationCallOrder[0]).toBeLessThan(
+      player.pause.mock.invocationCallOrder[0],
+    );
+
+    // Once ready, calls go straight to the player
+    ref.current.seek(10);
+    expect(player.seek).toHaveBeenLastCalledWith(10);
+  });
+
+  it('resolves whenReady with the player once it is ready', async () => {
+    const { ref, id, emit } = renderPlayer();
+    const onReady = vi.fn();
+    ref.current.whenReady().then(onReady);
+
+    await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+    await act(async () => {});
+    expect(onReady).not.toHaveBeenCalled();
+
+    emit('ready');
+    await act(async () => {});
+    expect(onReady).toHaveBeenCalledWith(players[id]);
+    await expect(ref.current.whenReady()).resolves.toBe(players[id]);
+  });
+
+  it('waits for the next ready after the player is set up again', async () => {
+    const { ref, id, emit, rerender } = renderPlayer();
+    await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+    emit('ready');
+
+    rerender({ repeat: true });
+    const player = players[id];
+    player.play.mockClear();
+    ref.current.play();
+    expect(player.play).not.toHaveBeenCalled();
+
+    emit('ready');
+    expect(player.play).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns the container and player', async () => {
+    const { ref, id, unmount } = renderPlayer();
+    expect(ref.current.getContainer()).toBe(document.getElementById(id));
+
+    await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+    expect(ref.current.getContainer()).toBe(document.getElementById(id));
+    expect(players[id].getContainer).toHaveBeenCalled();
+
+    const handle = ref.current;
+    unmount();
+    expect(handle.getPlayer()).toBeNull();
+  });
+
+  it('sets up a lazy player when play is called', async () => {
+    window.IntersectionObserver = class {
+      observe() {}
+      disconnect() {}
+    };
+    const { ref, id, emit } = renderPlayer({ lazy: true });
+    expect(ref.current.getPlayer()).toBeNull();
+
+    act(() => ref.current.play());
+    await waitFor(() => expect(ref.current.getPlayer()).toBe(players[id]));
+    emit('ready');
+    expect(players[id].play).toHaveBeenCalled();
+  });
+});
+
+describe('getInternals', () => {
+  it('throws for objects that are not a JWPlayer ref', () => {
+    expect(() => getInternals({})).toThrow(
+      'jwplayer-react: getInternals expects a JWPlayer ref',
+    );
+  });
+});
@@ -0,0 +1,70 @@
+// @vitest-environment node
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { describe, expect, it } from 'vitest';
+import JWPlayer, { useJWPlayer } from '../src';
+import { getAspectRatioPadding, getPosterImage } from '../src/placeholder';
+import { loadLibrary, loadPlayer } from '../src/util';
+
+const playlist = [{ file: 'a.mp4', image: 'https://test.com/poster.jpg' }];
+
+describe('server rendering', () => {
+  it('renders without window or document', () => {
+    expect(typeof window).toBe('undefined');
+    const html = renderToString(<JWPlayer playlist={playlist} />);
+    expect(html).toMatch(/^<div id="jwplayer-[\w-]+"><\/div>$/);
+  });
+
+  it('keeps a provided id', () => {
+    expect(renderToString(<JWPlayer id="hero" playlist={playlist} />)).toBe(
+      '<div id="hero"></div>',
+    );
+  });
+
+  it('renders the placeholder with the poster and aspect ratio', () => {
+    const html = renderToString(
+      <JWPlayer playlist={playlist} aspectratio="4:3" placeholder />,
+    );
+    expect(html).toContain('class="jwplayer-react-placeholder"');
+    expect(html).toContain('padding-top:75%');
+    expect(html).toContain('https://test.com/poster.jpg');
+  });
+
+  it('renders a custom placeholder', () => {
+    const html = renderToString(
+      <JWPlayer playlist={playlist} placeholder={<p>Loading video</p>} />,
+    );
+    expect(html).toContain('<p>Loading video</p>');
+  });
+
+  it('renders hooks with their server snapshot', () => {
+    const Probe = () => String(useJWPlayer('hero'));
+    expect(renderToString(<Probe />)).toBe('null');
+  });
+
+  it('refuses to load a library', async () => {
+    await expect(loadLibrary('https://test.com/lib.js')).rejects.toThrow(
+      'jwplayer-react can only load a library in the browser',
+    );
+    await expect(loadPlayer('https://test.com/lib.js')).rejects.toThrow(
+      'jwplayer-react can only load a library in the browser',
+    );
+  });
+});
+
+describe('placeholder helpers', () => {
+  it('getPosterImage prefers image over the playlist', () => {
+    expect(getPosterImage({ image: 'a.jpg', playlist })).toBe('a.jpg');
+    expect(getPosterImage({ playlist })).toBe('https://test.com/poster.jpg');
+    expect(getPosterImage({ playlist: 'https://test.com/feed' })).toBe(
+      undefined,
+    );
+  });
+
+  it('getAspectRatioPadding converts ratios', () => {
+    expect(getAspectRatioPadding('16:9')).toBe('56.25%');
+    expect(getAspectRatioPadding('2.39:1')).toBe(`${(1 / 2.39) * 100}%`);
+    expect(getAspectRatioPadding('wide')).toBe(undefined);
+    expect(getAspectRatioPadding('0:1')).toBe(undefined);
+  });
+});
@@ -0,0 +1,214 @@
+import { act, cleanup, render, screen, waitFor } from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { usePlayerPosition, usePlayerState } from '../src/hooks';
+import JWPlayer from '../src/jwplayer';
+import {
+  createMockPlayer,
+  installMockLibrary,
+  uninstallMockLibrary,
+} from '../src/testing';
+
+const playlist = [
+  { file: 'https://path-to-my-1.mp4', mediaid: 'one', duration: 4 },
+  { file: 'https://path-to-my-2.mp4', mediaid: 'two', duration: 2 },
+];
+let playerCount = 0;
+let library;
+
+beforeEach(() => {
+  library = installMockLibrary();
+});
+
+afterEach(() => {
+  uninstallMockLibrary();
+  cleanup();
+});
+
+const setUpPlayer = (config = { playlist }) => {
+  const player = createMockPlayer('mock-player');
+  const events = [];
+  player.on('all', (name) => events.push(name));
+  player.setup(config);
+  player.simulateReady();
+  return { player, events };
+};
+
+describe('createMockPlayer', () => {
+  it('loads the playlist once ready', () => {
+    const { player, events } = setUpPlayer();
+
+    expect(events).toEqual(['ready', 'playlist', 'playlistItem']);
+    expect(player.getState()).toBe('idle');
+    expect(player.getPlaylist()).toBe(playlist);
+    expect(player.getPlaylistItem()).toBe(playlist[0]);
+  });
+
+  it('follows the playback state machine', () => {
+    const { player, events } = setUpPlayer();
+    events.length = 0;
+
+    player.play();
+    expect(player.getState()).toBe('playing');
+    player.pause();
+    expect(player.getState()).toBe('paused');
+    player.seek(3);
+    expect(player.getPosition()).toBe(3);
+    expect(player.getState()).toBe('paused');
+    player.stop();
+
+    expect(events).toEqual([
+      'beforePlay',
+      'play',
+      'firstFrame',
+      'pause',
+      'seek',
+      'seeked',
+      'idle',
+    ]);
+    expect(player.getState()).toBe('idle');
+    expect(player.getPosition()).toBe(0);
+  });
+
+  it('starts playback when an idle player seeks', () => {
+    const { player } = setUpPlayer();
+    player.seek(2);
+    expect(player.getState()).toBe('playing');
+    expect(player.getPosition()).toBe(2);
+  });
+
+  it('plays through the playlist', () => {
+    const { player, events } = setUpPlayer();
+    const onTime = vi.fn();
+    player.on('time', onTime);
+
+    player.simulatePlayback();
+    expect(onTime).toHaveBeenCalledTimes(4);
+    expect(onTime).toHaveBeenLastCalledWith(
+      expect.objectContaining({ position: 4, duration: 4 }),
+    );
+    expect(player.getPlaylistIndex()).toBe(1);
+    expect(player.getState()).toBe('playing');
+
+    player.simulatePlayback();
+    expect(player.getState()).toBe('complete');
+    expect(events.slice(-3)).toEqual([
+      'beforeComplete',
+      'complete',
+      'playlistComplete',
+    ]);
+  });
+
+  it('stops part way through an item', () => {
+    const { player } = setUpPlayer();
+    player.simulatePlayback({ duration: 60, to: 30, interval: 10 });
+    expect(player.getPosition()).toBe(30);
+    expect(player.getDuration()).toBe(60);
+    expect(player.getState()).toBe('playing');
+  });
+
+  it('moves between playlist items', () => {
+    const { player } = setUpPlayer();
+    const onPlaylistItem = vi.fn();
+    player.on('playlistItem', onPlaylistItem);
+
+    player.playlistNext();
+    expect(player.getPlaylistIndex()).toBe(1);
+    expect(player.getState()).toBe('playing');
+    player.playlistPrev();
+    expect(onPlaylistItem).toHaveBeenLastCalledWith(
+      expect.objectContaining({ index: 0, item: playlist[0] }),
+    );
+
+    player.load([{ file: 'https://path-to-another.mp4' }]);
+    expect(player.getPlaylist()).toHaveLength(1);
+    expect(player.getState()).toBe('idle');
+  });
+
+  it('simulates ads and errors', () => {
+    const { player, events } = setUpPlayer();
+    events.length = 0;
+
+    player.simulateAd({ duration: 2, skip: true });
+    expect(events).toEqual([
+      'adBreakStart',
+      'adImpression',
+      'adPlay',
+      'adTime',
+      'adTime',
+      'adSkipped',
+      'adBreakEnd',
+    ]);
+
+    const onSetupError = vi.fn();
+    player.on('setupError', onSetupError);
+    player.simulateSetupError({ message: 'No license' });
+    expect(onSetupError).toHaveBeenCalledWith(
+      expect.objectContaining({ code: 100000, message: 'No license' }),
+    );
+  });
+
+  it('keeps settings and reports changes', () => {
+    const { player } = setUpPlayer({ playlist, mute: true, volume: 30 });
+    const onLevelsChanged = vi.fn();
+    player.on('levelsChanged', onLevelsChanged);
+
+    expect(player.getMute()).toBe(true);
+    expect(player.getVolume()).toBe(30);
+    player.setPlaybackRate(2);
+    expect(player.getPlaybackRate()).toBe(2);
+
+    player.simulateLevels([{ label: 'Auto' }, { label: '720p' }]);
+    player.setCurrentQuality(1);
+    expect(player.getCurrentQuality()).toBe(1);
+    expect(onLevelsChanged).toHaveBeenCalledWith(
+      expect.objectContaining({ currentQuality: 1 }),
+    );
+  });
+
+  it('stops firing events once removed', () => {
+    const { player, events } = setUpPlayer();
+    player.remove();
+    events.length = 0;
+
+    player.play();
+    expect(events).toEqual([]);
+    expect(player.removed).toBe(true);
+  });
+});
+
+describe('installMockLibrary', () => {
+  it('drives a JWPlayer component and the hooks', async () => {
+    const id = `testing-player-${playerCount++}`;
+    const onReady = vi.fn();
+    const Status = () => {
+      const state = usePlayerState(id);
+      const position = usePlayerPosition(id);
+      return <p>{`${state} ${position}`}</p>;
+    };
+
+    render(
+      <>
+        <JWPlayer id={id} playlist={playlist} onReady={onReady} />
+        <Status />
+      </>,
+    );
+    await waitFor(() => expect(onReady).toHaveBeenCalled());
+
+    const player = library.getPlayer(id);
+    act(() => player.simulatePlayback({ to: 2 }));
+    expect(screen.getByText('playing 2')).toBeTruthy();
+  });
+
+  it('puts back the library it replaced', () => {
+    uninstallMockLibrary();
+    const original = () => {};
+    window.jwplayer = original;
+
+    installMockLibrary();
+    expect(window.jwplayer).not.toBe(original);
+    uninstallMockLibrary();
+    expect(window.jwplayer).toBe(original);
+    window.jwplayer = undefined;
+  });
+});
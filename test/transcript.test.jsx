@@ -0,0 +1,217 @@
+import {
+  act,
+  cleanup,
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+} from '@testing-library/react';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import React, { useLayoutEffect } from 'react';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { useJWPlayer } from '../src/hooks';
+import JWPlayer from '../src/jwplayer';
+import { installMockLibrary, uninstallMockLibrary } from '../src/testing';
+import {
+  getActiveCueIndex,
+  Transcript,
+  useTranscript,
+} from '../src/transcript';
+import { parseVTT } from '../src/vtt';
+
+const readFixture = (name) =>
+  readFileSync(join(__dirname, 'fixtures', name), 'utf8');
+
+const english = 'https://example.com/captions-en.vtt';
+const french = 'https://example.com/captions-fr.vtt';
+const fixtures = {
+  [english]: 'captions-en.vtt',
+  [french]: 'captions-fr.vtt',
+};
+// Serves the captions files from the local fixtures
+const loadTrack = async (url) => readFixture(fixtures[url]);
+
+const playlist = [
+  {
+    file: 'https://path-to-my.mp4',
+    tracks: [
+      { file: 'https://example.com/chapters.vtt', kind: 'chapters' },
+      { file: english, label: 'English', kind: 'captions' },
+      { file: french, label: 'Français' },
+    ],
+  },
+];
+let playerCount = 0;
+let library;
+
+beforeEach(() => {
+  library = installMockLibrary({ autoReady: false });
+});
+
+afterEach(() => {
+  uninstallMockLibrary();
+  cleanup();
+});
+
+describe('parseVTT', () => {
+  it('parses cues and skips header, NOTE and STYLE blocks', () => {
+    expect(parseVTT(readFixture('captions-en.vtt'))).toEqual([
+      {
+        id: 'intro',
+        start: 0,
+        end: 2.5,
+        text: 'Welcome to the show.',
+        voice: 'Ada Lovelace',
+      },
+      {
+        id: '2',
+        start: 2.5,
+        end: 5,
+        text: 'Today we talk about\nengines & looms.',
+      },
+      { id: '3', start: 65, end: 67.25, text: 'Thanks for watching !' },
+    ]);
+  });
+
+  it('handles CRLF line endings and UTF-8 text', () => {
+    expect(parseVTT(readFixture('captions-fr.vtt'))).toEqual([
+      { id: '1', start: 0, end: 2.5, text: 'Bienvenue dans l’émission.' },
+      { id: '2', start: 2.5, end: 5, text: 'Aujourd’hui, les machines.' },
+    ]);
+  });
+
+  it('rejects files that are not WebVTT', () => {
+    expect(() => parseVTT('1\n00:00:00,000 --> 00:00:01,000\nSRT')).toThrow(
+      'not WebVTT',
+    );
+  });
+});
+
+describe('getActiveCueIndex', () => {
+  it('finds the cue containing the position', () => {
+    const cues = parseVTT(readFixture('captions-en.vtt'));
+    expect(getActiveCueIndex(cues, 0)).toBe(0);
+    expect(getActiveCueIndex(cues, 2.5)).toBe(1);
+    expect(getActiveCueIndex(cues, 30)).toBe(-1);
+  });
+});
+
+describe('Transcript', () => {
+  const renderTranscript = async (props = {}) => {
+    const id = `transcript-player-${playerCount++}`;
+    render(
+      <>
+        <JWPlayer id={id} playlist={playlist} />
+        <Transcript target={id} loadTrack={loadTrack} {...props} />
+      </>,
+    );
+    await waitFor(() => expect(library.getPlayer(id)).toBeTruthy());
+    const player = library.getPlayer(id);
+    act(() => player.simulateReady());
+    await screen.findByText('Welcome to the show.');
+
+    return player;
+  };
+
+  const getCue = (text) => screen.getByText(text).closest('li');
+
+  it('shows the default captions track and highlights the active cue', async () => {
+    const player = await renderTranscript();
+
+    expect(screen.getAllByRole('listitem')).toHaveLength(3);
+    expect(screen.getByText('Ada Lovelace:')).toBeTruthy();
+    expect(screen.getByText('1:05')).toBeTruthy();
+
+    act(() => player.emit('time', { position: 3, duration: 70 }));
+    expect(getCue(/engines/).getAttribute('aria-current')).toBe('true');
+    expect(getCue('Welcome to the show.').getAttribute('aria-current')).toBe(
+      null,
+    );
+  });
+
+  it('matches time events fired before the effects that follow the cues', async () => {
+    const id = `transcript-player-${playerCount++}`;
+    // Plays to 3s as soon as the cues render, before the hook's effects for them have run
+    const PlayOnCues = () => {
+      const { cues, activeIndex } = useTranscript(id, { loadTrack });
+      const player = useJWPlayer(id);
+      useLayoutEffect(() => {
+        if (cues.length) player.simulatePlayback({ to: 3 });
+      }, [cues]);
+      return <output>{activeIndex}</output>;
+    };
+    render(
+      <>
+        <JWPlayer id={id} playlist={playlist} />
+        <PlayOnCues />
+      </>,
+    );
+    await waitFor(() => expect(library.getPlayer(id)).toBeTruthy());
+    act(() => library.getPlayer(id).simulateReady());
+
+    await waitFor(() => expect(library.getPlayer(id).getPosition()).toBe(3));
+    expect(screen.getByRole('status').textContent).toBe('1');
+  });
+
+  it('seeks to a cue when it is clicked', async () => {
+    const player = await renderTranscript();
+
+    fireEvent.click(screen.getByText(/watching/));
+    expect(player.getPosition()).toBe(65);
+    expect(getCue(/watching/).getAttribute('aria-current')).toBe('true');
+  });
+
+  it('follows caption language switches', async () => {
+    const player = await renderTranscript();
+    act(() =>
+      player.simulateCaptions(
+        [
+          { id: 'off', label: 'Off' },
+          { id: english, label: 'English' },
+          { id: french, label: 'Français' },
+        ],
+        1,
+      ),
+    );
+
+    act(() => player.setCurrentCaptions(2));
+    expect(await screen.findByText('Bienvenue dans l’émission.')).toBeTruthy();
+
+    // Turning captions off keeps the last language
+    act(() => player.setCurrentCaptions(0));
+    expect(screen.getByText('Bienvenue dans l’émission.')).toBeTruthy();
+  });
+
+  it('narrows the cues to a search and marks the matches', async () => {
+    await renderTranscript();
+
+    fireEvent.change(screen.getByRole('searchbox'), {
+      target: { value: 'LOOMS' },
+    });
+    expect(screen.getAllByRole('listitem')).toHaveLength(1);
+    expect(screen.getByText('looms').tagName).toBe('MARK');
+
+    fireEvent.change(screen.getByRole('searchbox'), {
+      target: { value: 'typewriters' },
+    });
+    expect(screen.getByText('No matches')).toBeTruthy();
+  });
+
+  it('reports captions that fail to load', async () => {
+    const id = `transcript-player-${playerCount++}`;
+    render(
+      <>
+        <JWPlayer id={id} playlist={playlist} />
+        <Transcript
+          target={id}
+          loadTrack={() => Promise.reject(new Error('Offline'))}
+        />
+      </>,
+    );
+    await waitFor(() => expect(library.getPlayer(id)).toBeTruthy());
+    act(() => library.getPlayer(id).simulateReady());
+
+    expect((await screen.findByRole('alert')).textContent).toBe('Offline');
+  });
+});
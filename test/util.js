@@ -1,4 +1,8 @@
-import { vi } from 'vitest';
+import { act, render, waitFor } from '@testing-library/react';
+import React from 'react';
+import { expect, vi } from 'vitest';
+import JWPlayer from '../src/default-player';
+import { getInternals } from '../src/testing';
 
 export const players = {}
 
@@ -9,8 +13,76 @@ const createMockAPI = (id) => {
     const off = vi.fn(() => api);
     const remove = vi.fn(() => api);
     const setup = vi.fn(() => api);
+    const load = vi.fn();
+    const playlistItem = vi.fn();
+    const setMute = vi.fn();
+    const setVolume = vi.fn();
+    const setControls = vi.fn();
+    const setCaptions = vi.fn();
+    const setPlaybackRate = vi.fn();
+    const setCurrentCaptions = vi.fn();
+    const setCurrentQuality = vi.fn();
+    const resize = vi.fn();
+    const getWidth = vi.fn(() => 640);
+    const getHeight = vi.fn(() => 360);
+    const play = vi.fn();
+    const pause = vi.fn();
+    const seek = vi.fn();
+    const setFullscreen = vi.fn();
+    const getState = vi.fn(() => 'idle');
+    const getMute = vi.fn(() => false);
+    const getVolume = vi.fn(() => 100);
+    const getPosition = vi.fn(() => 0);
+    const getFullscreen = vi.fn(() => false);
+    const getContainer = vi.fn(() => document.getElementById(id));
+    const getConfig = vi.fn(() => ({}));
+    const getDuration = vi.fn(() => 0);
+    const getPlaylistIndex = vi.fn(() => 0);
+    const addButton = vi.fn((icon, label, handler, buttonId) => {
+        const button = document.createElement('div');
+        button.setAttribute('button', buttonId);
+        button.setAttribute('aria-label', label);
+        button.onclick = handler;
+        getContainer().append(button);
+    });
+    const removeButton = vi.fn((buttonId) => {
+        getContainer().querySelector(`[button="${buttonId}"]`)?.remove();
+    });
 
-    Object.assign(api, { on, once, off, remove, setup });
+    Object.assign(api, {
+        on,
+        once,
+        off,
+        remove,
+        setup,
+        load,
+        playlistItem,
+        setMute,
+        setVolume,
+        setControls,
+        setCaptions,
+        setPlaybackRate,
+        setCurrentCaptions,
+        setCurrentQuality,
+        resize,
+        getWidth,
+        getHeight,
+        play,
+        pause,
+        seek,
+        setFullscreen,
+        getState,
+        getMute,
+        getVolume,
+        getPosition,
+        getFullscreen,
+        getContainer,
+        getConfig,
+        getDuration,
+        getPlaylistIndex,
+        addButton,
+        removeButton,
+    });
     players[id] = api;
 
     return api;
@@ -19,3 +91,98 @@ const createMockAPI = (id) => {
 export const mockLibrary = (id) => {
     return players[id] || createMockAPI(id);
 }
+
+// Completes a library load started by a component, as if a slow script had just arrived
+export const finishLibraryLoad = (url) => {
+    window.jwplayer = mockLibrary;
+    Array.from(document.getElementsByTagName('script'))
+        .filter((script) => script.src === url)
+        .forEach((script) => script.onload());
+}
+
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+let playerCount = 0;
+
+// Renders a JWPlayer with a ref. `emit` sends an event to the component as the player would:
+// through the testing kit's mock player when there is one, and straight to the component's
+// on('all') handler for the vi.fn() players above
+export const renderPlayer = (props = {}) => {
+    const id = props.id || `test-player-${playerCount++}`;
+    const ref = React.createRef();
+    const element = (nextProps) =>
+        React.createElement(JWPlayer, { id, playlist, ...nextProps, ref });
+    const result = render(element(props));
+
+    return {
+        ...result,
+        id,
+        ref,
+        rerender: (nextProps = {}) => result.rerender(element(nextProps)),
+        emit: (name, data = {}) =>
+            act(() => {
+                const player = ref.current.getPlayer();
+                if (player && typeof player.emit === 'function') {
+                    player.emit(name, data);
+                } else {
+                    getInternals(ref.current).onHandler(name, data);
+                }
+            }),
+    };
+}
+
+// Renders a JWPlayer and resolves once its player is set up and the effects that follow have run
+export const mountPlayer = async (props = {}) => {
+    const rendered = renderPlayer(props);
+    await waitFor(() => expect(rendered.ref.current.getPlayer()).toBeTruthy());
+    await act(async () => {});
+
+    return { ...rendered, player: rendered.ref.current.getPlayer() };
+}
+
+// Every IntersectionObserver created since the test emptied the list
+export const observers = [];
+
+// A stand-in for IntersectionObserver that the test scrolls by hand
+export class MockIntersectionObserver {
+    constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.elements = [];
+        this.disconnect = vi.fn();
+        observers.push(this);
+    }
+
+    observe(element) {
+        this.elements.push(element);
+    }
+
+    unobserve(element) {
+        this.elements = this.elements.filter((target) => target !== element);
+    }
+
+    // Reports the fraction of each observed element that is in view
+    scroll(ratio) {
+        act(() => {
+            this.callback(
+                this.elements.map((target) => ({
+                    target,
+                    isIntersecting: ratio > 0,
+                    intersectionRatio: ratio,
+                })),
+            );
+        });
+    }
+
+    // Reports the fraction of each element in view, by element id
+    setRatios(ratios) {
+        act(() => {
+            this.callback(
+                Object.entries(ratios).map(([id, intersectionRatio]) => ({
+                    target: document.getElementById(id),
+                    isIntersecting: intersectionRatio > 0,
+                    intersectionRatio,
+                })),
+            );
+        });
+    }
+}
@@ -0,0 +1,154 @@
+import { cleanup, render, waitFor } from '@testing-library/react';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import JWPlayer from '../src/jwplayer';
+import {
+  resetWarnings,
+  validateConfig,
+  validateProps,
+  validationFeature,
+} from '../src/validate';
+import { mockLibrary } from './util';
+
+const playlist = 'https://cdn.jwplayer.com/v2/media/1g8jjku3';
+let warn;
+
+beforeEach(() => {
+  resetWarnings();
+  warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  window.jwplayer = null;
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+  cleanup();
+});
+
+const warnings = () => warn.mock.calls.map(([message]) => message);
+
+describe('validateProps', () => {
+  it('suggests config props for misspelled ones', () => {
+    validateProps({ playlist, autoStart: true, aspectRatio: '16:9' });
+
+    expect(warnings()).toEqual([
+      "jwplayer-react: Unknown prop `autoStart` isn't passed to the player. Did you mean `autostart`?",
+      "jwplayer-react: Unknown prop `aspectRatio` isn't passed to the player. Did you mean `aspectratio`?",
+    ]);
+  });
+
+  it('warns about handlers for unknown events', () => {
+    validateProps({ onPlayy: () => {}, onceRedy: () => {}, onFoo: () => {} });
+
+    expect(warnings()).toEqual([
+      "jwplayer-react: `onPlayy` listens for `playy`, which isn't a player event. Did you mean `onPlay`?",
+      "jwplayer-react: `onceRedy` listens for `redy`, which isn't a player event. Did you mean `onceReady`?",
+      "jwplayer-react: `onFoo` listens for `foo`, which isn't a player event.",
+    ]);
+  });
+
+  it('accepts config, component and handler props', () => {
+    validateProps({
+      playlist,
+      id: 'player',
+      persist: { resume: true },
+      playing: true,
+      onAll: () => {},
+      onTime: () => {},
+      onceReady: () => {},
+      onAdsManager: () => {},
+      onPlayingChange: () => {},
+      onSetupError: () => {},
+    });
+
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
+
+describe('validateConfig', () => {
+  it('warns about type mismatches', () => {
+    validateConfig({ playlist, playlistIndex: '1', autostart: 'true' });
+
+    expect(warnings()).toEqual([
+      'jwplayer-react: `playlistIndex` should be a number, but got the string "1".',
+      'jwplayer-react: `autostart` should be one of true, false, "viewable", but got the string "true".',
+    ]);
+  });
+
+  it('warns about conflicting and missing content', () => {
+    validateConfig({ file: 'https://path-to-my.mp4', playlist });
+    validateConfig({ title: 'Nothing to play' });
+    validateConfig({ advertising: { outstream: true, tag: 'https://ads' } });
+
+    expect(warnings()).toEqual([
+      'jwplayer-react: Both `file` and `playlist` are set. The player plays `playlist` and ignores `file`.',
+      'jwplayer-react: There is no `file`, `playlist` or `sources` to play. Pass one as a prop or in `config`.',
+    ]);
+  });
+
+  it('asks for a key with self-hosted libraries only', () => {
+    validateConfig({ playlist }, 'https://cdn.jwplayer.com/libraries/abc.js');
+    validateConfig({ playlist, key: 'abc' }, '/jwplayer/jwplayer.js');
+    expect(warn).not.toHaveBeenCalled();
+
+    validateConfig({ playlist }, '/jwplayer/jwplayer.js');
+    expect(warnings()).toEqual([
+      'jwplayer-react: The self-hosted library /jwplayer/jwplayer.js needs a licence `key`. Pass one as a prop or in `config`.',
+    ]);
+  });
+
+  it('finds a key set on the library', () => {
+    window.jwplayer = Object.assign(() => {}, { defaults: { key: 'abc' } });
+
+    validateConfig({ playlist }, '/jwplayer/jwplayer.js');
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
+
+describe('JWPlayer diagnostics', () => {
+  it('warns once about the props and config a player is set up with', async () => {
+    window.jwplayer = mockLibrary;
+    const ref = React.createRef();
+    const { rerender } = render(
+      <JWPlayer
+        ref={ref}
+        features={[validationFeature]}
+        autoStart
+        config={{ playlist, playlistIndex: '1' }}
+      />,
+    );
+    await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+
+    rerender(
+      <JWPlayer
+        ref={ref}
+        features={[validationFeature]}
+        autoStart
+        config={{ playlist, playlistIndex: '1' }}
+      />,
+    );
+    expect(warnings()).toEqual([
+      "jwplayer-react: Unknown prop `autoStart` isn't passed to the player. Did you mean `autostart`?",
+      'jwplayer-react: `playlistIndex` should be a number, but got the string "1".',
+    ]);
+  });
+
+  it('does not check anything in production', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    window.jwplayer = mockLibrary;
+    const ref = React.createRef();
+    render(<JWPlayer ref={ref} features={[validationFeature]} autoStart />);
+    await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('does not check anything without its feature', async () => {
+    window.jwplayer = mockLibrary;
+    const ref = React.createRef();
+    render(<JWPlayer ref={ref} autoStart />);
+    await waitFor(() => expect(ref.current.getPlayer()).toBeTruthy());
+
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
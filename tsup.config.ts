@@ -1,17 +1,46 @@
+import { readdir, readFile, writeFile } from 'node:fs/promises';
 import { defineConfig } from 'tsup';
 
+const USE_CLIENT = '"use client";';
+
+// Code splitting builds CommonJS from the ES module output, which puts "use strict" and the
+// __esModule marker ahead of the banner. A directive only counts at the very top of the file,
+// so move it back there.
+async function moveUseClientFirst(): Promise<void> {
+  const files = (await readdir('lib')).filter((file) => file.endsWith('.js'));
+  await Promise.all(
+    files.map(async (file) => {
+      const path = `lib/${file}`;
+      const code = await readFile(path, 'utf8');
+      if (code.startsWith(USE_CLIENT) || !code.includes(USE_CLIENT)) return;
+
+      await writeFile(path, `${USE_CLIENT}${code.replace(USE_CLIENT, '')}`);
+    }),
+  );
+}
+
 export default defineConfig({
   entry: {
-    'jwplayer-react': 'src/jwplayer.tsx',
+    'jwplayer-react': 'src/index.ts',
+    core: 'src/entries/core.ts',
+    hooks: 'src/entries/hooks.ts',
+    plugins: 'src/entries/plugins.ts',
+    testing: 'src/testing.ts',
   },
-  format: ['cjs'],
+  // CommonJS in .js and ES modules in .mjs, each with generated declarations
+  format: ['cjs', 'esm'],
   dts: true,
   outDir: 'lib',
   external: ['react', 'react-dom'],
+  // Marks the bundle as client code for React Server Components frameworks
+  banner: { js: USE_CLIENT },
+  onSuccess: moveUseClientFirst,
   clean: true,
   sourcemap: false,
   minify: false,
-  splitting: false,
-  treeshake: true,
+  // Entry points share chunks, so the player store the component writes to is the one the
+  // hooks read from
+  splitting: true,
+  // esbuild already drops unused code; the extra rollup pass would strip the banner
+  treeshake: false,
 });
-
@@ -16,6 +16,10 @@ export default defineConfig({
       include: ['src/**/*'],
     },
     globals: true,
+    typecheck: {
+      enabled: true,
+      tsconfig: './test/tsconfig.json',
+    },
     dangerouslyIgnoreUnhandledErrors: true,
   },
 });